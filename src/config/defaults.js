@@ -1,3 +1,6 @@
+import { homedir } from 'os';
+import { join } from 'path';
+
 export const DEFAULT_CONFIG = {
   browser: {
     type: 'chromium',
@@ -20,16 +23,38 @@ export const DEFAULT_CONFIG = {
   },
   network: {
     recordHar: false,
+    captureResponseBodies: false,
     maxResponseSize: 10 * 1024 * 1024, // 10MB
+    maxBodyTextLength: 64 * 1024, // 64KB of text/JSON kept per response
     timeout: 30000
   },
+  // Per-context collector limits; the oldest entries are dropped first, pinned ones last
+  retention: {
+    maxConsoleLogs: 1000,
+    maxNetworkRequests: 500,
+    maxPerformanceEntries: 100,
+    maxWebSockets: 100,
+    maxWebSocketFrames: 1000,
+    pinErrors: true // console errors, failed requests and errored sockets
+  },
   debug: {
     screenshotOnError: false,
     saveConsoleLogs: true,
-    verboseLogging: false
+    verboseLogging: false,
+    maxInlineImageBytes: 1024 * 1024, // 1MB; larger screenshots are re-encoded or downscaled
+    baselineDir: join(homedir(), '.playwright-devtools-mcp', 'baselines') // debug_compare_screenshots
   }
 };
 
+// Throughput in bytes/second and latency in milliseconds, matching Chrome DevTools' presets
+export const NETWORK_PRESETS = {
+  'none': { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 },
+  'offline': { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+  'Slow 3G': { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  'Fast 3G': { offline: false, latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+  'Regular 4G': { offline: false, latency: 20, downloadThroughput: 500000, uploadThroughput: 375000 }
+};
+
 export function getConfig() {
   const config = { ...DEFAULT_CONFIG };
   
@@ -50,6 +75,36 @@ export function getConfig() {
     config.server.maxConcurrentPages = parseInt(process.env.MCP_MAX_CONCURRENT_PAGES, 10);
   }
   
+  if (process.env.MCP_CAPTURE_RESPONSE_BODIES !== undefined) {
+    config.network.captureResponseBodies = process.env.MCP_CAPTURE_RESPONSE_BODIES === 'true';
+  }
+  
+  const retentionEnv = {
+    maxConsoleLogs: 'MCP_MAX_CONSOLE_LOGS',
+    maxNetworkRequests: 'MCP_MAX_NETWORK_REQUESTS',
+    maxPerformanceEntries: 'MCP_MAX_PERFORMANCE_ENTRIES',
+    maxWebSockets: 'MCP_MAX_WEBSOCKETS',
+    maxWebSocketFrames: 'MCP_MAX_WEBSOCKET_FRAMES'
+  };
+  for (const [key, name] of Object.entries(retentionEnv)) {
+    const value = parseInt(process.env[name], 10);
+    if (value > 0) {
+      config.retention[key] = value;
+    }
+  }
+
+  if (process.env.MCP_PIN_ERRORS !== undefined) {
+    config.retention.pinErrors = process.env.MCP_PIN_ERRORS === 'true';
+  }
+  
+  if (process.env.MCP_MAX_INLINE_IMAGE_BYTES) {
+    config.debug.maxInlineImageBytes = parseInt(process.env.MCP_MAX_INLINE_IMAGE_BYTES, 10);
+  }
+
+  if (process.env.MCP_BASELINE_DIR) {
+    config.debug.baselineDir = process.env.MCP_BASELINE_DIR;
+  }
+
   if (process.env.DEBUG && process.env.DEBUG.includes('playwright-devtools')) {
     config.debug.verboseLogging = true;
   }
@@ -0,0 +1,96 @@
+// Known third-party services, keyed by host suffix. The most specific suffix wins, so
+// fonts.googleapis.com is classified separately from other googleapis.com hosts.
+export const THIRD_PARTY_DOMAINS = {
+  // Analytics
+  'google-analytics.com': { entity: 'Google Analytics', category: 'analytics' },
+  'analytics.google.com': { entity: 'Google Analytics', category: 'analytics' },
+  'segment.com': { entity: 'Segment', category: 'analytics' },
+  'segment.io': { entity: 'Segment', category: 'analytics' },
+  'mixpanel.com': { entity: 'Mixpanel', category: 'analytics' },
+  'amplitude.com': { entity: 'Amplitude', category: 'analytics' },
+  'heapanalytics.com': { entity: 'Heap', category: 'analytics' },
+  'hotjar.com': { entity: 'Hotjar', category: 'analytics' },
+  'hotjar.io': { entity: 'Hotjar', category: 'analytics' },
+  'fullstory.com': { entity: 'FullStory', category: 'analytics' },
+  'clarity.ms': { entity: 'Microsoft Clarity', category: 'analytics' },
+  'plausible.io': { entity: 'Plausible', category: 'analytics' },
+  'posthog.com': { entity: 'PostHog', category: 'analytics' },
+  'mc.yandex.ru': { entity: 'Yandex Metrica', category: 'analytics' },
+  'stats.wp.com': { entity: 'WordPress Stats', category: 'analytics' },
+
+  // Advertising
+  'doubleclick.net': { entity: 'Google Ads', category: 'ads' },
+  'googlesyndication.com': { entity: 'Google Ads', category: 'ads' },
+  'googleadservices.com': { entity: 'Google Ads', category: 'ads' },
+  'adservice.google.com': { entity: 'Google Ads', category: 'ads' },
+  'amazon-adsystem.com': { entity: 'Amazon Ads', category: 'ads' },
+  'adnxs.com': { entity: 'Xandr', category: 'ads' },
+  'criteo.com': { entity: 'Criteo', category: 'ads' },
+  'criteo.net': { entity: 'Criteo', category: 'ads' },
+  'taboola.com': { entity: 'Taboola', category: 'ads' },
+  'outbrain.com': { entity: 'Outbrain', category: 'ads' },
+  'rubiconproject.com': { entity: 'Magnite', category: 'ads' },
+  'pubmatic.com': { entity: 'PubMatic', category: 'ads' },
+  'ads-twitter.com': { entity: 'X Ads', category: 'ads' },
+  'ads.linkedin.com': { entity: 'LinkedIn Ads', category: 'ads' },
+  'bat.bing.com': { entity: 'Microsoft Advertising', category: 'ads' },
+  'connect.facebook.net': { entity: 'Meta Pixel', category: 'ads' },
+
+  // Tag managers
+  'googletagmanager.com': { entity: 'Google Tag Manager', category: 'tag-manager' },
+  'tagmanager.google.com': { entity: 'Google Tag Manager', category: 'tag-manager' },
+  'tags.tiqcdn.com': { entity: 'Tealium', category: 'tag-manager' },
+  'assets.adobedtm.com': { entity: 'Adobe Launch', category: 'tag-manager' },
+  'tagcommander.com': { entity: 'Commanders Act', category: 'tag-manager' },
+
+  // Fonts
+  'fonts.googleapis.com': { entity: 'Google Fonts', category: 'fonts' },
+  'fonts.gstatic.com': { entity: 'Google Fonts', category: 'fonts' },
+  'use.typekit.net': { entity: 'Adobe Fonts', category: 'fonts' },
+  'p.typekit.net': { entity: 'Adobe Fonts', category: 'fonts' },
+  'fonts.bunny.net': { entity: 'Bunny Fonts', category: 'fonts' },
+  'use.fontawesome.com': { entity: 'Font Awesome', category: 'fonts' },
+  'kit.fontawesome.com': { entity: 'Font Awesome', category: 'fonts' },
+
+  // CDNs and public library hosts
+  'cdnjs.cloudflare.com': { entity: 'cdnjs', category: 'cdn' },
+  'cdn.jsdelivr.net': { entity: 'jsDelivr', category: 'cdn' },
+  'unpkg.com': { entity: 'unpkg', category: 'cdn' },
+  'ajax.googleapis.com': { entity: 'Google Hosted Libraries', category: 'cdn' },
+  'code.jquery.com': { entity: 'jQuery CDN', category: 'cdn' },
+  'stackpath.bootstrapcdn.com': { entity: 'BootstrapCDN', category: 'cdn' },
+  'maxcdn.bootstrapcdn.com': { entity: 'BootstrapCDN', category: 'cdn' },
+  'cloudfront.net': { entity: 'Amazon CloudFront', category: 'cdn' },
+  'akamaihd.net': { entity: 'Akamai', category: 'cdn' },
+  'akamaized.net': { entity: 'Akamai', category: 'cdn' },
+  'fastly.net': { entity: 'Fastly', category: 'cdn' },
+  'b-cdn.net': { entity: 'Bunny CDN', category: 'cdn' },
+  'imgix.net': { entity: 'imgix', category: 'cdn' },
+  'cloudinary.com': { entity: 'Cloudinary', category: 'cdn' },
+
+  // Monitoring and error tracking
+  'sentry.io': { entity: 'Sentry', category: 'monitoring' },
+  'sentry-cdn.com': { entity: 'Sentry', category: 'monitoring' },
+  'nr-data.net': { entity: 'New Relic', category: 'monitoring' },
+  'js-agent.newrelic.com': { entity: 'New Relic', category: 'monitoring' },
+  'browser-intake-datadoghq.com': { entity: 'Datadog', category: 'monitoring' },
+  'datadoghq-browser-agent.com': { entity: 'Datadog', category: 'monitoring' },
+  'bugsnag.com': { entity: 'Bugsnag', category: 'monitoring' },
+
+  // Social embeds
+  'platform.twitter.com': { entity: 'X (Twitter)', category: 'social' },
+  'facebook.com': { entity: 'Facebook', category: 'social' },
+  'platform.linkedin.com': { entity: 'LinkedIn', category: 'social' },
+  'youtube.com': { entity: 'YouTube', category: 'social' },
+  'ytimg.com': { entity: 'YouTube', category: 'social' },
+  'player.vimeo.com': { entity: 'Vimeo', category: 'social' }
+};
+
+// Suffixes under which each label is a separate site (a subset of the Public Suffix List:
+// common country second-level domains and shared hosting platforms)
+export const MULTI_PART_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'ne.jp',
+  'co.kr', 'com.br', 'com.mx', 'com.ar', 'com.cn', 'com.hk', 'com.sg', 'com.tr', 'co.in', 'co.za',
+  'github.io', 'gitlab.io', 'herokuapp.com', 'vercel.app', 'netlify.app', 'pages.dev', 'web.app',
+  'firebaseapp.com', 'appspot.com', 'azurewebsites.net', 'cloudfront.net', 'blogspot.com'
+];
@@ -17,6 +17,11 @@ async function main() {
       {
         capabilities: {
           tools: {},
+          logging: {},
+          resources: {
+            subscribe: true,
+            listChanged: true
+          },
         },
       }
     );
@@ -33,13 +38,17 @@ async function main() {
     console.error('✅ Playwright DevTools MCP Server started successfully');
     console.error('👀 Browsers will open visibly by default (use headless: true to hide)');
     console.error('🔧 Available tools:');
-    console.error('   📱 Browser: browser_launch, browser_navigate, browser_close');
+    console.error('   📱 Browser: browser_launch, browser_navigate, browser_go_back, browser_go_forward, browser_reload, browser_pin_entries, browser_close');
+    console.error('   🗂️ Pages: page_list, page_switch, page_close, page_wait_for');
     console.error('   🛡️ Safety: browser_navigate_safe, browser_health_check, browser_force_recreate');
+    console.error('   🖱️ Interaction: interact_click, interact_fill, interact_type, interact_press_key, interact_hover, interact_select_option, interact_check, interact_scroll_into_view');
     console.error('   🐛 Console: console_get_logs, console_clear_logs, console_evaluate_javascript');
-    console.error('   🌐 Network: network_get_requests, network_get_failed_requests, network_clear_requests');
+    console.error('   📣 Events: events_subscribe, events_unsubscribe');
+    console.error('   🌐 Network: network_get_requests, network_get_failed_requests, network_get_response_body, network_export_request, network_replay_request, network_diagnose_cors, network_export_har, network_set_conditions, network_analyze_waterfall, network_audit_caching, network_get_third_parties, network_get_websocket_frames, network_clear_requests');
+    console.error('   🚦 Interception: network_mock_route, network_block_route, network_unroute, network_list_routes');
     console.error('   ⚡ Performance: performance_get_metrics, performance_get_core_vitals');
     console.error('   💾 Storage: storage_get_local_storage, storage_get_session_storage, storage_get_cookies, storage_clear_data');
-    console.error('   🎨 Debug: debug_take_screenshot, debug_get_page_source, debug_get_element_properties, debug_get_dom_tree');
+    console.error('   🎨 Debug: debug_take_screenshot, debug_get_page_source, debug_get_element_properties, debug_get_dom_tree, debug_get_accessibility_tree, debug_compare_screenshots');
     
   } catch (error) {
     console.error('❌ Failed to start MCP server:', error);
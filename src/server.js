@@ -1,34 +1,89 @@
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
-import { browserLaunchTool, browserNavigateTool, browserCloseTool } from './tools/browser.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  SetLevelRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { browserLaunchTool, browserNavigateTool, browserGoBackTool, browserGoForwardTool, browserReloadTool, browserPinEntriesTool, browserCloseTool } from './tools/browser.js';
+import { pageListTool, pageSwitchTool, pageCloseTool, pageWaitForTool } from './tools/page.js';
 import { browserNavigateSafeTool, browserHealthCheckTool, browserForceRecreateTool } from './tools/browser-safe.js';
+import { interactClickTool, interactFillTool, interactTypeTool, interactPressKeyTool, interactHoverTool, interactSelectOptionTool, interactCheckTool, interactScrollIntoViewTool } from './tools/interact.js';
 import { consoleGetLogsTool, consoleClearLogsTool, consoleEvaluateJavaScriptTool } from './tools/console.js';
-import { networkGetRequestsTool, networkGetFailedRequestsTool, networkClearRequestsTool } from './tools/network.js';
+import { eventsSubscribeTool, eventsUnsubscribeTool } from './tools/events.js';
+import { networkGetRequestsTool, networkGetFailedRequestsTool, networkGetResponseBodyTool, networkExportRequestTool, networkReplayRequestTool, networkDiagnoseCorsTool, networkExportHarTool, networkSetConditionsTool, networkAnalyzeWaterfallTool, networkAuditCachingTool, networkGetThirdPartiesTool, networkGetWebSocketFramesTool, networkClearRequestsTool } from './tools/network.js';
+import { networkMockRouteTool, networkBlockRouteTool, networkUnrouteTool, networkListRoutesTool } from './tools/network-routes.js';
 import { performanceGetMetricsTool, performanceGetCoreVitalsTool } from './tools/performance.js';
 import { storageGetLocalStorageTool, storageGetSessionStorageTool, storageGetCookiesTool, storageClearDataTool } from './tools/storage.js';
-import { debugTakeScreenshotTool, debugGetPageSourceTool, debugGetElementPropertiesTool, debugGetDomTreeTool } from './tools/debug.js';
+import { debugTakeScreenshotTool, debugGetPageSourceTool, debugGetElementPropertiesTool, debugGetDomTreeTool, debugGetAccessibilityTreeTool, debugCompareScreenshotsTool } from './tools/debug.js';
+import { eventStream } from './utils/event-stream.js';
+import { resourceManager, RESOURCE_TEMPLATES } from './utils/resources.js';
 
 // Registry of all available tools
 const TOOLS = [
   // Browser Management
   browserLaunchTool,
   browserNavigateTool,
+  browserGoBackTool,
+  browserGoForwardTool,
+  browserReloadTool,
+  browserPinEntriesTool,
   browserCloseTool,
   
+  // Page Management
+  pageListTool,
+  pageSwitchTool,
+  pageCloseTool,
+  pageWaitForTool,
+  
   // Browser Safety & Recovery
   browserNavigateSafeTool,
   browserHealthCheckTool,
   browserForceRecreateTool,
   
+  // Page Interaction
+  interactClickTool,
+  interactFillTool,
+  interactTypeTool,
+  interactPressKeyTool,
+  interactHoverTool,
+  interactSelectOptionTool,
+  interactCheckTool,
+  interactScrollIntoViewTool,
+  
   // Console & DevTools
   consoleGetLogsTool,
   consoleClearLogsTool,
   consoleEvaluateJavaScriptTool,
+
+  // Event Streaming
+  eventsSubscribeTool,
+  eventsUnsubscribeTool,
   
   // Network Analysis
   networkGetRequestsTool,
   networkGetFailedRequestsTool,
+  networkGetResponseBodyTool,
+  networkExportRequestTool,
+  networkReplayRequestTool,
+  networkDiagnoseCorsTool,
+  networkExportHarTool,
+  networkSetConditionsTool,
+  networkAnalyzeWaterfallTool,
+  networkAuditCachingTool,
+  networkGetThirdPartiesTool,
+  networkGetWebSocketFramesTool,
   networkClearRequestsTool,
   
+  // Request Interception
+  networkMockRouteTool,
+  networkBlockRouteTool,
+  networkUnrouteTool,
+  networkListRoutesTool,
+  
   // Performance Monitoring  
   performanceGetMetricsTool,
   performanceGetCoreVitalsTool,
@@ -43,10 +98,48 @@ const TOOLS = [
   debugTakeScreenshotTool,
   debugGetPageSourceTool,
   debugGetElementPropertiesTool,
-  debugGetDomTreeTool
+  debugGetDomTreeTool,
+  debugGetAccessibilityTreeTool,
+  debugCompareScreenshotsTool
 ];
 
 export async function createMCPServer(server) {
+  // Subscribed console and network events go out as logging notifications
+  eventStream.setSender(params => server.sendLoggingMessage(params));
+
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    eventStream.setLevel(request.params.level);
+    return {};
+  });
+
+  // Collected data is also addressable as devtools:// resources
+  resourceManager.setNotifiers(
+    uri => server.sendResourceUpdated({ uri }),
+    () => server.sendResourceListChanged()
+  );
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: await resourceManager.list() };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return { contents: await resourceManager.read(request.params.uri) };
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    resourceManager.subscribe(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceManager.unsubscribe(request.params.uri);
+    return {};
+  });
+
   // List available tools
   server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
@@ -72,7 +165,7 @@ export async function createMCPServer(server) {
       console.error(`🔧 Executing tool: ${name}`);
       
       // Execute the tool
-      const result = await tool.handler(args || {});
+      const { images = [], ...result } = await tool.handler(args || {});
       
       if (result.success) {
         console.error(`✅ Tool ${name} completed successfully`);
@@ -81,7 +174,13 @@ export async function createMCPServer(server) {
             {
               type: 'text',
               text: JSON.stringify(result, null, 2)
-            }
+            },
+            // Tools may attach base64 images to show alongside the envelope
+            ...images.map(image => ({
+              type: 'image',
+              data: image.data,
+              mimeType: image.mimeType
+            }))
           ]
         };
       } else {
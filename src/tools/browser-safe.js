@@ -35,6 +35,11 @@ export const browserNavigateSafeTool = {
         type: 'boolean',
         description: 'Automatically recreate context if navigation fails repeatedly',
         default: true
+      },
+      newTab: {
+        type: 'boolean',
+        description: 'Open the URL in a new page instead of reusing the active page',
+        default: false
       }
     },
     required: ['url']
@@ -56,7 +61,8 @@ export const browserNavigateSafeTool = {
         waitFor: params.waitFor || 'domcontentloaded',
         timeout: params.timeout || 30000,
         maxAttempts: params.maxAttempts || 3,
-        forceRecreateThreshold: params.autoRecreate ? 2 : 999
+        forceRecreateThreshold: params.autoRecreate ? 2 : 999,
+        newTab: params.newTab === true
       };
 
       const result = await browserManager.navigationGuard.safeNavigate(
@@ -74,6 +80,7 @@ export const browserNavigateSafeTool = {
             url: result.url,
             title: result.title,
             contextId: result.useNewContextId || contextId,
+            pageId: result.pageId || null,
             loadTime: endTime - startTime,
             attempts: result.attempts,
             action: result.action,
@@ -198,7 +205,7 @@ export const browserHealthCheckTool = {
           code: 'HEALTH_CHECK_FAILED',
           message: `Health check failed: ${error.message}`,
           details: {
-            contextId: contextId,
+            contextId: params.contextId,
             originalError: error.toString()
           }
         }
@@ -255,7 +262,7 @@ export const browserForceRecreateTool = {
           },
           metadata: {
             timestamp: Date.now(),
-            contextId: contextId
+            contextId: params.contextId
           },
           error: {
             code: 'CONTEXT_RECREATION_FAILED',
@@ -278,7 +285,7 @@ export const browserForceRecreateTool = {
           code: 'FORCE_RECREATE_ERROR',
           message: `Force recreate failed: ${error.message}`,
           details: {
-            contextId: contextId,
+            contextId: params.contextId,
             originalError: error.toString()
           }
         }
@@ -23,6 +23,46 @@ export const browserLaunchTool = {
       userAgent: {
         type: 'string',
         description: 'Custom user agent string'
+      },
+      captureResponseBodies: {
+        type: 'boolean',
+        description: 'Store response bodies as they arrive (JSON parsed, text truncated, binary summarized) so network_get_requests can include them',
+        default: false
+      },
+      recordHar: {
+        type: 'boolean',
+        description: 'Write a HAR file of all captured traffic when the context is closed',
+        default: false
+      },
+      replayHar: {
+        type: 'object',
+        description: 'Replay mode: serve requests from a HAR archive (e.g. from network_export_har) instead of the network',
+        properties: {
+          path: { type: 'string', description: 'Path to the HAR file' },
+          notFound: {
+            type: 'string',
+            enum: ['abort', 'fallback'],
+            description: 'What to do with requests missing from the archive: abort them or send them to the network',
+            default: 'abort'
+          },
+          urlFilter: { type: 'string', description: 'Only replay requests whose URL matches this glob' }
+        },
+        required: ['path']
+      },
+      retention: {
+        type: 'object',
+        description: 'Collector limits for this context, overriding the server defaults. The oldest entries are dropped first; collector stats report how many were dropped',
+        properties: {
+          maxConsoleLogs: { type: 'number', minimum: 1 },
+          maxNetworkRequests: { type: 'number', minimum: 1 },
+          maxPerformanceEntries: { type: 'number', minimum: 1 },
+          maxWebSockets: { type: 'number', minimum: 1 },
+          maxWebSocketFrames: { type: 'number', minimum: 1 },
+          pinErrors: {
+            type: 'boolean',
+            description: 'Keep console errors, failed requests and errored sockets until nothing else is left to drop'
+          }
+        }
       }
     }
   },
@@ -39,7 +79,13 @@ export const browserLaunchTool = {
         browserManager.config.browser.headless = params.headless;
       }
 
-      const contextId = await browserManager.createContext(options);
+      const contextId = await browserManager.createContext(options, {
+        captureResponseBodies: params.captureResponseBodies,
+        recordHar: params.recordHar,
+        replayHar: params.replayHar,
+        retention: params.retention
+      });
+      const { settings } = await browserManager.getContext(contextId);
       const stats = browserManager.getStats();
 
       return {
@@ -48,6 +94,7 @@ export const browserLaunchTool = {
           contextId,
           viewport: options.viewport,
           userAgent: options.userAgent,
+          settings,
           stats
         },
         metadata: {
@@ -99,6 +146,11 @@ export const browserNavigateTool = {
         type: 'number',
         description: 'Navigation timeout in milliseconds',
         default: 30000
+      },
+      newTab: {
+        type: 'boolean',
+        description: 'Open the URL in a new page instead of reusing the active page',
+        default: false
       }
     },
     required: ['contextId', 'url']
@@ -128,7 +180,9 @@ export const browserNavigateTool = {
         };
       }
 
-      const page = await browserManager.createPage(params.contextId);
+      const page = params.newTab
+        ? await browserManager.createPage(params.contextId)
+        : await browserManager.getOrCreatePage(params.contextId);
       const startTime = Date.now();
       
       const response = await page.goto(params.url, {
@@ -151,12 +205,14 @@ export const browserNavigateTool = {
           status: response?.status(),
           statusText: response?.statusText(),
           loadTime: endTime - startTime,
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
           duration: endTime - startTime,
-          waitCondition: params.waitFor || 'load'
+          waitCondition: params.waitFor || 'load',
+          newTab: params.newTab === true
         },
         error: null
       };
@@ -188,6 +244,264 @@ export const browserNavigateTool = {
   }
 };
 
+async function navigateHistory(page, action, params) {
+  const startTime = Date.now();
+  const previousUrl = page.url();
+  const options = {
+    waitUntil: params.waitFor || 'load',
+    timeout: params.timeout || 30000
+  };
+
+  let response;
+  if (action === 'back') {
+    response = await page.goBack(options);
+  } else if (action === 'forward') {
+    response = await page.goForward(options);
+  } else {
+    response = await page.reload(options);
+  }
+
+  const endTime = Date.now();
+
+  return {
+    // goBack/goForward resolve to null when there is no history entry to move to
+    navigated: action === 'reload' || response !== null || page.url() !== previousUrl,
+    previousUrl,
+    url: page.url(),
+    title: await page.title(),
+    status: response?.status(),
+    statusText: response?.statusText(),
+    loadTime: endTime - startTime,
+    contextId: params.contextId,
+    pageId: browserManager.getPageId(page)
+  };
+}
+
+const historyInputSchema = {
+  type: 'object',
+  properties: {
+    contextId: {
+      type: 'string',
+      description: 'Browser context ID from browser_launch'
+    },
+    pageId: {
+      type: 'string',
+      description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+    },
+    waitFor: {
+      type: 'string',
+      description: 'Wait condition before returning',
+      enum: ['load', 'domcontentloaded', 'networkidle'],
+      default: 'load'
+    },
+    timeout: {
+      type: 'number',
+      description: 'Navigation timeout in milliseconds',
+      default: 30000
+    }
+  },
+  required: ['contextId']
+};
+
+export const browserGoBackTool = {
+  name: 'browser_go_back',
+  description: 'Navigate the page back one entry in its session history',
+  inputSchema: historyInputSchema,
+
+  async handler(params) {
+    try {
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const data = await navigateHistory(page, 'back', params);
+
+      return {
+        success: true,
+        data,
+        metadata: {
+          timestamp: Date.now(),
+          duration: data.loadTime,
+          contextId: params.contextId,
+          waitCondition: params.waitFor || 'load'
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'GO_BACK_FAILED',
+          message: `Failed to navigate back: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pageId: params.pageId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const browserGoForwardTool = {
+  name: 'browser_go_forward',
+  description: 'Navigate the page forward one entry in its session history',
+  inputSchema: historyInputSchema,
+
+  async handler(params) {
+    try {
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const data = await navigateHistory(page, 'forward', params);
+
+      return {
+        success: true,
+        data,
+        metadata: {
+          timestamp: Date.now(),
+          duration: data.loadTime,
+          contextId: params.contextId,
+          waitCondition: params.waitFor || 'load'
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'GO_FORWARD_FAILED',
+          message: `Failed to navigate forward: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pageId: params.pageId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const browserReloadTool = {
+  name: 'browser_reload',
+  description: 'Reload the page and wait for it to load',
+  inputSchema: historyInputSchema,
+
+  async handler(params) {
+    try {
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const data = await navigateHistory(page, 'reload', params);
+
+      return {
+        success: true,
+        data,
+        metadata: {
+          timestamp: Date.now(),
+          duration: data.loadTime,
+          contextId: params.contextId,
+          waitCondition: params.waitFor || 'load'
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'RELOAD_FAILED',
+          message: `Failed to reload page: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pageId: params.pageId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const browserPinEntriesTool = {
+  name: 'browser_pin_entries',
+  description: 'Pin collected entries (console logs, requests, performance entries, WebSocket connections and frames) by ID so a noisy page cannot evict them, or unpin them again',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      ids: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Entry IDs as returned by console_get_logs, network_get_requests and the other collector tools'
+      },
+      unpin: {
+        type: 'boolean',
+        description: 'Unpin the entries instead',
+        default: false
+      }
+    },
+    required: ['contextId', 'ids']
+  },
+
+  async handler(params) {
+    try {
+      const pinned = [];
+      const notFound = [];
+      for (const id of params.ids) {
+        if (browserManager.pinEntry(params.contextId, id, !params.unpin)) {
+          pinned.push(id);
+        } else {
+          notFound.push(id);
+        }
+      }
+
+      return {
+        success: true,
+        data: {
+          [params.unpin ? 'unpinned' : 'pinned']: pinned,
+          notFound,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'PIN_ENTRIES_FAILED',
+          message: `Failed to pin entries: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
 export const browserCloseTool = {
   name: 'browser_close',
   description: 'Close a browser context and clean up resources',
@@ -204,13 +518,14 @@ export const browserCloseTool = {
   
   async handler(params) {
     try {
-      await browserManager.closeContext(params.contextId);
+      const harPath = await browserManager.closeContext(params.contextId);
       const stats = browserManager.getStats();
 
       return {
         success: true,
         data: {
           contextId: params.contextId,
+          harPath,
           stats
         },
         metadata: {
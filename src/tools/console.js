@@ -10,6 +10,10 @@ export const consoleGetLogsTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Only return logs from this page (from browser_navigate or page_list)'
+      },
       types: {
         type: 'array',
         description: 'Filter by log types',
@@ -46,6 +50,7 @@ export const consoleGetLogsTool = {
       const options = {
         types: params.types || ['error', 'warn', 'pageerror'],
         since: params.since,
+        pageId: params.pageId,
         contains: params.contains,
         limit: params.limit || 50
       };
@@ -159,6 +164,10 @@ export const consoleEvaluateJavaScriptTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       expression: {
         type: 'string',
         description: 'JavaScript expression to evaluate'
@@ -174,15 +183,7 @@ export const consoleEvaluateJavaScriptTool = {
 
   async handler(params) {
     try {
-      // Get the first page in the context for evaluation
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
       const startTime = Date.now();
 
       // Evaluate the JavaScript expression
@@ -222,7 +223,8 @@ export const consoleEvaluateJavaScriptTool = {
           stack: result.stack,
           expression: params.expression,
           executionTime: endTime - startTime,
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
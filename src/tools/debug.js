@@ -1,11 +1,19 @@
 import { browserManager } from '../utils/browser-manager.js';
+import { getDomTree } from '../utils/dom-tree.js';
+import { resourceManager } from '../utils/resources.js';
+import { fitImage, captureScaled, getElementClips, renderContactSheet } from '../utils/screenshot.js';
+import { validateAnnotations, renderAnnotations, removeAnnotations } from '../utils/annotations.js';
+import { isPng, decodePng, encodePng } from '../utils/png.js';
+import { diffImages, downscaleImage } from '../utils/image-diff.js';
+import { saveBaseline, loadBaseline } from '../utils/baselines.js';
+import { getAccessibilityTree, formatAccessibilityTree } from '../utils/accessibility.js';
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 
 export const debugTakeScreenshotTool = {
   name: 'debug_take_screenshot',
-  description: 'Take a screenshot of the current viewport or full page for visual debugging',
+  description: 'Take a screenshot of the current viewport or full page for visual debugging. The image is returned inline (re-encoded as JPEG or downscaled when over the size cap) and saved to a temp file removed when the context closes',
   inputSchema: {
     type: 'object',
     properties: {
@@ -13,6 +21,10 @@ export const debugTakeScreenshotTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       fullPage: {
         type: 'boolean',
         description: 'Capture the full scrollable page instead of just the viewport',
@@ -42,9 +54,36 @@ export const debugTakeScreenshotTool = {
         },
         required: ['x', 'y', 'width', 'height']
       },
+      selector: {
+        type: 'string',
+        description: 'Capture only the first element matching this selector (CSS or Playwright selector syntax) instead of the viewport'
+      },
+      padding: {
+        type: 'number',
+        description: 'Pixels of surrounding page to include around the element',
+        default: 8,
+        minimum: 0
+      },
+      allMatches: {
+        type: 'boolean',
+        description: 'Capture every element matching selector and combine them into one contact sheet labelled with match indexes',
+        default: false
+      },
+      maxElements: {
+        type: 'number',
+        description: 'Maximum number of matches in a contact sheet',
+        default: 12,
+        minimum: 1,
+        maximum: 50
+      },
+      inline: {
+        type: 'boolean',
+        description: 'Return the image as MCP image content so it can be viewed directly',
+        default: true
+      },
       annotations: {
         type: 'array',
-        description: 'Add visual annotations to the screenshot',
+        description: 'Draw annotations into the screenshot. Coordinates are viewport-relative, or document-relative with fullPage or selector',
         items: {
           type: 'object',
           properties: {
@@ -53,16 +92,37 @@ export const debugTakeScreenshotTool = {
               enum: ['rectangle', 'circle', 'arrow', 'text'],
               description: 'Type of annotation'
             },
-            x: { type: 'number', description: 'X coordinate' },
-            y: { type: 'number', description: 'Y coordinate' },
+            x: { type: 'number', description: 'X coordinate (circle center, arrow start)' },
+            y: { type: 'number', description: 'Y coordinate (circle center, arrow start)' },
             width: { type: 'number', description: 'Width (for rectangle)' },
             height: { type: 'number', description: 'Height (for rectangle)' },
             radius: { type: 'number', description: 'Radius (for circle)' },
-            text: { type: 'string', description: 'Text content (for text annotation)' },
+            toX: { type: 'number', description: 'X coordinate the arrow points to' },
+            toY: { type: 'number', description: 'Y coordinate the arrow points to' },
+            text: { type: 'string', description: 'Text content (for text annotation; a caption for other shapes)' },
+            fontSize: { type: 'number', description: 'Font size for text annotations', default: 14 },
             color: { type: 'string', description: 'Annotation color', default: 'red' }
           },
           required: ['type', 'x', 'y']
         }
+      },
+      highlightSelectors: {
+        type: 'array',
+        description: 'Outline and label the elements matching these CSS selectors (up to 20 per selector)',
+        items: {
+          oneOf: [
+            { type: 'string' },
+            {
+              type: 'object',
+              properties: {
+                selector: { type: 'string', description: 'CSS selector' },
+                label: { type: 'string', description: 'Label to show instead of the selector' },
+                color: { type: 'string', description: 'Outline color', default: '#e91e63' }
+              },
+              required: ['selector']
+            }
+          ]
+        }
       }
     },
     required: ['contextId']
@@ -70,34 +130,96 @@ export const debugTakeScreenshotTool = {
 
   async handler(params) {
     try {
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const startTime = Date.now();
+
+      if (params.allMatches && !params.selector) {
+        throw new Error('allMatches requires selector');
       }
 
-      const page = pages[0];
-      const startTime = Date.now();
+      // Element captures clip a full-page capture to the element, so tall elements fit too
+      let target = null;
+      let captureOptions = { fullPage: params.fullPage || false, clip: params.clip || undefined };
+      if (params.selector) {
+        target = await getElementClips(page, params.selector, {
+          padding: params.padding,
+          all: params.allMatches,
+          maxElements: params.maxElements
+        });
+        if (!target.elements.some(element => element.visible)) {
+          throw new Error(`No visible elements match selector: ${params.selector}`);
+        }
+        captureOptions = { fullPage: true, clip: target.elements.find(element => element.visible).clip };
+      }
 
       // Prepare screenshot options
+      const format = params.format || 'png';
+      const quality = format === 'jpeg' ? (params.quality || 90) : undefined;
       const screenshotOptions = {
-        fullPage: params.fullPage || false,
-        type: params.format || 'png',
-        quality: params.format === 'jpeg' ? (params.quality || 90) : undefined,
-        clip: params.clip || undefined
+        ...captureOptions,
+        type: format,
+        quality
       };
 
-      // Take the screenshot
-      const screenshotBuffer = await page.screenshot(screenshotOptions);
+      // Annotations and highlights are drawn in an overlay that stays up for every capture
+      const annotated = (params.annotations?.length || 0) + (params.highlightSelectors?.length || 0) > 0;
+      validateAnnotations(params.annotations);
+      let highlights = null;
+      let screenshotBuffer;
+      let inlineImage = null;
+      const maxInlineBytes = browserManager.config.debug.maxInlineImageBytes;
+
+      try {
+        if (annotated) {
+          highlights = await renderAnnotations(page, {
+            annotations: params.annotations,
+            highlightSelectors: params.highlightSelectors,
+            fullPage: captureOptions.fullPage
+          });
+        }
+
+        if (params.allMatches) {
+          // One PNG per visible match, composed into a labelled grid
+          const shots = [];
+          for (const element of target.elements.filter(item => item.visible)) {
+            shots.push({
+              label: `[${element.index}] ${element.tagName}${element.text ? ` "${element.text.slice(0, 40)}"` : ''}`,
+              buffer: await page.screenshot({ fullPage: true, clip: element.clip, type: 'png' })
+            });
+          }
+          screenshotBuffer = await renderContactSheet(page, shots, { format, quality });
+
+          if (params.inline !== false) {
+            inlineImage = await fitImage(screenshotBuffer, format, maxInlineBytes, step =>
+              renderContactSheet(page, shots, { format: 'jpeg', quality: step.quality, scale: step.scale })
+            );
+          }
+        } else {
+          // Take the screenshot
+          screenshotBuffer = await page.screenshot(screenshotOptions);
+
+          // Fit the inline copy under the size cap; the saved file keeps full quality
+          if (params.inline !== false) {
+            inlineImage = await fitImage(screenshotBuffer, format, maxInlineBytes, async (step) => {
+              const session = await browserManager.getCDPSession(page);
+              return captureScaled(page, session, captureOptions, step);
+            });
+          }
+        }
+      } finally {
+        if (annotated) {
+          await removeAnnotations(page).catch(() => {});
+        }
+      }
       
       // Generate temporary file path
       const timestamp = Date.now();
-      const filename = `screenshot-${timestamp}.${params.format || 'png'}`;
+      const filename = `screenshot-${timestamp}.${format}`;
       const tempPath = join(tmpdir(), filename);
       
       // Save screenshot to temporary file
       await fs.writeFile(tempPath, screenshotBuffer);
+      browserManager.trackTempFile(params.contextId, tempPath);
 
       // Get page info
       const url = page.url();
@@ -117,27 +239,65 @@ export const debugTakeScreenshotTool = {
 
       const endTime = Date.now();
 
+      let inline = null;
+      if (inlineImage) {
+        inline = {
+          format: inlineImage.format,
+          size: inlineImage.buffer.length,
+          quality: inlineImage.quality,
+          scale: inlineImage.scale,
+          downscaled: inlineImage.downscaled,
+          reencoded: inlineImage.buffer !== screenshotBuffer
+        };
+      } else if (params.inline !== false) {
+        inline = {
+          omitted: true,
+          reason: `Screenshot does not fit in ${maxInlineBytes} bytes even at 25% scale; read it from resourceUri or use clip`
+        };
+      }
+
       return {
         success: true,
+        images: inlineImage ? [{
+          data: inlineImage.buffer.toString('base64'),
+          mimeType: `image/${inlineImage.format}`
+        }] : [],
         data: {
+          inline,
           screenshotPath: tempPath,
+          resourceUri: resourceManager.registerFile(params.contextId, tempPath, `Screenshot of ${url}`),
           filename,
           url,
           title,
           viewport,
           pageDimensions,
+          element: target && !params.allMatches ? {
+            selector: params.selector,
+            matched: target.matched,
+            ...target.elements[0]
+          } : null,
+          contactSheet: target && params.allMatches ? {
+            selector: params.selector,
+            matched: target.matched,
+            captured: target.elements.filter(element => element.visible).length,
+            elements: target.elements
+          } : null,
+          annotations: params.annotations?.length || 0,
+          highlights,
           fileSize: screenshotBuffer.length,
-          format: params.format || 'png',
+          format,
           fullPage: params.fullPage || false,
-          quality: params.format === 'jpeg' ? (params.quality || 90) : null,
+          quality: quality ?? null,
           captureTime: endTime - startTime,
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
           duration: endTime - startTime,
           contextId: params.contextId,
-          screenshotType: params.fullPage ? 'fullPage' : 'viewport'
+          screenshotType: params.allMatches ? 'contactSheet' : params.selector ? 'element' : params.fullPage ? 'fullPage' : 'viewport',
+          unmatchedSelectors: highlights ? highlights.filter(item => item.matched === 0).map(item => item.selector) : []
         },
         error: null
       };
@@ -173,6 +333,10 @@ export const debugGetPageSourceTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       pretty: {
         type: 'boolean',
         description: 'Format the HTML with proper indentation',
@@ -189,14 +353,7 @@ export const debugGetPageSourceTool = {
 
   async handler(params) {
     try {
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
       const startTime = Date.now();
 
       // Get the HTML content
@@ -229,7 +386,8 @@ export const debugGetPageSourceTool = {
           stats: domStats,
           size: htmlContent.length,
           extractionTime: endTime - startTime,
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
@@ -271,6 +429,10 @@ export const debugGetElementPropertiesTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       selector: {
         type: 'string',
         description: 'CSS selector to target the element for inspection'
@@ -311,14 +473,7 @@ export const debugGetElementPropertiesTool = {
 
   async handler(params) {
     try {
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
       const startTime = Date.now();
 
       // First check if element exists
@@ -515,7 +670,8 @@ export const debugGetElementPropertiesTool = {
             includeParentChain: params.includeParentChain === true
           },
           extractionTime: endTime - startTime,
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
@@ -558,6 +714,10 @@ export const debugGetDomTreeTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       maxDepth: {
         type: 'number',
         description: 'Maximum depth to traverse in the DOM tree',
@@ -585,77 +745,116 @@ export const debugGetDomTreeTool = {
 
   async handler(params) {
     try {
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
       const startTime = Date.now();
 
       // Get DOM tree structure
-      const domTree = await page.evaluate((options) => {
-        function traverseDOM(element, depth = 0, maxDepth = 10) {
-          if (depth > maxDepth) {
-            return { truncated: true, reason: 'Max depth reached' };
-          }
-
-          const node = {
-            tagName: element.tagName?.toLowerCase(),
-            nodeType: element.nodeType,
-            depth: depth
-          };
+      const domTree = await getDomTree(page, params);
 
-          // Add attributes if requested
-          if (options.includeAttributes && element.attributes) {
-            node.attributes = {};
-            for (const attr of element.attributes) {
-              node.attributes[attr.name] = attr.value;
-            }
-          }
+      // Get additional page info
+      const url = page.url();
+      const title = await page.title();
 
-          // Add text content if requested and it's a text node or has direct text
-          if (options.includeText) {
-            if (element.nodeType === Node.TEXT_NODE) {
-              node.textContent = element.textContent?.trim();
-            } else if (element.childNodes.length === 1 && element.childNodes[0].nodeType === Node.TEXT_NODE) {
-              node.textContent = element.textContent?.trim();
-            }
-          }
+      const endTime = Date.now();
 
-          // Add children
-          if (element.children && element.children.length > 0) {
-            node.children = [];
-            for (const child of element.children) {
-              const childNode = traverseDOM(child, depth + 1, maxDepth);
-              if (childNode) {
-                node.children.push(childNode);
-              }
-            }
+      return {
+        success: true,
+        data: {
+          domTree,
+          url,
+          title,
+          options: {
+            maxDepth: params.maxDepth || 10,
+            includeText: params.includeText !== false,
+            includeAttributes: params.includeAttributes !== false,
+            selector: params.selector || 'html'
+          },
+          extractionTime: endTime - startTime,
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
+        },
+        metadata: {
+          timestamp: Date.now(),
+          duration: endTime - startTime,
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'DOM_TREE_FAILED',
+          message: `Failed to get DOM tree: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            selector: params.selector,
+            originalError: error.toString()
           }
-
-          return node;
         }
+      };
+    }
+  }
+};
 
-        const startElement = options.selector 
-          ? document.querySelector(options.selector)
-          : document.documentElement;
+export const debugGetAccessibilityTreeTool = {
+  name: 'debug_get_accessibility_tree',
+  description: 'Get the accessibility tree as the browser computes it: roles, accessible names, values, states (disabled, checked, expanded...) and hierarchy. A compact way to read what a page offers; the text format is the most token-efficient',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
+      selector: {
+        type: 'string',
+        description: 'CSS selector of the element to root the tree at (default: the whole document)'
+      },
+      maxDepth: {
+        type: 'number',
+        description: 'Maximum depth below the root; deeper nodes are marked truncated',
+        default: 20,
+        minimum: 1,
+        maximum: 100
+      },
+      interestingOnly: {
+        type: 'boolean',
+        description: 'Skip ignored nodes, unnamed generic containers and text that repeats its parent\'s name',
+        default: true
+      },
+      format: {
+        type: 'string',
+        description: 'json returns nested nodes; text returns an indented outline (- role "name" [states]: value)',
+        enum: ['json', 'text'],
+        default: 'json'
+      }
+    },
+    required: ['contextId']
+  },
 
-        if (!startElement) {
-          throw new Error(`Element not found for selector: ${options.selector}`);
-        }
+  async handler(params) {
+    try {
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const startTime = Date.now();
+      const format = params.format || 'json';
 
-        return traverseDOM(startElement, 0, options.maxDepth);
-      }, {
-        maxDepth: params.maxDepth || 10,
-        includeText: params.includeText !== false,
-        includeAttributes: params.includeAttributes !== false,
-        selector: params.selector
+      const session = await browserManager.getCDPSession(page);
+      const { nodes, stats } = await getAccessibilityTree(session, {
+        selector: params.selector,
+        maxDepth: params.maxDepth || 20,
+        interestingOnly: params.interestingOnly
       });
 
-      // Get additional page info
       const url = page.url();
       const title = await page.title();
 
@@ -664,17 +863,20 @@ export const debugGetDomTreeTool = {
       return {
         success: true,
         data: {
-          domTree,
+          tree: format === 'json' ? nodes : null,
+          outline: format === 'text' ? formatAccessibilityTree(nodes) : null,
+          stats,
           url,
           title,
           options: {
-            maxDepth: params.maxDepth || 10,
-            includeText: params.includeText !== false,
-            includeAttributes: params.includeAttributes !== false,
-            selector: params.selector || 'html'
+            selector: params.selector || null,
+            maxDepth: params.maxDepth || 20,
+            interestingOnly: params.interestingOnly !== false,
+            format
           },
           extractionTime: endTime - startTime,
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
@@ -692,8 +894,8 @@ export const debugGetDomTreeTool = {
           contextId: params.contextId
         },
         error: {
-          code: 'DOM_TREE_FAILED',
-          message: `Failed to get DOM tree: ${error.message}`,
+          code: 'ACCESSIBILITY_TREE_FAILED',
+          message: `Failed to get accessibility tree: ${error.message}`,
           details: {
             contextId: params.contextId,
             selector: params.selector,
@@ -703,4 +905,279 @@ export const debugGetDomTreeTool = {
       };
     }
   }
-};
\ No newline at end of file
+};
+
+// A screenshot to compare: a devtools:// resource URI or a file path
+async function loadComparisonImage(source) {
+  let buffer;
+  if (source.startsWith('devtools://')) {
+    const [content] = await resourceManager.read(source);
+    if (!content.blob) {
+      throw new Error(`Resource is not an image: ${source}`);
+    }
+    buffer = Buffer.from(content.blob, 'base64');
+  } else {
+    buffer = await fs.readFile(source);
+  }
+
+  if (!isPng(buffer)) {
+    throw new Error(`Only PNG screenshots can be compared: ${source}`);
+  }
+  return buffer;
+}
+
+// Capture the page the way the baseline was captured: viewport, full page or one element
+async function captureForComparison(page, options) {
+  if (options.selector) {
+    const { elements } = await getElementClips(page, options.selector, { padding: options.padding });
+    if (!elements[0].visible) {
+      throw new Error(`Element is not visible: ${options.selector}`);
+    }
+    return page.screenshot({ type: 'png', fullPage: true, clip: elements[0].clip });
+  }
+  return page.screenshot({ type: 'png', fullPage: Boolean(options.fullPage) });
+}
+
+export const debugCompareScreenshotsTool = {
+  name: 'debug_compare_screenshots',
+  description: 'Visual regression check: diff two PNG screenshots (files, devtools:// resource URIs or a named baseline vs the current page) and report the changed percentage, bounding boxes of changed regions and a diff image. Baselines are saved by name on disk',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
+      baseline: {
+        type: 'string',
+        description: 'Name of a saved baseline to compare against (letters, digits, ".", "_" and "-")'
+      },
+      before: {
+        type: 'string',
+        description: 'Reference screenshot as a file path or devtools:// resource URI (instead of baseline)'
+      },
+      after: {
+        type: 'string',
+        description: 'Screenshot to check as a file path or devtools:// resource URI (defaults to capturing the page now)'
+      },
+      saveBaseline: {
+        type: 'string',
+        description: 'Save the checked screenshot as a baseline with this name. Without baseline or before, only saves'
+      },
+      updateBaseline: {
+        type: 'boolean',
+        description: 'Overwrite baseline with the checked screenshot after comparing',
+        default: false
+      },
+      threshold: {
+        type: 'number',
+        description: 'Per-pixel color tolerance (0 = exact, 1 = anything matches)',
+        default: 0.1,
+        minimum: 0,
+        maximum: 1
+      },
+      maxMismatchPercentage: {
+        type: 'number',
+        description: 'Largest percentage of changed pixels that still passes',
+        default: 0,
+        minimum: 0,
+        maximum: 100
+      },
+      fullPage: {
+        type: 'boolean',
+        description: 'Capture the full scrollable page (defaults to how the baseline was captured)'
+      },
+      selector: {
+        type: 'string',
+        description: 'Capture only the first element matching this selector (defaults to the baseline\'s selector)'
+      },
+      padding: {
+        type: 'number',
+        description: 'Pixels of surrounding page to include around the element',
+        default: 8,
+        minimum: 0
+      },
+      inline: {
+        type: 'boolean',
+        description: 'Return the diff image as MCP image content',
+        default: true
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const startTime = Date.now();
+      const baselineDir = browserManager.config.debug.baselineDir;
+
+      // The diff file is tracked and registered under the context, so it must exist
+      await browserManager.getContext(params.contextId);
+
+      if (params.baseline && params.before) {
+        throw new Error('Use either baseline or before, not both');
+      }
+      if (!params.baseline && !params.before && !params.saveBaseline) {
+        throw new Error('Provide baseline or before to compare against, or saveBaseline to store one');
+      }
+      if (params.updateBaseline && !params.baseline) {
+        throw new Error('updateBaseline requires baseline');
+      }
+
+      // Reference image first, so its capture options apply to the page capture
+      let reference = null;
+      if (params.baseline) {
+        const { buffer, meta } = await loadBaseline(baselineDir, params.baseline);
+        reference = { buffer, source: `baseline:${params.baseline}`, baseline: meta };
+      } else if (params.before) {
+        reference = { buffer: await loadComparisonImage(params.before), source: params.before, baseline: null };
+      }
+
+      const captureOptions = {
+        fullPage: params.fullPage ?? reference?.baseline?.fullPage ?? false,
+        selector: params.selector ?? reference?.baseline?.selector ?? null,
+        padding: params.padding ?? reference?.baseline?.padding ?? 8
+      };
+
+      let current;
+      let page = null;
+      if (params.after) {
+        current = { buffer: await loadComparisonImage(params.after), source: params.after };
+      } else {
+        page = await browserManager.getPage(params.contextId, params.pageId);
+        current = { buffer: await captureForComparison(page, captureOptions), source: 'page' };
+      }
+
+      const baselineMeta = {
+        ...(page ? captureOptions : {}),
+        url: page ? page.url() : null,
+        viewport: page ? page.viewportSize() : null,
+        source: current.source
+      };
+
+      let savedBaseline = null;
+      if (params.saveBaseline) {
+        savedBaseline = await saveBaseline(baselineDir, params.saveBaseline, current.buffer, baselineMeta);
+      }
+
+      if (!reference) {
+        const endTime = Date.now();
+        return {
+          success: true,
+          data: {
+            comparison: null,
+            savedBaseline,
+            contextId: params.contextId,
+            pageId: page ? browserManager.getPageId(page) : null
+          },
+          metadata: {
+            timestamp: Date.now(),
+            duration: endTime - startTime,
+            contextId: params.contextId
+          },
+          error: null
+        };
+      }
+
+      const before = decodePng(reference.buffer);
+      const after = decodePng(current.buffer);
+      const diff = diffImages(before, after, { threshold: params.threshold ?? 0.1 });
+      const maxMismatch = params.maxMismatchPercentage ?? 0;
+
+      // Full-size diff on disk; the inline copy is halved until it fits under the cap
+      const diffBuffer = encodePng(diff.diffImage);
+      const filename = `screenshot-diff-${Date.now()}.png`;
+      const tempPath = join(tmpdir(), filename);
+      await fs.writeFile(tempPath, diffBuffer);
+      browserManager.trackTempFile(params.contextId, tempPath);
+
+      let inline = null;
+      let inlineBuffer = null;
+      if (params.inline !== false) {
+        const maxInlineBytes = browserManager.config.debug.maxInlineImageBytes;
+        let factor = 1;
+        inlineBuffer = diffBuffer;
+        while (inlineBuffer.length > maxInlineBytes && factor < 16) {
+          factor *= 2;
+          inlineBuffer = encodePng(downscaleImage(diff.diffImage, factor));
+        }
+
+        if (inlineBuffer.length <= maxInlineBytes) {
+          inline = { format: 'png', size: inlineBuffer.length, scale: 1 / factor, downscaled: factor > 1 };
+        } else {
+          inlineBuffer = null;
+          inline = {
+            omitted: true,
+            reason: `Diff image does not fit in ${maxInlineBytes} bytes even at 1/16 scale; read it from diffResourceUri`
+          };
+        }
+      }
+
+      if (params.updateBaseline) {
+        savedBaseline = await saveBaseline(baselineDir, params.baseline, current.buffer, baselineMeta);
+      }
+
+      const endTime = Date.now();
+
+      return {
+        success: true,
+        images: inlineBuffer ? [{ data: inlineBuffer.toString('base64'), mimeType: 'image/png' }] : [],
+        data: {
+          comparison: {
+            passed: !diff.sizeMismatch && diff.mismatchPercentage <= maxMismatch,
+            mismatchPercentage: diff.mismatchPercentage,
+            changedPixels: diff.changedPixels,
+            totalPixels: diff.totalPixels,
+            sizeMismatch: diff.sizeMismatch,
+            beforeSize: { width: before.width, height: before.height },
+            afterSize: { width: after.width, height: after.height },
+            regions: diff.regions,
+            regionCount: diff.regionCount,
+            threshold: params.threshold ?? 0.1,
+            maxMismatchPercentage: maxMismatch
+          },
+          before: reference.source,
+          after: current.source,
+          baseline: reference.baseline,
+          capture: page ? captureOptions : null,
+          inline,
+          diffPath: tempPath,
+          diffResourceUri: resourceManager.registerFile(params.contextId, tempPath, `Screenshot diff: ${reference.source} vs ${current.source}`),
+          savedBaseline,
+          contextId: params.contextId,
+          pageId: page ? browserManager.getPageId(page) : null
+        },
+        metadata: {
+          timestamp: Date.now(),
+          duration: endTime - startTime,
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'COMPARE_SCREENSHOTS_FAILED',
+          message: `Failed to compare screenshots: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            baseline: params.baseline,
+            before: params.before,
+            after: params.after,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
@@ -0,0 +1,145 @@
+import { browserManager } from '../utils/browser-manager.js';
+import { eventStream, EVENT_TYPES, DEFAULT_EVENT_TYPES } from '../utils/event-stream.js';
+
+export const eventsSubscribeTool = {
+  name: 'events_subscribe',
+  description: 'Stream console errors, page errors and failed requests for a browser context as MCP logging notifications instead of polling. Subscribing again replaces the filters',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      events: {
+        type: 'array',
+        description: 'Event types to send',
+        items: {
+          type: 'string',
+          enum: EVENT_TYPES
+        },
+        default: DEFAULT_EVENT_TYPES
+      },
+      pageId: {
+        type: 'string',
+        description: 'Only send events from this page (from browser_navigate or page_list)'
+      },
+      urlContains: {
+        type: 'string',
+        description: 'Only send events whose request or script URL contains this string'
+      },
+      textContains: {
+        type: 'string',
+        description: 'Only send events whose message, failure reason or URL contains this text (case-insensitive)'
+      },
+      maxPerSecond: {
+        type: 'number',
+        description: 'Rate limit; further events in the same second are counted and reported in one "events_suppressed" notification',
+        default: 5,
+        minimum: 1
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      if (!browserManager.getCollectors(params.contextId)) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const subscription = eventStream.subscribe(params.contextId, {
+        events: params.events,
+        pageId: params.pageId,
+        urlContains: params.urlContains,
+        textContains: params.textContains,
+        maxPerSecond: params.maxPerSecond
+      });
+
+      return {
+        success: true,
+        data: {
+          subscription,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          notification: 'notifications/message with logger "playwright-devtools"; data.event names the event type'
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'EVENTS_SUBSCRIBE_FAILED',
+          message: `Failed to subscribe to events: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const eventsUnsubscribeTool = {
+  name: 'events_unsubscribe',
+  description: 'Stop streaming events for a browser context and report how many were sent and suppressed',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const subscription = eventStream.unsubscribe(params.contextId);
+      if (!subscription) {
+        throw new Error(`No event subscription for context: ${params.contextId}`);
+      }
+
+      return {
+        success: true,
+        data: {
+          subscription,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'EVENTS_UNSUBSCRIBE_FAILED',
+          message: `Failed to unsubscribe from events: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
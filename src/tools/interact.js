@@ -0,0 +1,345 @@
+import { browserManager } from '../utils/browser-manager.js';
+import { resolveLocator } from '../utils/locator.js';
+
+// Target properties shared by every interaction tool. Exactly one of selector, role or text
+// identifies the element; role/text use Playwright's user-facing locators.
+const targetProperties = {
+  contextId: {
+    type: 'string',
+    description: 'Browser context ID from browser_launch'
+  },
+  pageId: {
+    type: 'string',
+    description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+  },
+  selector: {
+    type: 'string',
+    description: 'CSS selector to target the element'
+  },
+  role: {
+    type: 'string',
+    description: 'ARIA role to target instead of a selector (e.g. button, link, textbox)'
+  },
+  name: {
+    type: 'string',
+    description: 'Accessible name to match together with role'
+  },
+  text: {
+    type: 'string',
+    description: 'Visible text to target instead of a selector'
+  },
+  exact: {
+    type: 'boolean',
+    description: 'Require an exact (case-sensitive, whole-string) match for name/text',
+    default: false
+  },
+  nth: {
+    type: 'number',
+    description: 'Zero-based index when several elements match (otherwise multiple matches is an error)'
+  },
+  timeout: {
+    type: 'number',
+    description: 'How long to wait for the element to become actionable (milliseconds)',
+    default: 5000
+  },
+  settleTime: {
+    type: 'number',
+    description: 'How long to wait after the action before collecting triggered console and network activity (milliseconds)',
+    default: 500
+  }
+};
+
+async function runInteraction(action, params, perform) {
+  const startTime = Date.now();
+
+  try {
+    const page = await browserManager.getPage(params.contextId, params.pageId);
+    const collectors = browserManager.getCollectors(params.contextId);
+    const target = resolveLocator(page, params);
+    const previousUrl = page.url();
+
+    const result = await perform(page, target, params.timeout || 5000);
+
+    // Give event handlers and requests kicked off by the action a moment to run
+    const settleTime = params.settleTime ?? 500;
+    if (settleTime > 0) {
+      await page.waitForTimeout(settleTime);
+    }
+
+    const pageId = browserManager.getPageId(page);
+    const consoleErrors = collectors.console.getLogs({
+      types: ['error', 'pageerror'],
+      since: startTime,
+      pageId
+    });
+    const requests = collectors.network.getRequests({ since: startTime, pageId }).map(req => ({
+      id: req.id,
+      method: req.method,
+      url: req.url,
+      resourceType: req.resourceType,
+      status: req.response?.status ?? null,
+      failed: req.failed,
+      failure: req.failure
+    }));
+
+    const endTime = Date.now();
+
+    return {
+      success: true,
+      data: {
+        action,
+        target: target ? target.description : null,
+        result: result ?? null,
+        url: page.url(),
+        navigated: page.url() !== previousUrl,
+        triggered: {
+          consoleErrors,
+          requests,
+          failedRequests: requests.filter(req => req.failed || (req.status !== null && req.status >= 400)).length
+        },
+        contextId: params.contextId,
+        pageId
+      },
+      metadata: {
+        timestamp: Date.now(),
+        duration: endTime - startTime,
+        contextId: params.contextId,
+        since: startTime
+      },
+      error: null
+    };
+  } catch (error) {
+    return {
+      success: false,
+      data: null,
+      metadata: {
+        timestamp: Date.now(),
+        contextId: params.contextId
+      },
+      error: {
+        code: 'INTERACTION_FAILED',
+        message: `Failed to ${action}: ${error.message}`,
+        details: {
+          action,
+          contextId: params.contextId,
+          selector: params.selector,
+          role: params.role,
+          name: params.name,
+          text: params.text,
+          originalError: error.toString()
+        }
+      }
+    };
+  }
+}
+
+function requireTarget(target) {
+  if (!target) {
+    throw new Error('One of selector, role or text is required to target an element');
+  }
+  return target.locator;
+}
+
+export const interactClickTool = {
+  name: 'interact_click',
+  description: 'Click an element and report console errors and network requests the click triggered',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...targetProperties,
+      button: {
+        type: 'string',
+        description: 'Mouse button to click with',
+        enum: ['left', 'right', 'middle'],
+        default: 'left'
+      },
+      clickCount: {
+        type: 'number',
+        description: 'Number of clicks (2 for double-click)',
+        default: 1
+      },
+      force: {
+        type: 'boolean',
+        description: 'Skip actionability checks (visible, enabled, not obscured)',
+        default: false
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    return runInteraction('click', params, async (page, target, timeout) => {
+      await requireTarget(target).click({
+        button: params.button || 'left',
+        clickCount: params.clickCount || 1,
+        force: params.force === true,
+        timeout
+      });
+    });
+  }
+};
+
+export const interactFillTool = {
+  name: 'interact_fill',
+  description: 'Replace the value of an input, textarea or contenteditable element',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...targetProperties,
+      value: {
+        type: 'string',
+        description: 'Value to fill (an empty string clears the field)'
+      }
+    },
+    required: ['contextId', 'value']
+  },
+
+  async handler(params) {
+    return runInteraction('fill', params, async (page, target, timeout) => {
+      await requireTarget(target).fill(params.value, { timeout });
+    });
+  }
+};
+
+export const interactTypeTool = {
+  name: 'interact_type',
+  description: 'Type text key by key into an element, firing keydown/keypress/keyup for each character',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...targetProperties,
+      value: {
+        type: 'string',
+        description: 'Text to type'
+      },
+      delay: {
+        type: 'number',
+        description: 'Delay between key presses (milliseconds)',
+        default: 0
+      }
+    },
+    required: ['contextId', 'value']
+  },
+
+  async handler(params) {
+    return runInteraction('type', params, async (page, target, timeout) => {
+      await requireTarget(target).pressSequentially(params.value, {
+        delay: params.delay || 0,
+        timeout
+      });
+    });
+  }
+};
+
+export const interactPressKeyTool = {
+  name: 'interact_press_key',
+  description: 'Press a key or key combination (e.g. Enter, Escape, Control+A) on an element or the focused element',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...targetProperties,
+      key: {
+        type: 'string',
+        description: 'Key name or combination as understood by Playwright (e.g. Enter, ArrowDown, Shift+Tab)'
+      }
+    },
+    required: ['contextId', 'key']
+  },
+
+  async handler(params) {
+    return runInteraction('press key', params, async (page, target, timeout) => {
+      if (target) {
+        await target.locator.press(params.key, { timeout });
+      } else {
+        await page.keyboard.press(params.key);
+      }
+    });
+  }
+};
+
+export const interactHoverTool = {
+  name: 'interact_hover',
+  description: 'Move the mouse over an element to trigger hover states, tooltips and menus',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...targetProperties
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    return runInteraction('hover', params, async (page, target, timeout) => {
+      await requireTarget(target).hover({ timeout });
+    });
+  }
+};
+
+export const interactSelectOptionTool = {
+  name: 'interact_select_option',
+  description: 'Select one or more options in a <select> element by value or label',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...targetProperties,
+      values: {
+        type: 'array',
+        description: 'Option values or labels to select',
+        items: { type: 'string' }
+      }
+    },
+    required: ['contextId', 'values']
+  },
+
+  async handler(params) {
+    return runInteraction('select option', params, async (page, target, timeout) => {
+      const selected = await requireTarget(target).selectOption(params.values, { timeout });
+      return { selected };
+    });
+  }
+};
+
+export const interactCheckTool = {
+  name: 'interact_check',
+  description: 'Check or uncheck a checkbox or radio button',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...targetProperties,
+      checked: {
+        type: 'boolean',
+        description: 'Desired state (false unchecks)',
+        default: true
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    return runInteraction('check', params, async (page, target, timeout) => {
+      const locator = requireTarget(target);
+      await locator.setChecked(params.checked !== false, { timeout });
+      return { checked: await locator.isChecked() };
+    });
+  }
+};
+
+export const interactScrollIntoViewTool = {
+  name: 'interact_scroll_into_view',
+  description: 'Scroll an element into view, e.g. to trigger lazy loading or infinite scroll',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...targetProperties
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    return runInteraction('scroll into view', params, async (page, target, timeout) => {
+      const locator = requireTarget(target);
+      await locator.scrollIntoViewIfNeeded({ timeout });
+      return { boundingBox: await locator.boundingBox() };
+    });
+  }
+};
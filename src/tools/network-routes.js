@@ -0,0 +1,328 @@
+import { browserManager } from '../utils/browser-manager.js';
+
+const ABORT_ERROR_CODES = [
+  'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+  'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused',
+  'connectionreset', 'internetdisconnected', 'namenotresolved', 'timedout', 'failed'
+];
+
+// Properties shared by the routing tools for matching requests
+const matchProperties = {
+  contextId: {
+    type: 'string',
+    description: 'Browser context ID from browser_launch'
+  },
+  pattern: {
+    type: 'string',
+    description: 'URL glob (e.g. **/api/users*) or, with regex: true, a regular expression'
+  },
+  regex: {
+    type: 'boolean',
+    description: 'Treat pattern as a regular expression',
+    default: false
+  },
+  method: {
+    type: 'string',
+    description: 'Only intercept requests with this HTTP method (e.g. POST)'
+  },
+  times: {
+    type: 'number',
+    description: 'Only intercept the first N matching requests, then let them through'
+  },
+  delay: {
+    type: 'number',
+    description: 'Latency to inject before responding (milliseconds)',
+    default: 0
+  }
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export const networkMockRouteTool = {
+  name: 'network_mock_route',
+  description: 'Intercept matching requests and respond with a stubbed JSON/text response or error status, optionally after injected latency',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...matchProperties,
+      status: {
+        type: 'number',
+        description: 'HTTP status to return',
+        default: 200
+      },
+      json: {
+        description: 'JSON value to return as the response body'
+      },
+      body: {
+        type: 'string',
+        description: 'Raw response body (ignored when json is set)'
+      },
+      contentType: {
+        type: 'string',
+        description: 'Content-Type of the stubbed response (defaults to application/json for json, text/plain otherwise)'
+      },
+      headers: {
+        type: 'object',
+        description: 'Extra response headers',
+        additionalProperties: { type: 'string' }
+      },
+      passthrough: {
+        type: 'boolean',
+        description: 'Forward the request to the real server after the delay instead of stubbing it (latency-only mode)',
+        default: false
+      }
+    },
+    required: ['contextId', 'pattern']
+  },
+
+  async handler(params) {
+    try {
+      const hasJson = params.json !== undefined;
+      const options = {
+        status: params.status || 200,
+        delay: params.delay || 0,
+        passthrough: params.passthrough === true,
+        contentType: params.contentType || (hasJson ? 'application/json' : 'text/plain')
+      };
+
+      const route = await browserManager.addRoute(params.contextId, {
+        pattern: params.pattern,
+        regex: params.regex,
+        method: params.method,
+        times: params.times,
+        action: options.passthrough ? 'delay' : 'mock',
+        options,
+        handle: async (playwrightRoute) => {
+          if (options.delay > 0) {
+            await sleep(options.delay);
+          }
+          if (options.passthrough) {
+            return playwrightRoute.fallback();
+          }
+          return playwrightRoute.fulfill({
+            status: options.status,
+            contentType: options.contentType,
+            headers: params.headers,
+            body: hasJson ? JSON.stringify(params.json) : (params.body || '')
+          });
+        }
+      });
+
+      return {
+        success: true,
+        data: {
+          route,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'ROUTE_MOCK_FAILED',
+          message: `Failed to add mock route: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pattern: params.pattern,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkBlockRouteTool = {
+  name: 'network_block_route',
+  description: 'Abort matching requests with a network error, e.g. to simulate a blocked CDN or offline API',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      ...matchProperties,
+      errorCode: {
+        type: 'string',
+        description: 'Network error the browser reports for aborted requests',
+        enum: ABORT_ERROR_CODES,
+        default: 'failed'
+      }
+    },
+    required: ['contextId', 'pattern']
+  },
+
+  async handler(params) {
+    try {
+      const options = {
+        errorCode: params.errorCode || 'failed',
+        delay: params.delay || 0
+      };
+
+      const route = await browserManager.addRoute(params.contextId, {
+        pattern: params.pattern,
+        regex: params.regex,
+        method: params.method,
+        times: params.times,
+        action: 'block',
+        options,
+        handle: async (playwrightRoute) => {
+          if (options.delay > 0) {
+            await sleep(options.delay);
+          }
+          return playwrightRoute.abort(options.errorCode);
+        }
+      });
+
+      return {
+        success: true,
+        data: {
+          route,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'ROUTE_BLOCK_FAILED',
+          message: `Failed to add block route: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pattern: params.pattern,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkUnrouteTool = {
+  name: 'network_unroute',
+  description: 'Remove a request interception route, or all routes in the context',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      routeId: {
+        type: 'string',
+        description: 'Route ID from network_mock_route, network_block_route or network_list_routes (omit to remove all routes)'
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const removed = await browserManager.removeRoutes(params.contextId, params.routeId);
+      const remaining = await browserManager.listRoutes(params.contextId);
+
+      return {
+        success: true,
+        data: {
+          removed,
+          remaining: remaining.length,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'UNROUTE_FAILED',
+          message: `Failed to remove route: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            routeId: params.routeId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkListRoutesTool = {
+  name: 'network_list_routes',
+  description: 'List active request interception routes and how many requests each has handled',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const routes = await browserManager.listRoutes(params.contextId);
+
+      return {
+        success: true,
+        data: {
+          routes,
+          total: routes.length,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'LIST_ROUTES_FAILED',
+          message: `Failed to list routes: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
@@ -1,4 +1,76 @@
 import { browserManager } from '../utils/browser-manager.js';
+import { resourceManager } from '../utils/resources.js';
+import { captureResponseBody } from '../utils/response-body.js';
+import { NETWORK_PRESETS } from '../config/defaults.js';
+import { analyzeWaterfall } from '../utils/waterfall.js';
+import { exportRequest, EXPORT_FORMATS } from '../utils/request-export.js';
+import { buildReplayRequest, buildReplayScript, isInitiatedBy } from '../utils/request-replay.js';
+import { diagnoseCorsRequest, matchCorsConsoleMessages, isCrossOrigin } from '../utils/cors.js';
+import { auditCaching } from '../utils/cache-audit.js';
+import { summarizeThirdParties } from '../utils/third-parties.js';
+
+// Response bodies can be large, so they are only returned when asked for
+function presentRequest(req, includeBodies) {
+  if (includeBodies || !req.responseBody) {
+    return req;
+  }
+  const { responseBody, ...rest } = req;
+  return { ...rest, hasResponseBody: responseBody.kind !== 'unavailable' };
+}
+
+// Requests a page made since its latest main-frame navigation, unless an explicit start is given
+function getPageLoadRequests(network, pageId, since) {
+  const pageRequests = network.getRequests({ pageId });
+  const navigation = pageRequests.find(req =>
+    req.isNavigationRequest && req.isMainFrame && !req.redirectedFrom &&
+    (!since || req.timestamp >= since)
+  );
+  const start = since || navigation?.timestamp || 0;
+
+  return {
+    navigation,
+    since: start,
+    requests: pageRequests.filter(req => req.timestamp >= start)
+  };
+}
+
+// Resources Chromium reports as render-blocking, or null where the browser does not say
+function getRenderBlockingUrls(page) {
+  return page.evaluate(() => {
+    const entries = performance.getEntriesByType('resource');
+    if (entries.length === 0 || !('renderBlockingStatus' in entries[0])) {
+      return null;
+    }
+    return entries.filter(entry => entry.renderBlockingStatus === 'blocking').map(entry => entry.name);
+  }).catch(() => null);
+}
+
+// Script attribution from long animation frames (Chromium 123+), or null when unsupported
+function getLongFrameScripts(page) {
+  return page.evaluate(() => new Promise((resolve) => {
+    if (!PerformanceObserver.supportedEntryTypes?.includes('long-animation-frame')) {
+      resolve(null);
+      return;
+    }
+
+    let done = false;
+    const finish = (entries) => {
+      if (done) return;
+      done = true;
+      observer.disconnect();
+      resolve(entries.flatMap(frame => frame.scripts.map(script => ({
+        sourceURL: script.sourceURL,
+        duration: script.duration,
+        invoker: script.invoker
+      }))));
+    };
+
+    // Buffered entries arrive in the first callback; with none recorded it never fires
+    const observer = new PerformanceObserver(list => finish(list.getEntries()));
+    observer.observe({ type: 'long-animation-frame', buffered: true });
+    setTimeout(() => finish(observer.takeRecords()), 200);
+  })).catch(() => null);
+}
 
 export const networkGetRequestsTool = {
   name: 'network_get_requests',
@@ -10,6 +82,10 @@ export const networkGetRequestsTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Only return requests from this page (from browser_navigate or page_list)'
+      },
       status: {
         oneOf: [
           {
@@ -26,12 +102,20 @@ export const networkGetRequestsTool = {
       resourceType: {
         type: 'string',
         description: 'Filter by resource type',
-        enum: ['document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'websocket', 'manifest', 'other']
+        enum: ['document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'websocket', 'eventsource', 'manifest', 'other']
       },
       urlContains: {
         type: 'string',
         description: 'Filter URLs containing this text (case insensitive)'
       },
+      operationName: {
+        type: 'string',
+        description: 'Only return GraphQL requests for this operation name'
+      },
+      hasGraphqlErrors: {
+        type: 'boolean',
+        description: 'Only return GraphQL requests whose response did (true) or did not (false) contain an errors array'
+      },
       since: {
         type: 'number',
         description: 'Only return requests after this timestamp (milliseconds)'
@@ -40,6 +124,11 @@ export const networkGetRequestsTool = {
         type: 'number',
         description: 'Maximum number of requests to return',
         default: 50
+      },
+      includeBodies: {
+        type: 'boolean',
+        description: 'Include captured response bodies (requires captureResponseBodies on browser_launch)',
+        default: false
       }
     },
     required: ['contextId']
@@ -56,11 +145,16 @@ export const networkGetRequestsTool = {
         status: params.status,
         resourceType: params.resourceType,
         urlContains: params.urlContains,
+        operationName: params.operationName,
+        hasGraphqlErrors: params.hasGraphqlErrors,
+        pageId: params.pageId,
         since: params.since,
         limit: params.limit || 50
       };
 
-      const requests = collectors.network.getRequests(options);
+      const requests = collectors.network
+        .getRequests(options)
+        .map(req => presentRequest(req, params.includeBodies === true));
       const stats = collectors.network.getStats();
 
       return {
@@ -102,7 +196,7 @@ export const networkGetRequestsTool = {
 
 export const networkGetFailedRequestsTool = {
   name: 'network_get_failed_requests',
-  description: 'Get failed HTTP requests (4xx, 5xx, or connection failures) for debugging',
+  description: 'Get failed HTTP requests (4xx, 5xx, connection failures, or GraphQL responses with errors) for debugging',
   inputSchema: {
     type: 'object',
     properties: {
@@ -110,6 +204,18 @@ export const networkGetFailedRequestsTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Only return requests from this page (from browser_navigate or page_list)'
+      },
+      operationName: {
+        type: 'string',
+        description: 'Only return GraphQL requests for this operation name'
+      },
+      hasGraphqlErrors: {
+        type: 'boolean',
+        description: 'Only return GraphQL requests whose response did (true) or did not (false) contain an errors array'
+      },
       since: {
         type: 'number',
         description: 'Only return requests after this timestamp (milliseconds)'
@@ -118,6 +224,11 @@ export const networkGetFailedRequestsTool = {
         type: 'number',
         description: 'Maximum number of failed requests to return',
         default: 25
+      },
+      includeBodies: {
+        type: 'boolean',
+        description: 'Include captured response bodies, e.g. the JSON error payload behind a 500',
+        default: true
       }
     },
     required: ['contextId']
@@ -132,18 +243,24 @@ export const networkGetFailedRequestsTool = {
 
       const options = {
         status: 'failed',
+        operationName: params.operationName,
+        hasGraphqlErrors: params.hasGraphqlErrors,
+        pageId: params.pageId,
         since: params.since,
         limit: params.limit || 25
       };
 
-      const failedRequests = collectors.network.getRequests(options);
+      const failedRequests = collectors.network
+        .getRequests(options)
+        .map(req => presentRequest(req, params.includeBodies !== false));
       const stats = collectors.network.getStats();
 
       // Categorize failures
       const failures = {
         networkErrors: [],
         clientErrors: [], // 4xx
-        serverErrors: []  // 5xx
+        serverErrors: [], // 5xx
+        graphqlErrors: [] // errors array on an otherwise successful response
       };
 
       failedRequests.forEach(req => {
@@ -154,6 +271,8 @@ export const networkGetFailedRequestsTool = {
             failures.clientErrors.push(req);
           } else if (req.response.status >= 500) {
             failures.serverErrors.push(req);
+          } else if (req.graphql?.hasErrors) {
+            failures.graphqlErrors.push(req);
           }
         }
       });
@@ -166,7 +285,8 @@ export const networkGetFailedRequestsTool = {
             totalFailed: failedRequests.length,
             networkErrors: failures.networkErrors.length,
             clientErrors: failures.clientErrors.length,
-            serverErrors: failures.serverErrors.length
+            serverErrors: failures.serverErrors.length,
+            graphqlErrors: failures.graphqlErrors.length
           },
           stats,
           contextId: params.contextId
@@ -199,6 +319,1106 @@ export const networkGetFailedRequestsTool = {
   }
 };
 
+export const networkGetResponseBodyTool = {
+  name: 'network_get_response_body',
+  description: 'Get the response body for a captured request (JSON parsed, text truncated, binary summarized by size and hash)',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      requestId: {
+        type: 'string',
+        description: 'Request ID from network_get_requests or network_get_failed_requests'
+      },
+      maxLength: {
+        type: 'number',
+        description: 'Maximum characters of text to return (defaults to the configured maxBodyTextLength)'
+      }
+    },
+    required: ['contextId', 'requestId']
+  },
+
+  async handler(params) {
+    try {
+      const collectors = browserManager.getCollectors(params.contextId);
+      if (!collectors) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const entry = collectors.network.getRequest(params.requestId);
+      if (!entry) {
+        throw new Error(`Request not found: ${params.requestId}`);
+      }
+
+      const maxTextLength = params.maxLength || browserManager.config.network.maxBodyTextLength;
+      let body = entry.responseBody;
+      let source = 'captured';
+
+      // Fetch on demand when nothing was captured or a longer excerpt is wanted
+      if (!body || body.kind === 'unavailable' || (body.truncated && maxTextLength > body.text.length)) {
+        const request = collectors.network.getSourceRequest(params.requestId);
+        const response = request ? await request.response() : null;
+        if (!response) {
+          throw new Error(entry.failed
+            ? `Request failed without a response: ${entry.failure}`
+            : 'Response is not available (request pending or page closed)');
+        }
+
+        body = await captureResponseBody(response, {
+          maxSize: browserManager.config.network.maxResponseSize,
+          maxTextLength
+        });
+        entry.responseBody = body;
+        source = 'fetched';
+      }
+
+      return {
+        success: true,
+        data: {
+          requestId: entry.id,
+          url: entry.url,
+          method: entry.method,
+          status: entry.response?.status ?? null,
+          body,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          source
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'RESPONSE_BODY_FAILED',
+          message: `Failed to get response body: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            requestId: params.requestId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkExportRequestTool = {
+  name: 'network_export_request',
+  description: 'Turn a captured request into a cURL command, Node fetch snippet or raw HTTP message to reproduce it outside the browser',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      requestId: {
+        type: 'string',
+        description: 'Request ID from network_get_requests or network_get_failed_requests'
+      },
+      format: {
+        type: 'string',
+        description: 'Output format',
+        enum: EXPORT_FORMATS,
+        default: 'curl'
+      },
+      redact: {
+        type: 'boolean',
+        description: 'Replace Authorization, Proxy-Authorization and Cookie header values with a placeholder',
+        default: true
+      },
+      redactHeaders: {
+        type: 'array',
+        description: 'Additional header names to redact (e.g. x-api-key)',
+        items: { type: 'string' }
+      }
+    },
+    required: ['contextId', 'requestId']
+  },
+
+  async handler(params) {
+    try {
+      const collectors = browserManager.getCollectors(params.contextId);
+      if (!collectors) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const entry = collectors.network.getRequest(params.requestId);
+      if (!entry) {
+        throw new Error(`Request not found: ${params.requestId}`);
+      }
+
+      // Captured headers omit cookies; the live request can still report the full set
+      let headers = entry.headers;
+      let headersSource = 'captured';
+      const request = collectors.network.getSourceRequest(params.requestId);
+      if (request) {
+        try {
+          headers = await request.allHeaders();
+          headersSource = 'complete';
+        } catch (error) {
+          // The page may have closed; fall back to the captured headers
+        }
+      }
+
+      const exported = exportRequest(entry, params.format || 'curl', {
+        headers,
+        redact: params.redact !== false,
+        redactHeaders: params.redactHeaders
+      });
+
+      return {
+        success: true,
+        data: {
+          ...exported,
+          requestId: entry.id,
+          url: entry.url,
+          method: entry.method,
+          status: entry.response?.status ?? null,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          headersSource
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'REQUEST_EXPORT_FAILED',
+          message: `Failed to export request: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            requestId: params.requestId,
+            format: params.format,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+// Send a request with fetch() from inside the page and return the network entry it produced.
+// The entry is found through the CDP requestId of the request the replay script started, so
+// identical requests the page sends at the same time (e.g. polling) are never mistaken for it.
+async function sendFromPage(page, replay, timeout, network) {
+  const session = await browserManager.getCDPSession(page);
+  const tag = `devtools-replay-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  let requestId = null;
+  const onRequest = (event) => {
+    if (!requestId && isInitiatedBy(event.initiator, tag)) {
+      requestId = event.requestId;
+      browserManager.attachRequestDetails(page, requestId, { replayTag: tag });
+    }
+  };
+
+  session.on('Network.requestWillBeSent', onRequest);
+  try {
+    const { result, exceptionDetails } = await session.send('Runtime.evaluate', {
+      expression: buildReplayScript(replay, timeout, tag),
+      awaitPromise: true,
+      returnByValue: true
+    });
+    if (exceptionDetails) {
+      throw new Error(exceptionDetails.exception?.description || exceptionDetails.text);
+    }
+
+    const entry = network.requests.find(req => req.replayTag === tag) || null;
+    if (entry) {
+      delete entry.replayTag;
+    }
+    return { result: result.value, entry };
+  } finally {
+    session.off('Network.requestWillBeSent', onRequest);
+  }
+}
+
+export const networkReplayRequestTool = {
+  name: 'network_replay_request',
+  description: 'Re-send a captured request from inside the page (so cookies, origin and CORS apply) with optional method, header and body overrides; the new request is recorded and linked to the original',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      requestId: {
+        type: 'string',
+        description: 'Request ID from network_get_requests or network_get_failed_requests'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Page to send the request from (defaults to the page that made the original request, then the active page)'
+      },
+      method: {
+        type: 'string',
+        description: 'Override the HTTP method'
+      },
+      headers: {
+        type: 'object',
+        description: 'Headers to add or override; set a header to null to remove it',
+        additionalProperties: { type: ['string', 'null'] }
+      },
+      body: {
+        type: 'string',
+        description: 'Override the raw request body'
+      },
+      json: {
+        description: 'Override the request body with this JSON value (sets Content-Type if missing)'
+      },
+      timeout: {
+        type: 'number',
+        description: 'Maximum time to wait for the response (milliseconds)',
+        default: 30000
+      }
+    },
+    required: ['contextId', 'requestId']
+  },
+
+  async handler(params) {
+    try {
+      const collectors = browserManager.getCollectors(params.contextId);
+      if (!collectors) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const original = collectors.network.getRequest(params.requestId);
+      if (!original) {
+        throw new Error(`Request not found: ${params.requestId}`);
+      }
+
+      const page = params.pageId
+        ? await browserManager.getPage(params.contextId, params.pageId)
+        : await browserManager.getPage(params.contextId, original.pageId)
+          .catch(() => browserManager.getPage(params.contextId));
+
+      const overrides = {
+        method: params.method,
+        headers: params.headers,
+        body: params.body,
+        json: params.json
+      };
+      const replay = buildReplayRequest(original, overrides);
+      const timeout = params.timeout || 30000;
+
+      const { result, entry } = await sendFromPage(page, replay, timeout, collectors.network);
+      if (!entry) {
+        throw new Error(`Replay was not sent${result.ok ? '' : `: ${result.error}`}`);
+      }
+
+      collectors.network.linkReplay(entry, original.id, {
+        method: params.method || null,
+        headers: params.headers || null,
+        body: params.json !== undefined ? 'json' : params.body !== undefined ? 'raw' : null
+      });
+
+      // Redirects are followed, so report the last hop
+      let final = entry;
+      while (final.redirectedTo && collectors.network.getRequest(final.redirectedTo)) {
+        final = collectors.network.getRequest(final.redirectedTo);
+      }
+
+      // Replays are explicit, so the response body is always captured
+      const finalRequest = collectors.network.getSourceRequest(final.id);
+      const response = finalRequest ? await finalRequest.response() : null;
+      if (response && !final.responseBody) {
+        await browserManager.captureBody(final, response);
+      }
+
+      return {
+        success: true,
+        data: {
+          originalRequestId: original.id,
+          replayRequestId: entry.id,
+          request: {
+            url: replay.url,
+            method: replay.method,
+            headers: replay.headers,
+            body: replay.body
+          },
+          droppedHeaders: replay.droppedHeaders,
+          response: {
+            requestId: final.id,
+            status: final.response?.status ?? null,
+            statusText: final.response?.statusText ?? null,
+            headers: final.response?.headers ?? null,
+            body: final.responseBody || null,
+            failed: final.failed,
+            failure: final.failure || null
+          },
+          fetchError: result.ok ? null : result.error,
+          comparison: {
+            originalStatus: original.response?.status ?? null,
+            replayStatus: final.response?.status ?? null,
+            statusChanged: (original.response?.status ?? null) !== (final.response?.status ?? null)
+          },
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          timeout
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'REPLAY_REQUEST_FAILED',
+          message: `Failed to replay request: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            requestId: params.requestId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkDiagnoseCorsTool = {
+  name: 'network_diagnose_cors',
+  description: 'Explain blocked cross-origin requests: correlates preflight OPTIONS requests, Access-Control-* response headers, credentials mode and console errors, and names the missing or mismatched header',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Only diagnose requests from this page'
+      },
+      requestId: {
+        type: 'string',
+        description: 'Diagnose this request even if it was not blocked'
+      },
+      urlContains: {
+        type: 'string',
+        description: 'Only diagnose requests whose URL contains this text'
+      },
+      since: {
+        type: 'number',
+        description: 'Only diagnose requests after this timestamp'
+      },
+      limit: {
+        type: 'number',
+        description: 'Maximum number of requests to diagnose',
+        default: 20
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const collectors = browserManager.getCollectors(params.contextId);
+      if (!collectors) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const requests = collectors.network.getRequests({
+        pageId: params.pageId,
+        urlContains: params.urlContains,
+        since: params.since
+      });
+      const consoleErrors = collectors.console.getLogs({ types: ['error'], pageId: params.pageId, since: params.since });
+      const messages = matchCorsConsoleMessages(requests, consoleErrors);
+
+      let candidates;
+      if (params.requestId) {
+        const entry = collectors.network.getRequest(params.requestId);
+        if (!entry) {
+          throw new Error(`Request not found: ${params.requestId}`);
+        }
+        candidates = [entry];
+      } else {
+        // CDP-reported CORS errors are authoritative; console messages and failed
+        // cross-origin requests cover cases where the CDP session was not attached yet
+        candidates = requests.filter(req =>
+          req.corsError || req.preflight?.failed || req.preflight?.corsError ||
+          messages.has(req.id) || (req.failed && isCrossOrigin(req))
+        );
+      }
+
+      const diagnoses = candidates
+        .slice(0, params.limit || 20)
+        .map(req => diagnoseCorsRequest(req, messages.get(req.id) || null));
+
+      return {
+        success: true,
+        data: {
+          diagnoses,
+          summary: {
+            diagnosed: diagnoses.length,
+            blocked: diagnoses.filter(diagnosis => diagnosis.blocked).length,
+            withPreflight: diagnoses.filter(diagnosis => diagnosis.preflight).length,
+            corsConsoleErrors: messages.size
+          },
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          filters: {
+            pageId: params.pageId,
+            requestId: params.requestId,
+            urlContains: params.urlContains,
+            since: params.since,
+            limit: params.limit || 20
+          }
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'CORS_DIAGNOSIS_FAILED',
+          message: `Failed to diagnose CORS: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            requestId: params.requestId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkExportHarTool = {
+  name: 'network_export_har',
+  description: 'Export captured network traffic as a HAR 1.2 file (timings, headers, page entries and bodies when captured)',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      path: {
+        type: 'string',
+        description: 'File path to write the HAR to (defaults to a file in the system temp directory)'
+      },
+      includeBodies: {
+        type: 'boolean',
+        description: 'Include captured response bodies (needed to replay the archive with replayHar)',
+        default: true
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const startTime = Date.now();
+      const result = await browserManager.exportHar(params.contextId, params.path, {
+        includeBodies: params.includeBodies !== false
+      });
+      const endTime = Date.now();
+
+      return {
+        success: true,
+        data: {
+          harPath: result.path,
+          resourceUri: resourceManager.registerFile(params.contextId, result.path, 'HAR export'),
+          entries: result.entries,
+          pages: result.pages,
+          fileSize: result.size,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          duration: endTime - startTime,
+          contextId: params.contextId,
+          harVersion: '1.2'
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'HAR_EXPORT_FAILED',
+          message: `Failed to export HAR: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            path: params.path,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkSetConditionsTool = {
+  name: 'network_set_conditions',
+  description: 'Emulate slow or offline networks and CPU throttling for every page in a context (Chromium only)',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      preset: {
+        type: 'string',
+        description: 'Network profile; "custom" uses latency/downloadKbps/uploadKbps, "none" removes throttling',
+        enum: [...Object.keys(NETWORK_PRESETS), 'custom'],
+        default: 'none'
+      },
+      latency: {
+        type: 'number',
+        description: 'Added round-trip latency in milliseconds (custom preset)'
+      },
+      downloadKbps: {
+        type: 'number',
+        description: 'Download throughput in kilobits per second (custom preset, omit for unlimited)'
+      },
+      uploadKbps: {
+        type: 'number',
+        description: 'Upload throughput in kilobits per second (custom preset, omit for unlimited)'
+      },
+      cpuThrottlingRate: {
+        type: 'number',
+        description: 'CPU slowdown factor (1 = no throttling, 4 = 4x slower)',
+        minimum: 1,
+        default: 1
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const preset = params.preset || 'none';
+      let network;
+
+      if (preset === 'custom') {
+        // DevTools protocol throughput is in bytes per second
+        const toBytesPerSecond = (kbps) => (kbps === undefined ? -1 : (kbps * 1000) / 8);
+        network = {
+          offline: false,
+          latency: params.latency || 0,
+          downloadThroughput: toBytesPerSecond(params.downloadKbps),
+          uploadThroughput: toBytesPerSecond(params.uploadKbps)
+        };
+      } else {
+        network = NETWORK_PRESETS[preset];
+        if (!network) {
+          throw new Error(`Unknown network preset: ${preset}`);
+        }
+      }
+
+      const emulation = {
+        profile: preset,
+        network,
+        cpuThrottlingRate: params.cpuThrottlingRate || 1
+      };
+
+      const appliedToPages = await browserManager.setEmulation(params.contextId, emulation);
+
+      return {
+        success: true,
+        data: {
+          profile: preset,
+          network,
+          cpuThrottlingRate: emulation.cpuThrottlingRate,
+          appliedToPages,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          browserType: browserManager.config.browser.type
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'NETWORK_CONDITIONS_FAILED',
+          message: `Failed to set network conditions: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            preset: params.preset,
+            suggestion: browserManager.config.browser.type !== 'chromium'
+              ? 'Network and CPU throttling require PLAYWRIGHT_BROWSER_TYPE=chromium'
+              : undefined,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkAnalyzeWaterfallTool = {
+  name: 'network_analyze_waterfall',
+  description: 'Analyze request timing for a page load: critical path, slowest requests, render-blocking resources, requests after load and idle gaps, plus a text waterfall',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
+      since: {
+        type: 'number',
+        description: 'Analyze requests after this timestamp instead of since the page\'s last navigation'
+      },
+      slowest: {
+        type: 'number',
+        description: 'How many of the slowest requests to report',
+        default: 10
+      },
+      minGap: {
+        type: 'number',
+        description: 'Report idle periods with no request in flight longer than this (milliseconds)',
+        default: 50
+      },
+      width: {
+        type: 'number',
+        description: 'Width of the text waterfall bars in characters',
+        default: 60
+      },
+      maxRows: {
+        type: 'number',
+        description: 'Maximum number of requests drawn in the text waterfall',
+        default: 50
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const collectors = browserManager.getCollectors(params.contextId);
+      if (!collectors) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const pageId = browserManager.getPageId(page);
+      const { navigation, since, requests } = getPageLoadRequests(collectors.network, pageId, params.since);
+
+      const eventAfter = (type) => collectors.network.pageEvents.find(event =>
+        event.pageId === pageId && event.type === type && event.timestamp >= since
+      );
+
+      // Without browser-reported render-blocking status the analysis falls back to a heuristic
+      const renderBlocking = await getRenderBlockingUrls(page);
+
+      const analysis = analyzeWaterfall(requests, {
+        navigationStart: navigation && navigation.timestamp >= since ? navigation.timestamp : null,
+        contentLoadTimestamp: eventAfter('domcontentloaded')?.timestamp,
+        loadTimestamp: eventAfter('load')?.timestamp,
+        renderBlockingUrls: renderBlocking ? new Set(renderBlocking) : null,
+        slowest: params.slowest,
+        minGap: params.minGap,
+        width: params.width,
+        maxRows: params.maxRows
+      });
+
+      return {
+        success: true,
+        data: {
+          ...analysis,
+          navigation: navigation ? { id: navigation.id, url: navigation.url } : null,
+          url: page.url(),
+          contextId: params.contextId,
+          pageId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          since,
+          timingNote: 'Critical path is inferred from request start/end times; timings are in milliseconds from the first request'
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'WATERFALL_ANALYSIS_FAILED',
+          message: `Failed to analyze network waterfall: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pageId: params.pageId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkAuditCachingTool = {
+  name: 'network_audit_caching',
+  description: 'Audit caching and compression of captured responses: uncompressed text, missing validators, short-lived fingerprinted assets, cache vs network, with potential byte savings per domain',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Only audit requests from this page'
+      },
+      urlContains: {
+        type: 'string',
+        description: 'Only audit URLs containing this text'
+      },
+      resourceType: {
+        type: 'string',
+        description: 'Only audit this resource type (e.g. script, stylesheet, image)'
+      },
+      since: {
+        type: 'number',
+        description: 'Only audit requests after this timestamp'
+      },
+      minCompressSize: {
+        type: 'number',
+        description: 'Ignore uncompressed text responses smaller than this (bytes)',
+        default: 1024
+      },
+      limit: {
+        type: 'number',
+        description: 'Maximum number of resources with findings to return (largest savings first)',
+        default: 50
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const collectors = browserManager.getCollectors(params.contextId);
+      if (!collectors) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const requests = collectors.network.getRequests({
+        pageId: params.pageId,
+        urlContains: params.urlContains,
+        resourceType: params.resourceType,
+        since: params.since
+      });
+
+      const audit = auditCaching(requests, {
+        minCompressSize: params.minCompressSize,
+        limit: params.limit
+      });
+
+      return {
+        success: true,
+        data: {
+          ...audit,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          sizeNote: 'transferSize includes headers and comes from CDP; savings are estimates unless the response body was captured',
+          filters: {
+            pageId: params.pageId,
+            urlContains: params.urlContains,
+            resourceType: params.resourceType,
+            since: params.since
+          }
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'CACHING_AUDIT_FAILED',
+          message: `Failed to audit caching: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkGetThirdPartiesTool = {
+  name: 'network_get_third_parties',
+  description: 'Inventory third-party requests by known service or registrable domain relative to the page, classified as analytics, ads, CDN, fonts, tag managers and more, with request counts, bytes and main-thread blocking',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
+      since: {
+        type: 'number',
+        description: 'Include requests after this timestamp instead of since the page\'s last navigation'
+      },
+      category: {
+        type: 'string',
+        description: 'Only return third parties in this category',
+        enum: ['analytics', 'ads', 'tag-manager', 'fonts', 'cdn', 'monitoring', 'social', 'other']
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const collectors = browserManager.getCollectors(params.contextId);
+      if (!collectors) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const pageId = browserManager.getPageId(page);
+      const { navigation, since, requests } = getPageLoadRequests(collectors.network, pageId, params.since);
+
+      const [scripts, renderBlockingUrls] = await Promise.all([
+        getLongFrameScripts(page),
+        getRenderBlockingUrls(page)
+      ]);
+
+      const inventory = summarizeThirdParties(requests, navigation?.url || page.url(), {
+        scripts,
+        renderBlockingUrls
+      });
+      if (params.category) {
+        inventory.thirdParties = inventory.thirdParties.filter(party => party.category === params.category);
+      }
+
+      return {
+        success: true,
+        data: {
+          ...inventory,
+          url: page.url(),
+          contextId: params.contextId,
+          pageId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          since,
+          mainThreadSource: scripts ? 'long-animation-frame' : 'unavailable',
+          bytesNote: 'Bytes are transfer sizes (headers included) where known, otherwise Content-Length'
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'THIRD_PARTIES_FAILED',
+          message: `Failed to inventory third parties: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pageId: params.pageId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const networkGetWebSocketFramesTool = {
+  name: 'network_get_websocket_frames',
+  description: 'Get captured WebSocket frames (sent/received, opcode, payload preview, close codes) and EventSource messages, with the connections they belong to',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Only include connections opened by this page'
+      },
+      socketId: {
+        type: 'string',
+        description: 'Only include frames from this connection'
+      },
+      urlContains: {
+        type: 'string',
+        description: 'Filter by socket URL containing this text'
+      },
+      kind: {
+        type: 'string',
+        description: 'Filter by connection type',
+        enum: ['websocket', 'eventsource']
+      },
+      direction: {
+        type: 'string',
+        description: 'Filter by frame direction (EventSource messages are always received)',
+        enum: ['sent', 'received']
+      },
+      contains: {
+        type: 'string',
+        description: 'Filter by text payload containing this text (case-insensitive)'
+      },
+      since: {
+        type: 'number',
+        description: 'Only include frames after this timestamp'
+      },
+      limit: {
+        type: 'number',
+        description: 'Maximum number of frames to return (most recent)',
+        default: 100
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const collectors = browserManager.getCollectors(params.contextId);
+      if (!collectors) {
+        throw new Error(`Browser context not found: ${params.contextId}`);
+      }
+
+      const frames = collectors.realtime.getFrames({
+        socketId: params.socketId,
+        urlContains: params.urlContains,
+        kind: params.kind,
+        pageId: params.pageId,
+        direction: params.direction,
+        contains: params.contains,
+        since: params.since,
+        limit: params.limit || 100
+      });
+
+      const sockets = collectors.realtime
+        .getSockets({ pageId: params.pageId, kind: params.kind, urlContains: params.urlContains })
+        .filter(socket => !params.socketId || socket.id === params.socketId);
+
+      return {
+        success: true,
+        data: {
+          frames,
+          sockets,
+          total: frames.length,
+          stats: collectors.realtime.getStats(),
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId,
+          filters: {
+            socketId: params.socketId,
+            urlContains: params.urlContains,
+            kind: params.kind,
+            pageId: params.pageId,
+            direction: params.direction,
+            contains: params.contains,
+            since: params.since,
+            limit: params.limit || 100
+          }
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'WEBSOCKET_FRAMES_FAILED',
+          message: `Failed to get WebSocket frames: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
 export const networkClearRequestsTool = {
   name: 'network_clear_requests',
   description: 'Clear stored network request data for a browser context to free memory',
@@ -221,13 +1441,16 @@ export const networkClearRequestsTool = {
       }
 
       const statsBefore = collectors.network.getStats();
+      const framesBefore = collectors.realtime.getStats().frames;
       collectors.network.clearRequests();
+      collectors.realtime.clearFrames();
       const statsAfter = collectors.network.getStats();
 
       return {
         success: true,
         data: {
           cleared: statsBefore.total,
+          clearedFrames: framesBefore,
           remaining: statsAfter.total,
           contextId: params.contextId
         },
@@ -0,0 +1,453 @@
+import { browserManager } from '../utils/browser-manager.js';
+
+export const pageListTool = {
+  name: 'page_list',
+  description: 'List open pages (tabs) in a browser context with their IDs, URLs and which one is active',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const pages = await browserManager.listPages(params.contextId);
+      const activePage = pages.find(page => page.active);
+
+      return {
+        success: true,
+        data: {
+          pages,
+          activePageId: activePage ? activePage.pageId : null,
+          total: pages.length,
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'PAGE_LIST_FAILED',
+          message: `Failed to list pages: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const pageSwitchTool = {
+  name: 'page_switch',
+  description: 'Make a page the active page so tools without an explicit pageId target it',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list'
+      }
+    },
+    required: ['contextId', 'pageId']
+  },
+
+  async handler(params) {
+    try {
+      const page = await browserManager.setActivePage(params.contextId, params.pageId);
+
+      return {
+        success: true,
+        data: {
+          pageId: params.pageId,
+          url: page.url(),
+          title: await page.title(),
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'PAGE_SWITCH_FAILED',
+          message: `Failed to switch page: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pageId: params.pageId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+export const pageCloseTool = {
+  name: 'page_close',
+  description: 'Close a single page (tab) without closing the browser context',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Page ID to close (defaults to the active page)'
+      }
+    },
+    required: ['contextId']
+  },
+
+  async handler(params) {
+    try {
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const pageId = browserManager.getPageId(page);
+      const activePageId = await browserManager.closePage(params.contextId, pageId);
+
+      return {
+        success: true,
+        data: {
+          closedPageId: pageId,
+          activePageId,
+          stats: browserManager.getStats(),
+          contextId: params.contextId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'PAGE_CLOSE_FAILED',
+          message: `Failed to close page: ${error.message}`,
+          details: {
+            contextId: params.contextId,
+            pageId: params.pageId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
+
+function createMatcher(pattern, isRegex) {
+  if (!pattern) {
+    return () => true;
+  }
+  if (isRegex) {
+    const regex = new RegExp(pattern);
+    return (value) => regex.test(value);
+  }
+  const needle = pattern.toLowerCase();
+  return (value) => value.toLowerCase().includes(needle);
+}
+
+async function pollUntil(check, timeout, interval = 100) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  return null;
+}
+
+export const pageWaitForTool = {
+  name: 'page_wait_for',
+  description: 'Wait for a selector state, URL change, network response, console message or JavaScript predicate before continuing',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      contextId: {
+        type: 'string',
+        description: 'Browser context ID from browser_launch'
+      },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
+      mode: {
+        type: 'string',
+        description: 'What to wait for',
+        enum: ['selector', 'url', 'response', 'console', 'function']
+      },
+      selector: {
+        type: 'string',
+        description: 'CSS selector (mode: selector)'
+      },
+      state: {
+        type: 'string',
+        description: 'Element state to wait for (mode: selector)',
+        enum: ['attached', 'detached', 'visible', 'hidden'],
+        default: 'visible'
+      },
+      pattern: {
+        type: 'string',
+        description: 'URL or text to match, case-insensitive substring unless regex is true (modes: url, response, console)'
+      },
+      regex: {
+        type: 'boolean',
+        description: 'Treat pattern as a regular expression',
+        default: false
+      },
+      status: {
+        type: 'number',
+        description: 'Required HTTP status of the response (mode: response)'
+      },
+      consoleTypes: {
+        type: 'array',
+        description: 'Console message types to match (mode: console)',
+        items: {
+          type: 'string',
+          enum: ['log', 'info', 'warn', 'error', 'debug', 'pageerror']
+        }
+      },
+      expression: {
+        type: 'string',
+        description: 'JavaScript expression that becomes truthy when ready (mode: function)'
+      },
+      since: {
+        type: 'number',
+        description: 'Also accept responses/console messages captured after this timestamp, before the wait started (modes: response, console)'
+      },
+      timeout: {
+        type: 'number',
+        description: 'Maximum time to wait (milliseconds)',
+        default: 10000
+      }
+    },
+    required: ['contextId', 'mode']
+  },
+
+  async handler(params) {
+    const startTime = Date.now();
+    const timeout = params.timeout || 10000;
+    const since = params.since || startTime;
+    let waitingFor = { mode: params.mode };
+
+    try {
+      const page = await browserManager.getPage(params.contextId, params.pageId);
+      const pageId = browserManager.getPageId(page);
+      const collectors = browserManager.getCollectors(params.contextId);
+      const matches = createMatcher(params.pattern, params.regex === true);
+      let matched = null;
+      let lastObserved = null;
+
+      switch (params.mode) {
+        case 'selector': {
+          if (!params.selector) {
+            throw new Error('selector is required for mode "selector"');
+          }
+          const state = params.state || 'visible';
+          waitingFor = { ...waitingFor, selector: params.selector, state };
+
+          try {
+            await page.locator(params.selector).first().waitFor({ state, timeout });
+            matched = { count: await page.locator(params.selector).count() };
+          } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            const locator = page.locator(params.selector);
+            const count = await locator.count();
+            lastObserved = {
+              matchingElements: count,
+              firstVisible: count > 0 ? await locator.first().isVisible() : false
+            };
+          }
+          break;
+        }
+
+        case 'url': {
+          if (!params.pattern) {
+            throw new Error('pattern is required for mode "url"');
+          }
+          waitingFor = { ...waitingFor, pattern: params.pattern, regex: params.regex === true };
+
+          matched = await pollUntil(() => (matches(page.url()) ? { url: page.url() } : null), timeout);
+          if (!matched) {
+            lastObserved = { url: page.url() };
+          }
+          break;
+        }
+
+        case 'response': {
+          waitingFor = { ...waitingFor, pattern: params.pattern || null, status: params.status ?? null };
+
+          // Match on when the response arrived, so requests already in flight still count
+          const findResponse = () => collectors.network
+            .getRequests({ pageId })
+            .find(req => req.response && req.response.timestamp >= since && matches(req.url) &&
+              (params.status === undefined || req.response.status === params.status));
+
+          const request = await pollUntil(findResponse, timeout);
+          if (request) {
+            matched = {
+              id: request.id,
+              url: request.url,
+              method: request.method,
+              status: request.response.status
+            };
+          } else {
+            const candidates = collectors.network
+              .getRequests({ pageId })
+              .filter(req => matches(req.url) && (req.timestamp >= since || (!req.response && !req.failed)));
+            lastObserved = {
+              matchingRequests: candidates.slice(0, 10).map(req => ({
+                url: req.url,
+                status: req.response?.status ?? null,
+                pending: !req.response && !req.failed,
+                failed: req.failed
+              }))
+            };
+          }
+          break;
+        }
+
+        case 'console': {
+          waitingFor = { ...waitingFor, pattern: params.pattern || null, consoleTypes: params.consoleTypes || null };
+
+          const findLog = () => collectors.console
+            .getLogs({ since, pageId, types: params.consoleTypes })
+            .find(log => matches(log.text));
+
+          matched = await pollUntil(findLog, timeout);
+          if (!matched) {
+            const recent = collectors.console.getLogs({ since, pageId, types: params.consoleTypes, limit: 5 });
+            lastObserved = {
+              messagesSinceStart: collectors.console.getLogs({ since, pageId }).length,
+              recentMessages: recent.map(log => ({ type: log.type, text: log.text }))
+            };
+          }
+          break;
+        }
+
+        case 'function': {
+          if (!params.expression) {
+            throw new Error('expression is required for mode "function"');
+          }
+          waitingFor = { ...waitingFor, expression: params.expression };
+
+          try {
+            const handle = await page.waitForFunction(params.expression, null, { timeout });
+            matched = { value: await handle.jsonValue().catch(() => '[not serializable]') };
+          } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            lastObserved = {
+              value: await page.evaluate(params.expression).catch(evalError => `[threw: ${evalError.message}]`)
+            };
+          }
+          break;
+        }
+
+        default:
+          throw new Error(`Unknown wait mode: ${params.mode}`);
+      }
+
+      const endTime = Date.now();
+
+      if (!matched) {
+        return {
+          success: false,
+          data: null,
+          metadata: {
+            timestamp: Date.now(),
+            duration: endTime - startTime,
+            contextId: params.contextId,
+            pageId
+          },
+          error: {
+            code: 'WAIT_TIMEOUT',
+            message: `Timed out after ${timeout}ms waiting for ${params.mode}`,
+            details: {
+              waitingFor,
+              lastObserved,
+              url: page.url(),
+              timeout
+            }
+          }
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          mode: params.mode,
+          waitingFor,
+          matched,
+          waitTime: endTime - startTime,
+          url: page.url(),
+          contextId: params.contextId,
+          pageId
+        },
+        metadata: {
+          timestamp: Date.now(),
+          duration: endTime - startTime,
+          contextId: params.contextId,
+          timeout
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        success: false,
+        data: null,
+        metadata: {
+          timestamp: Date.now(),
+          contextId: params.contextId
+        },
+        error: {
+          code: 'WAIT_FAILED',
+          message: `Failed to wait for ${params.mode}: ${error.message}`,
+          details: {
+            waitingFor,
+            contextId: params.contextId,
+            originalError: error.toString()
+          }
+        }
+      };
+    }
+  }
+};
@@ -10,6 +10,10 @@ export const performanceGetMetricsTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       includeResourceTiming: {
         type: 'boolean',
         description: 'Include detailed resource timing data',
@@ -21,14 +25,7 @@ export const performanceGetMetricsTool = {
 
   async handler(params) {
     try {
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
       const collectors = browserManager.getCollectors(params.contextId);
 
       // Get Core Web Vitals and performance metrics
@@ -96,13 +93,25 @@ export const performanceGetMetricsTool = {
       // Store metrics in collector
       collectors.performance.addMetrics(performanceData);
 
+      // Report throttling so slow numbers can be read in context
+      const { settings } = await browserManager.getContext(params.contextId);
+      const throttling = settings.emulation
+        ? {
+          profile: settings.emulation.profile,
+          network: settings.emulation.network,
+          cpuThrottlingRate: settings.emulation.cpuThrottlingRate
+        }
+        : { profile: 'none' };
+
       return {
         success: true,
         data: {
           metrics: performanceData,
+          throttling,
           url: page.url(),
           title: await page.title(),
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
@@ -142,6 +151,10 @@ export const performanceGetCoreVitalsTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       timeout: {
         type: 'number',
         description: 'How long to wait for measurements (milliseconds)',
@@ -153,14 +166,7 @@ export const performanceGetCoreVitalsTool = {
 
   async handler(params) {
     try {
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
       const timeout = params.timeout || 10000;
 
       // Set up Core Web Vitals measurement
@@ -261,7 +267,8 @@ export const performanceGetCoreVitalsTool = {
           url: page.url(),
           title: await page.title(),
           measurementTime: timeout,
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
@@ -10,6 +10,10 @@ export const storageGetLocalStorageTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       keys: {
         type: 'array',
         description: 'Specific keys to retrieve (if not provided, gets all)',
@@ -21,14 +25,7 @@ export const storageGetLocalStorageTool = {
 
   async handler(params) {
     try {
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
 
       const storageData = await page.evaluate((specificKeys) => {
         const storage = {};
@@ -65,7 +62,8 @@ export const storageGetLocalStorageTool = {
           localStorage: storageData.storage,
           stats: storageData.stats,
           url: page.url(),
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
@@ -105,6 +103,10 @@ export const storageGetSessionStorageTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       keys: {
         type: 'array',
         description: 'Specific keys to retrieve (if not provided, gets all)',
@@ -116,14 +118,7 @@ export const storageGetSessionStorageTool = {
 
   async handler(params) {
     try {
-      const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
 
       const storageData = await page.evaluate((specificKeys) => {
         const storage = {};
@@ -160,7 +155,8 @@ export const storageGetSessionStorageTool = {
           sessionStorage: storageData.storage,
           stats: storageData.stats,
           url: page.url(),
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
@@ -200,6 +196,10 @@ export const storageGetCookiesTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       domain: {
         type: 'string',
         description: 'Filter cookies by domain (optional)'
@@ -215,13 +215,7 @@ export const storageGetCookiesTool = {
   async handler(params) {
     try {
       const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
       let cookies = await context.cookies();
 
       // Apply filters
@@ -260,7 +254,8 @@ export const storageGetCookiesTool = {
           cookies: enhancedCookies,
           stats,
           url: page.url(),
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
@@ -303,6 +298,10 @@ export const storageClearDataTool = {
         type: 'string',
         description: 'Browser context ID from browser_launch'
       },
+      pageId: {
+        type: 'string',
+        description: 'Page ID from browser_navigate or page_list (defaults to the active page)'
+      },
       types: {
         type: 'array',
         description: 'Types of storage to clear',
@@ -323,13 +322,7 @@ export const storageClearDataTool = {
   async handler(params) {
     try {
       const { context } = await browserManager.getContext(params.contextId);
-      const pages = context.pages();
-      
-      if (pages.length === 0) {
-        throw new Error('No active pages in browser context');
-      }
-
-      const page = pages[0];
+      const page = await browserManager.getPage(params.contextId, params.pageId);
       const types = params.types || ['all'];
       const results = {};
 
@@ -378,7 +371,8 @@ export const storageClearDataTool = {
           results,
           types: types,
           url: page.url(),
-          contextId: params.contextId
+          contextId: params.contextId,
+          pageId: browserManager.getPageId(page)
         },
         metadata: {
           timestamp: Date.now(),
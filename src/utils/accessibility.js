@@ -0,0 +1,141 @@
+// Accessibility tree from CDP Accessibility.getFullAXTree, reduced to what an agent needs:
+// computed role, accessible name, value, description, states and hierarchy
+
+// AX properties reported as states; false values are left out
+const STATE_PROPERTIES = [
+  'busy', 'checked', 'disabled', 'expanded', 'focused', 'hasPopup', 'invalid', 'level',
+  'modal', 'multiselectable', 'pressed', 'readonly', 'required', 'selected'
+];
+
+// Containers without a name only add nesting; their children take their place
+const STRUCTURAL_ROLES = ['generic', 'none', 'presentation'];
+
+function propertyValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false' || value === false || value === '') return null;
+  return value;
+}
+
+function getStates(node) {
+  const states = {};
+  for (const property of node.properties || []) {
+    if (!STATE_PROPERTIES.includes(property.name)) continue;
+    const value = propertyValue(property.value?.value);
+    if (value !== null && value !== undefined) {
+      states[property.name] = value;
+    }
+  }
+  return states;
+}
+
+// Build the hierarchy below rootId (or the document root). With interestingOnly, ignored
+// nodes and unnamed structural containers are skipped, inline text boxes are dropped and
+// static text repeating its parent's name is left out.
+export function buildAccessibilityTree(axNodes, options = {}) {
+  const maxDepth = options.maxDepth ?? 20;
+  const interestingOnly = options.interestingOnly !== false;
+  const byId = new Map(axNodes.map(node => [node.nodeId, node]));
+  const stats = { totalNodes: axNodes.length, returnedNodes: 0, truncatedNodes: 0 };
+
+  const root = options.rootId ? byId.get(options.rootId) : axNodes.find(node => !node.parentId);
+  if (!root) {
+    return { nodes: [], stats };
+  }
+
+  function children(node, depth, parentName) {
+    return (node.childIds || [])
+      .filter(id => byId.has(id))
+      .flatMap(id => visit(byId.get(id), depth, parentName));
+  }
+
+  function visit(node, depth, parentName) {
+    const role = node.role?.value || 'unknown';
+    const name = node.name?.value || '';
+
+    if (interestingOnly) {
+      if (role === 'InlineTextBox' || (role === 'StaticText' && name === parentName)) {
+        return [];
+      }
+      if (node.ignored || (STRUCTURAL_ROLES.includes(role) && !name)) {
+        return children(node, depth, parentName);
+      }
+    }
+
+    const result = { role };
+    if (name) result.name = name;
+    if (node.value?.value !== undefined && node.value.value !== '') result.value = node.value.value;
+    if (node.description?.value) result.description = node.description.value;
+    if (!interestingOnly && node.ignored) result.ignored = true;
+
+    const states = getStates(node);
+    if (Object.keys(states).length > 0) result.states = states;
+    stats.returnedNodes++;
+
+    if (depth >= maxDepth) {
+      if (node.childIds?.length) {
+        result.truncated = true;
+        stats.truncatedNodes++;
+      }
+      return [result];
+    }
+
+    const nested = children(node, depth + 1, name);
+    if (nested.length > 0) result.children = nested;
+    return [result];
+  }
+
+  return { nodes: visit(root, 0, null), stats };
+}
+
+// Indented outline, one node per line: - role "name" [state, key=value]: value
+export function formatAccessibilityTree(nodes, indent = '') {
+  return nodes.map(node => {
+    const states = Object.entries(node.states || {})
+      .map(([name, value]) => (value === true ? name : `${name}=${value}`));
+
+    let line = `${indent}- ${node.role}`;
+    if (node.name) line += ` ${JSON.stringify(node.name)}`;
+    if (states.length > 0) line += ` [${states.join(', ')}]`;
+    if (node.value !== undefined) line += `: ${node.value}`;
+    if (node.truncated) line += ' …';
+
+    const nested = node.children ? `\n${formatAccessibilityTree(node.children, `${indent}  `)}` : '';
+    return line + nested;
+  }).join('\n');
+}
+
+// CDP backend node ID of the first element matching a CSS selector
+async function resolveBackendNodeId(session, selector) {
+  const { result, exceptionDetails } = await session.send('Runtime.evaluate', {
+    expression: `document.querySelector(${JSON.stringify(selector)})`
+  });
+  if (exceptionDetails) {
+    throw new Error(`Invalid selector: ${selector}`);
+  }
+  if (!result.objectId) {
+    throw new Error(`No element matches selector: ${selector}`);
+  }
+
+  try {
+    const { node } = await session.send('DOM.describeNode', { objectId: result.objectId });
+    return node.backendNodeId;
+  } finally {
+    await session.send('Runtime.releaseObject', { objectId: result.objectId }).catch(() => {});
+  }
+}
+
+export async function getAccessibilityTree(session, options = {}) {
+  const { nodes } = await session.send('Accessibility.getFullAXTree');
+
+  let rootId = null;
+  if (options.selector) {
+    const backendNodeId = await resolveBackendNodeId(session, options.selector);
+    const match = nodes.find(node => node.backendDOMNodeId === backendNodeId);
+    if (!match) {
+      throw new Error(`Element has no accessibility node (it may be hidden): ${options.selector}`);
+    }
+    rootId = match.nodeId;
+  }
+
+  return buildAccessibilityTree(nodes, { ...options, rootId });
+}
@@ -0,0 +1,161 @@
+const OVERLAY_ID = '__playwright_devtools_annotations__';
+const MAX_HIGHLIGHTS_PER_SELECTOR = 20;
+
+const REQUIRED_FIELDS = {
+  rectangle: ['width', 'height'],
+  circle: ['radius'],
+  arrow: ['toX', 'toY'],
+  text: ['text']
+};
+
+// Fail before touching the page when an annotation is missing the fields its shape needs
+export function validateAnnotations(annotations = []) {
+  annotations.forEach((annotation, index) => {
+    const required = REQUIRED_FIELDS[annotation.type];
+    if (!required) {
+      throw new Error(`Annotation ${index}: unknown type "${annotation.type}"`);
+    }
+    for (const field of ['x', 'y', ...required]) {
+      if (annotation[field] === undefined || annotation[field] === null) {
+        throw new Error(`Annotation ${index} (${annotation.type}) requires "${field}"`);
+      }
+    }
+  });
+}
+
+// Accept plain selectors or { selector, label, color }
+export function normalizeHighlights(highlightSelectors = []) {
+  return highlightSelectors.map(item => (typeof item === 'string' ? { selector: item } : item));
+}
+
+// Draw annotations and element highlights in an SVG overlay above the page so they are part
+// of the screenshot. Coordinates are viewport-relative, or document-relative for full-page
+// captures. Returns where each highlighted selector matched.
+export async function renderAnnotations(page, options) {
+  return page.evaluate(({ overlayId, annotations, highlights, fullPage, maxPerSelector }) => {
+    const SVG = 'http://www.w3.org/2000/svg';
+    const root = document.documentElement;
+    const scrollX = fullPage ? window.scrollX : 0;
+    const scrollY = fullPage ? window.scrollY : 0;
+
+    document.getElementById(overlayId)?.remove();
+    const overlay = document.createElementNS(SVG, 'svg');
+    overlay.id = overlayId;
+    overlay.setAttribute('style', [
+      `position: ${fullPage ? 'absolute' : 'fixed'}`,
+      'left: 0',
+      'top: 0',
+      `width: ${fullPage ? root.scrollWidth : window.innerWidth}px`,
+      `height: ${fullPage ? root.scrollHeight : window.innerHeight}px`,
+      'pointer-events: none',
+      'z-index: 2147483647',
+      'overflow: visible'
+    ].join(';'));
+    root.appendChild(overlay);
+
+    const shape = (tag, attributes) => {
+      const element = document.createElementNS(SVG, tag);
+      for (const [name, value] of Object.entries(attributes)) {
+        element.setAttribute(name, value);
+      }
+      overlay.appendChild(element);
+      return element;
+    };
+
+    // Text on a filled backdrop so it stays legible over any page
+    const label = (text, x, y, color, fontSize = 14) => {
+      const backdrop = shape('rect', { fill: color, rx: 3 });
+      const element = shape('text', {
+        x: x + 4,
+        y,
+        fill: 'white',
+        'font-family': 'Arial, sans-serif',
+        'font-size': fontSize,
+        'font-weight': 'bold',
+        'dominant-baseline': 'text-before-edge'
+      });
+      element.textContent = text;
+      const box = element.getBBox();
+      backdrop.setAttribute('x', box.x - 4);
+      backdrop.setAttribute('y', box.y - 2);
+      backdrop.setAttribute('width', box.width + 8);
+      backdrop.setAttribute('height', box.height + 4);
+    };
+
+    for (const annotation of annotations) {
+      const color = annotation.color || 'red';
+      const stroke = { fill: 'none', stroke: color, 'stroke-width': annotation.strokeWidth || 3 };
+
+      if (annotation.type === 'rectangle') {
+        shape('rect', { ...stroke, x: annotation.x, y: annotation.y, width: annotation.width, height: annotation.height });
+      } else if (annotation.type === 'circle') {
+        shape('circle', { ...stroke, cx: annotation.x, cy: annotation.y, r: annotation.radius });
+      } else if (annotation.type === 'arrow') {
+        const angle = Math.atan2(annotation.toY - annotation.y, annotation.toX - annotation.x);
+        const head = 14;
+        shape('line', { ...stroke, x1: annotation.x, y1: annotation.y, x2: annotation.toX, y2: annotation.toY });
+        shape('polygon', {
+          fill: color,
+          points: [
+            [annotation.toX, annotation.toY],
+            [annotation.toX - head * Math.cos(angle - Math.PI / 7), annotation.toY - head * Math.sin(angle - Math.PI / 7)],
+            [annotation.toX - head * Math.cos(angle + Math.PI / 7), annotation.toY - head * Math.sin(angle + Math.PI / 7)]
+          ].map(point => point.join(',')).join(' ')
+        });
+      } else if (annotation.type === 'text') {
+        label(annotation.text, annotation.x, annotation.y, color, annotation.fontSize);
+      }
+
+      if (annotation.text && annotation.type !== 'text') {
+        label(annotation.text, annotation.x, annotation.y - 24, color);
+      }
+    }
+
+    return highlights.map(({ selector, label: text, color = '#e91e63' }) => {
+      let elements;
+      try {
+        elements = Array.from(document.querySelectorAll(selector));
+      } catch (error) {
+        return { selector, matched: 0, error: `Invalid selector: ${error.message}`, boxes: [] };
+      }
+
+      const boxes = elements.slice(0, maxPerSelector).map((element, index) => {
+        const rect = element.getBoundingClientRect();
+        const box = {
+          x: Math.round(rect.left + scrollX),
+          y: Math.round(rect.top + scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        };
+
+        shape('rect', {
+          x: box.x - 2,
+          y: box.y - 2,
+          width: box.width + 4,
+          height: box.height + 4,
+          fill: color,
+          'fill-opacity': 0.12,
+          stroke: color,
+          'stroke-width': 3
+        });
+        const name = text || selector;
+        label(elements.length > 1 ? `${name} [${index + 1}]` : name, box.x - 2, Math.max(0, box.y - 24), color, 12);
+        return box;
+      });
+
+      return { selector, matched: elements.length, boxes };
+    });
+  }, {
+    overlayId: OVERLAY_ID,
+    annotations: options.annotations || [],
+    highlights: normalizeHighlights(options.highlightSelectors),
+    fullPage: Boolean(options.fullPage),
+    maxPerSelector: MAX_HIGHLIGHTS_PER_SELECTOR
+  });
+}
+
+export async function removeAnnotations(page) {
+  await page.evaluate((overlayId) => {
+    document.getElementById(overlayId)?.remove();
+  }, OVERLAY_ID);
+}
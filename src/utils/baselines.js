@@ -0,0 +1,48 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+// Named screenshot baselines: <dir>/<name>.png plus <name>.json describing how the
+// screenshot was taken, so later comparisons can capture the page the same way
+
+export function validateBaselineName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/.test(name)) {
+    throw new Error(`Invalid baseline name "${name}": use letters, digits, ".", "_" and "-"`);
+  }
+  return name;
+}
+
+export async function saveBaseline(dir, name, buffer, meta = {}) {
+  validateBaselineName(name);
+  await fs.mkdir(dir, { recursive: true });
+
+  const path = join(dir, `${name}.png`);
+  const record = { name, ...meta, savedAt: Date.now() };
+  await fs.writeFile(path, buffer);
+  await fs.writeFile(join(dir, `${name}.json`), JSON.stringify(record, null, 2));
+
+  return { ...record, path };
+}
+
+export async function loadBaseline(dir, name) {
+  validateBaselineName(name);
+  const path = join(dir, `${name}.png`);
+
+  let buffer;
+  try {
+    buffer = await fs.readFile(path);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Baseline not found: ${name} (save one with saveBaseline)`);
+    }
+    throw error;
+  }
+
+  let meta = { name };
+  try {
+    meta = JSON.parse(await fs.readFile(join(dir, `${name}.json`), 'utf8'));
+  } catch (error) {
+    // Baselines copied in by hand have no metadata
+  }
+
+  return { buffer, meta: { ...meta, path } };
+}
@@ -1,15 +1,32 @@
 import { chromium, firefox, webkit } from 'playwright';
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
 import { getConfig } from '../config/defaults.js';
-import { ConsoleCollector, NetworkCollector, PerformanceCollector } from './data-collector.js';
+import { ConsoleCollector, NetworkCollector, PerformanceCollector, RealtimeCollector } from './data-collector.js';
 import { BrowserHealthChecker, NavigationGuard } from './health-checker.js';
+import { captureResponseBody } from './response-body.js';
+import { buildHar } from './har.js';
+import { parseWebSocketFrame } from './websocket-frames.js';
+import { RequestCorrelator } from './request-correlator.js';
 
-class BrowserManager {
+// Emits 'console' (contextId, logEntry) for every console message and page error,
+// 'request' and 'requestfinished' (contextId, entry) as traffic is captured,
+// 'requestfailed' (contextId, entry) for network failures, HTTP errors and GraphQL errors,
+// 'contextcreated' and 'contextclosed' (contextId), and 'pageopened' and 'pageclosed'
+// (contextId, pageId)
+class BrowserManager extends EventEmitter {
   constructor() {
+    super();
     this.browser = null;
     this.contexts = new Map();
     this.config = getConfig();
     this.activePages = 0;
     this.dataCollectors = new Map(); // contextId -> collectors
+    this.pageIds = new WeakMap(); // page -> pageId
+    this.cdpSessions = new WeakMap(); // page -> promise of its CDP session
+    this.correlators = new WeakMap(); // page -> RequestCorrelator
     this.healthChecker = new BrowserHealthChecker(this);
     this.navigationGuard = new NavigationGuard(this, this.healthChecker);
   }
@@ -59,7 +76,7 @@ class BrowserManager {
     }
   }
 
-  async createContext(options = {}) {
+  async createContext(options = {}, settings = {}) {
     await this.launchBrowser();
     
     const contextId = `context-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -71,19 +88,52 @@ class BrowserManager {
         ...options
       });
 
+      // Serve matching requests from a recorded archive instead of the network
+      if (settings.replayHar?.path) {
+        await context.routeFromHAR(settings.replayHar.path, {
+          notFound: settings.replayHar.notFound || 'abort',
+          url: settings.replayHar.urlFilter
+        });
+      }
+
       // Enable CDP for DevTools access
       const cdpSession = await context.newCDPSession(await context.newPage());
       await context.pages()[0].close(); // Close the initial page
       
       // Create data collectors for this context
+      const retention = { ...this.config.retention, ...settings.retention };
       const collectors = {
-        console: new ConsoleCollector(),
-        network: new NetworkCollector(), 
-        performance: new PerformanceCollector()
+        console: new ConsoleCollector({ maxLogs: retention.maxConsoleLogs, pinErrors: retention.pinErrors }),
+        network: new NetworkCollector({ maxRequests: retention.maxNetworkRequests, pinErrors: retention.pinErrors }),
+        performance: new PerformanceCollector({ maxEntries: retention.maxPerformanceEntries }),
+        realtime: new RealtimeCollector({
+          maxSockets: retention.maxWebSockets,
+          maxFrames: retention.maxWebSocketFrames,
+          pinErrors: retention.pinErrors
+        })
       };
 
-      this.contexts.set(contextId, { context, cdpSession });
+      this.contexts.set(contextId, {
+        context,
+        cdpSession,
+        pages: new Map(), // pageId -> page
+        activePageId: null,
+        routes: new Map(), // routeId -> active request interception
+        tempFiles: new Set(), // files written for this context, removed when it closes
+        settings: {
+          captureResponseBodies: settings.captureResponseBodies ?? this.config.network.captureResponseBodies,
+          recordHar: settings.recordHar ?? this.config.network.recordHar,
+          replayHar: settings.replayHar || null,
+          retention
+        }
+      });
       this.dataCollectors.set(contextId, collectors);
+
+      // Track pages opened by the site itself (popups, window.open, target=_blank)
+      context.on('page', (page) => {
+        this.setupPage(contextId, page);
+      });
+      this.emit('contextcreated', contextId);
       this.log(`Created browser context: ${contextId}`);
       
       return contextId;
@@ -102,7 +152,6 @@ class BrowserManager {
 
   async createPage(contextId) {
     const { context } = await this.getContext(contextId);
-    const collectors = this.dataCollectors.get(contextId);
     
     if (this.activePages >= this.config.server.maxConcurrentPages) {
       throw new Error(`Maximum concurrent pages limit reached: ${this.config.server.maxConcurrentPages}`);
@@ -110,110 +159,705 @@ class BrowserManager {
 
     try {
       const page = await context.newPage();
-      this.activePages++;
+      this.setupPage(contextId, page);
+
+      this.log(`Created new page in context: ${contextId}`);
+      return page;
+    } catch (error) {
+      throw new Error(`Failed to create page: ${error.message}`);
+    }
+  }
+
+  async getOrCreatePage(contextId) {
+    const { activePageId, pages } = await this.getContext(contextId);
+    const activePage = pages.get(activePageId);
+
+    if (activePage && !activePage.isClosed()) {
+      return activePage;
+    }
+    return this.createPage(contextId);
+  }
+
+  setupPage(contextId, page) {
+    // Pages created through createPage also fire the context 'page' event
+    if (this.pageIds.has(page)) {
+      return this.pageIds.get(page);
+    }
+
+    const contextData = this.contexts.get(contextId);
+    const collectors = this.dataCollectors.get(contextId);
+    if (!contextData || !collectors) {
+      return null;
+    }
+
+    const pageId = `page-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    this.pageIds.set(page, pageId);
+    contextData.pages.set(pageId, page);
+    contextData.activePageId = pageId;
+    this.activePages++;
+
+    // Setup console log collection
+    page.on('console', (msg) => {
+      const logEntry = {
+        type: msg.type(),
+        text: msg.text(),
+        location: msg.location(),
+        timestamp: Date.now(),
+        args: msg.args().map(arg => arg.toString()),
+        pageId
+      };
       
-      // Setup console log collection
-      page.on('console', (msg) => {
-        const logEntry = {
-          type: msg.type(),
-          text: msg.text(),
-          location: msg.location(),
-          timestamp: Date.now(),
-          args: msg.args().map(arg => arg.toString())
-        };
-        
-        collectors.console.addLog(logEntry);
-        this.log(`Console [${msg.type()}]: ${msg.text()}`);
-      });
+      this.emit('console', contextId, collectors.console.addLog(logEntry));
+      this.log(`Console [${msg.type()}]: ${msg.text()}`);
+    });
+    
+    // Setup page error collection
+    page.on('pageerror', (error) => {
+      const errorEntry = {
+        type: 'pageerror',
+        text: error.message,
+        location: { url: page.url() },
+        timestamp: Date.now(),
+        args: [],
+        stackTrace: error.stack,
+        pageId
+      };
+      
+      this.emit('console', contextId, collectors.console.addLog(errorEntry));
+      this.log(`Page error: ${error.message}`);
+    });
+
+    // Setup network request monitoring. Entries are keyed by the Playwright Request object so
+    // responses and failures land on the exact request, even for repeated or redirected URLs.
+    // The correlator pairs them with CDP requestIds for the details captureNetworkDetails reads.
+    const correlator = new RequestCorrelator();
+    this.correlators.set(page, correlator);
+    page.on('request', (request) => {
+      const requestData = {
+        url: request.url(),
+        method: request.method(),
+        headers: request.headers(),
+        resourceType: request.resourceType(),
+        timestamp: Date.now(),
+        postData: request.postData(),
+        failed: false,
+        response: null,
+        pageId,
+        isNavigationRequest: request.isNavigationRequest(),
+        ...this.describeFrame(page, request)
+      };
       
-      // Setup page error collection
-      page.on('pageerror', (error) => {
-        const errorEntry = {
-          type: 'pageerror',
-          text: error.message,
-          location: { url: page.url() },
-          timestamp: Date.now(),
-          args: [],
-          stackTrace: error.stack
+      const entry = collectors.network.addRequest(requestData, request);
+      correlator.addEntry(entry);
+      this.emit('request', contextId, entry);
+    });
+
+    page.on('response', (response) => {
+      const entry = collectors.network.getEntry(response.request());
+      
+      if (entry) {
+        entry.response = {
+          status: response.status(),
+          statusText: response.statusText(),
+          headers: response.headers(),
+          url: response.url(),
+          fromServiceWorker: response.fromServiceWorker(),
+          timestamp: Date.now()
         };
-        
-        collectors.console.addLog(errorEntry);
-        this.log(`Page error: ${error.message}`);
+
+        if (entry.response.status >= 400) {
+          this.emit('requestfailed', contextId, entry);
+        }
+
+        if (contextData.settings.captureResponseBodies) {
+          this.captureBody(entry, response);
+        }
+        if (entry.graphql) {
+          this.captureGraphqlErrors(entry, response, collectors.network).then(() => {
+            if (entry.graphql.hasErrors && entry.response.status < 400) {
+              this.emit('requestfailed', contextId, entry);
+            }
+          });
+        }
+      }
+    });
+
+    page.on('requestfailed', (request) => {
+      const entry = collectors.network.getEntry(request);
+      
+      if (entry) {
+        correlator.removeEntry(entry);
+        entry.failed = true;
+        entry.failure = request.failure()?.errorText || 'Request failed';
+        this.emit('requestfailed', contextId, entry);
+      }
+    });
+
+    page.on('requestfinished', (request) => {
+      const entry = collectors.network.getEntry(request);
+      
+      if (entry) {
+        correlator.removeEntry(entry);
+        entry.timing = request.timing();
+        entry.finishedTimestamp = Date.now();
+        this.emit('requestfinished', contextId, entry);
+      }
+    });
+
+    page.on('domcontentloaded', () => {
+      collectors.network.recordPageEvent(pageId, 'domcontentloaded');
+    });
+
+    page.on('load', () => {
+      collectors.network.recordPageEvent(pageId, 'load');
+    });
+
+    this.captureRealtime(page, pageId, collectors.realtime).catch((error) => {
+      this.log(`Failed to enable WebSocket capture for ${pageId}: ${error.message}`);
+    });
+
+    this.captureNetworkDetails(page, correlator).catch((error) => {
+      this.log(`Failed to enable network detail capture for ${pageId}: ${error.message}`);
+    });
+
+    if (contextData.settings.emulation) {
+      this.applyEmulation(page, contextData.settings.emulation).catch((error) => {
+        this.log(`Failed to apply throttling to ${pageId}: ${error.message}`);
       });
+    }
 
-      // Setup network request monitoring
-      page.on('request', (request) => {
-        const requestData = {
-          url: request.url(),
-          method: request.method(),
-          headers: request.headers(),
-          resourceType: request.resourceType(),
-          timestamp: Date.now(),
-          postData: request.postData(),
-          failed: false,
-          response: null
-        };
-        
-        collectors.network.addRequest(requestData);
+    page.on('close', () => {
+      this.activePages = Math.max(0, this.activePages - 1);
+      this.unregisterPage(contextId, pageId);
+    });
+
+    this.emit('pageopened', contextId, pageId);
+    this.log(`Registered page ${pageId} in context: ${contextId}`);
+    return pageId;
+  }
+
+  async captureBody(entry, response) {
+    try {
+      entry.responseBody = await captureResponseBody(response, {
+        maxSize: this.config.network.maxResponseSize,
+        maxTextLength: this.config.network.maxBodyTextLength
       });
+    } catch (error) {
+      // Bodies are unavailable for aborted requests, redirects and closed pages
+      entry.responseBody = { kind: 'unavailable', reason: error.message };
+    }
+  }
+
+  // Playwright only exposes WebSocket payloads, so frames (with opcodes and close codes) and
+  // EventSource messages are read from the page's CDP Network domain
+  async captureRealtime(page, pageId, realtime) {
+    const session = await this.getCDPSession(page);
+    const sockets = new Map(); // CDP requestId -> socket entry
+
+    session.on('Network.webSocketCreated', ({ requestId, url }) => {
+      sockets.set(requestId, realtime.addSocket({ url, kind: 'websocket', pageId }));
+    });
+
+    session.on('Network.webSocketHandshakeResponseReceived', ({ requestId, response }) => {
+      const socket = sockets.get(requestId);
+      if (socket) {
+        socket.status = 'open';
+        socket.handshakeStatus = response.status;
+      }
+    });
+
+    const onFrame = (direction) => ({ requestId, response }) => {
+      const socket = sockets.get(requestId);
+      if (!socket) return;
+
+      const { closeCode, closeReason, ...frame } = parseWebSocketFrame(response);
+      if (frame.opcode === 8) {
+        frame.closeCode = closeCode;
+        frame.closeReason = closeReason;
+        socket.closeCode = closeCode;
+        socket.closeReason = closeReason;
+        socket.closedBy = direction === 'sent' ? 'client' : 'server';
+      }
+      realtime.addFrame(socket, { ...frame, direction });
+    };
+    session.on('Network.webSocketFrameSent', onFrame('sent'));
+    session.on('Network.webSocketFrameReceived', onFrame('received'));
+
+    session.on('Network.webSocketFrameError', ({ requestId, errorMessage }) => {
+      const socket = sockets.get(requestId);
+      if (socket) {
+        realtime.closeSocket(socket, { error: errorMessage });
+        sockets.delete(requestId);
+      }
+    });
+
+    session.on('Network.webSocketClosed', ({ requestId }) => {
+      const socket = sockets.get(requestId);
+      if (socket) {
+        realtime.closeSocket(socket);
+        sockets.delete(requestId);
+      }
+    });
+
+    // EventSource connections are ordinary requests; their messages are reported per requestId
+    session.on('Network.requestWillBeSent', ({ requestId, request, type }) => {
+      if (type === 'EventSource') {
+        sockets.set(requestId, realtime.addSocket({ url: request.url, kind: 'eventsource', pageId }));
+      }
+    });
 
-      page.on('response', async (response) => {
-        // Find the corresponding request and update it
-        const requests = collectors.network.getRequests({ 
-          urlContains: response.url(),
-          limit: 1 
+    session.on('Network.responseReceived', ({ requestId, response }) => {
+      const socket = sockets.get(requestId);
+      if (socket && socket.kind === 'eventsource') {
+        socket.status = 'open';
+        socket.handshakeStatus = response.status;
+      }
+    });
+
+    session.on('Network.eventSourceMessageReceived', ({ requestId, eventName, eventId, data }) => {
+      const socket = sockets.get(requestId);
+      if (socket) {
+        realtime.addFrame(socket, {
+          direction: 'received',
+          type: 'message',
+          eventName,
+          eventId: eventId || null,
+          payload: data,
+          encoding: 'text'
         });
-        
-        if (requests.length > 0) {
-          const request = requests[0];
-          request.response = {
-            status: response.status(),
-            statusText: response.statusText(),
-            headers: response.headers(),
-            url: response.url(),
-            timestamp: Date.now()
-          };
+      }
+    });
+
+    session.on('Network.loadingFinished', ({ requestId }) => {
+      const socket = sockets.get(requestId);
+      if (socket && socket.kind === 'eventsource') {
+        realtime.closeSocket(socket);
+        sockets.delete(requestId);
+      }
+    });
+
+    session.on('Network.loadingFailed', ({ requestId, errorText, canceled }) => {
+      const socket = sockets.get(requestId);
+      if (socket && socket.kind === 'eventsource') {
+        realtime.closeSocket(socket, canceled ? {} : { error: errorText });
+        sockets.delete(requestId);
+      }
+    });
+
+    await session.send('Network.enable');
+  }
+
+  // Details Playwright does not expose, read from the page's CDP Network domain and attached
+  // to the matching network entry: preflight OPTIONS requests and the exact CORS check that
+  // failed (`preflight`, `corsError`), and where the response came from with its transfer and
+  // decoded sizes (`transfer`). Entries are found by CDP requestId through the correlator.
+  async captureNetworkDetails(page, correlator) {
+    const session = await this.getCDPSession(page);
+    const pending = new Map(); // CDP requestId -> in-flight request details
+
+    const lowerCase = (headers = {}) => Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+    );
+
+    session.on('Network.requestWillBeSent', ({ requestId, request, type, initiator }) => {
+      if (type !== 'Preflight') {
+        // Redirects reuse the requestId, so each hop replaces the previous record
+        pending.set(requestId, { url: request.url, method: request.method, preflight: null, decodedSize: 0 });
+        correlator.addRequestId(requestId, request.method, request.url);
+        return;
+      }
+
+      const headers = lowerCase(request.headers);
+      const requestedMethod = headers['access-control-request-method'] || 'GET';
+      const preflight = {
+        url: request.url,
+        requestedMethod,
+        requestedHeaders: (headers['access-control-request-headers'] || '')
+          .split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+        timestamp: Date.now()
+      };
+      pending.set(requestId, { url: request.url, method: 'OPTIONS', preflight });
+
+      // The preflight's initiator names the request it was sent for
+      if (initiator?.requestId) {
+        correlator.attach(initiator.requestId, { preflight });
+      }
+    });
+
+    session.on('Network.requestServedFromCache', ({ requestId }) => {
+      const request = pending.get(requestId);
+      if (request) {
+        request.servedFromCache = true;
+      }
+    });
+
+    session.on('Network.responseReceived', ({ requestId, response }) => {
+      const request = pending.get(requestId);
+      if (!request) return;
+
+      if (request.preflight) {
+        request.preflight.status = response.status;
+        request.preflight.statusText = response.statusText;
+        request.preflight.headers = lowerCase(response.headers);
+        return;
+      }
+
+      request.status = response.status;
+      request.fromDiskCache = response.fromDiskCache === true;
+      request.fromPrefetchCache = response.fromPrefetchCache === true;
+      request.fromServiceWorker = response.fromServiceWorker === true;
+    });
+
+    session.on('Network.dataReceived', ({ requestId, dataLength }) => {
+      const request = pending.get(requestId);
+      if (request && !request.preflight) {
+        request.decodedSize += dataLength;
+      }
+    });
+
+    session.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+      const request = pending.get(requestId);
+      pending.delete(requestId);
+      if (!request || request.preflight) return;
+
+      let servedFrom = 'network';
+      if (request.fromDiskCache) servedFrom = 'disk-cache';
+      else if (request.fromPrefetchCache) servedFrom = 'prefetch-cache';
+      else if (request.fromServiceWorker) servedFrom = 'service-worker';
+      else if (request.servedFromCache) servedFrom = 'memory-cache';
+      else if (request.status === 304) servedFrom = 'revalidated';
+
+      correlator.attach(requestId, {
+        transfer: {
+          servedFrom,
+          transferSize: encodedDataLength, // bytes on the wire, headers included
+          decodedSize: request.decodedSize
         }
       });
+      correlator.finish(requestId);
+    });
 
-      page.on('requestfailed', (request) => {
-        // Mark request as failed
-        const requests = collectors.network.getRequests({ 
-          urlContains: request.url(),
-          limit: 1 
-        });
-        
-        if (requests.length > 0) {
-          requests[0].failed = true;
-          requests[0].failure = request.failure()?.errorText || 'Request failed';
+    session.on('Network.loadingFailed', ({ requestId, errorText, corsErrorStatus }) => {
+      const request = pending.get(requestId);
+      pending.delete(requestId);
+      if (!request) return;
+
+      const corsError = corsErrorStatus
+        ? { error: corsErrorStatus.corsError, failedParameter: corsErrorStatus.failedParameter || null, errorText }
+        : null;
+
+      if (request.preflight) {
+        request.preflight.failed = true;
+        request.preflight.failure = errorText;
+        request.preflight.corsError = corsError;
+      } else {
+        if (corsError) {
+          correlator.attach(requestId, { corsError });
         }
-      });
+        correlator.finish(requestId);
+      }
+    });
 
-      page.on('close', () => {
-        this.activePages = Math.max(0, this.activePages - 1);
-      });
+    await session.send('Network.enable');
+  }
 
-      this.log(`Created new page in context: ${contextId}`);
-      return page;
+  // GraphQL errors live in the response body, so GraphQL responses are parsed even when
+  // body capture is off; only the error summary is kept
+  async captureGraphqlErrors(entry, response, network) {
+    try {
+      network.recordGraphqlResponse(entry, await response.json());
     } catch (error) {
-      throw new Error(`Failed to create page: ${error.message}`);
+      // Non-JSON responses (e.g. an HTML error page) have no GraphQL errors to report
+    }
+  }
+
+  describeFrame(page, request) {
+    try {
+      const frame = request.frame();
+      return {
+        frameUrl: frame.url(),
+        frameName: frame.name() || null,
+        isMainFrame: frame === page.mainFrame()
+      };
+    } catch (error) {
+      // Service worker requests are not associated with a frame
+      return { frameUrl: null, frameName: null, isMainFrame: false };
+    }
+  }
+
+  unregisterPage(contextId, pageId) {
+    const contextData = this.contexts.get(contextId);
+    // closePage unregisters too, before or after the page's 'close' event
+    if (!contextData || !contextData.pages.delete(pageId)) {
+      return;
+    }
+
+    // Fall back to the most recently opened page still alive
+    if (contextData.activePageId === pageId) {
+      const remaining = Array.from(contextData.pages.keys());
+      contextData.activePageId = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+    }
+    this.emit('pageclosed', contextId, pageId);
+  }
+
+  async getPage(contextId, pageId = null) {
+    const contextData = await this.getContext(contextId);
+
+    if (pageId) {
+      const page = contextData.pages.get(pageId);
+      if (!page || page.isClosed()) {
+        throw new Error(`Page not found: ${pageId}`);
+      }
+      return page;
+    }
+
+    const activePage = contextData.pages.get(contextData.activePageId);
+    if (!activePage || activePage.isClosed()) {
+      throw new Error('No active pages in browser context');
+    }
+    return activePage;
+  }
+
+  getPageId(page) {
+    return this.pageIds.get(page) || null;
+  }
+
+  async listPages(contextId) {
+    const contextData = await this.getContext(contextId);
+    const pages = [];
+
+    for (const [pageId, page] of contextData.pages) {
+      if (page.isClosed()) continue;
+
+      let title = null;
+      try {
+        title = await page.title();
+      } catch (error) {
+        // Page may be mid-navigation or unresponsive
+      }
+
+      pages.push({
+        pageId,
+        url: page.url(),
+        title,
+        active: pageId === contextData.activePageId
+      });
+    }
+
+    return pages;
+  }
+
+  async setActivePage(contextId, pageId) {
+    const contextData = await this.getContext(contextId);
+    const page = await this.getPage(contextId, pageId);
+
+    contextData.activePageId = pageId;
+    await page.bringToFront();
+    return page;
+  }
+
+  async closePage(contextId, pageId) {
+    const page = await this.getPage(contextId, pageId);
+    await page.close();
+    this.unregisterPage(contextId, pageId);
+    return (await this.getContext(contextId)).activePageId;
+  }
+
+  // CDP emulation is per target, so each page gets its own session (the session opened in
+  // createContext belongs to the initial page, which is closed straight away). The promise is
+  // cached so callers racing during setupPage share one session.
+  async getCDPSession(page) {
+    if (!this.cdpSessions.has(page)) {
+      const session = page.context().newCDPSession(page);
+      this.cdpSessions.set(page, session);
+      // A failed attach should not stick to the page
+      session.catch(() => this.cdpSessions.delete(page));
+    }
+    return this.cdpSessions.get(page);
+  }
+
+  // Set fields on the network entry for a CDP requestId of this page, once it is known
+  attachRequestDetails(page, requestId, fields) {
+    this.correlators.get(page)?.attach(requestId, fields);
+  }
+
+  async applyEmulation(page, emulation) {
+    const session = await this.getCDPSession(page);
+    await session.send('Network.enable');
+    await session.send('Network.emulateNetworkConditions', emulation.network);
+    await session.send('Emulation.setCPUThrottlingRate', { rate: emulation.cpuThrottlingRate });
+  }
+
+  async setEmulation(contextId, emulation) {
+    const contextData = await this.getContext(contextId);
+    const applied = [];
+
+    for (const [pageId, page] of contextData.pages) {
+      if (page.isClosed()) continue;
+      await this.applyEmulation(page, emulation);
+      applied.push(pageId);
+    }
+
+    // A profile equivalent to no throttling is dropped so new pages are left untouched
+    const isDisabled = !emulation.network.offline && emulation.network.latency === 0 &&
+      emulation.network.downloadThroughput < 0 && emulation.network.uploadThroughput < 0 &&
+      emulation.cpuThrottlingRate === 1;
+    contextData.settings.emulation = isDisabled ? null : { ...emulation, appliedAt: Date.now() };
+
+    return applied;
+  }
+
+  async addRoute(contextId, route) {
+    const contextData = await this.getContext(contextId);
+    const routeId = `route-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const url = route.regex ? new RegExp(route.pattern) : route.pattern;
+    const collectors = this.dataCollectors.get(contextId);
+
+    const record = {
+      id: routeId,
+      pattern: route.pattern,
+      regex: route.regex === true,
+      action: route.action,
+      options: route.options,
+      hits: 0,
+      createdAt: Date.now(),
+      url
+    };
+
+    record.handler = async (playwrightRoute) => {
+      const request = playwrightRoute.request();
+      if (route.method && request.method() !== route.method.toUpperCase()) {
+        return playwrightRoute.fallback();
+      }
+      if (route.times && record.hits >= route.times) {
+        return playwrightRoute.fallback();
+      }
+
+      record.hits++;
+      const entry = collectors.network.getEntry(request);
+      if (entry) {
+        entry.routedBy = routeId;
+      }
+
+      return route.handle(playwrightRoute);
+    };
+
+    await contextData.context.route(url, record.handler);
+    contextData.routes.set(routeId, record);
+    this.log(`Added ${route.action} route ${routeId} for ${route.pattern}`);
+
+    return this.describeRoute(record);
+  }
+
+  async removeRoutes(contextId, routeId = null) {
+    const contextData = await this.getContext(contextId);
+    const records = routeId
+      ? [contextData.routes.get(routeId)].filter(Boolean)
+      : Array.from(contextData.routes.values());
+
+    if (routeId && records.length === 0) {
+      throw new Error(`Route not found: ${routeId}`);
+    }
+
+    for (const record of records) {
+      await contextData.context.unroute(record.url, record.handler);
+      contextData.routes.delete(record.id);
+    }
+
+    return records.map(record => this.describeRoute(record));
+  }
+
+  async listRoutes(contextId) {
+    const contextData = await this.getContext(contextId);
+    return Array.from(contextData.routes.values()).map(record => this.describeRoute(record));
+  }
+
+  describeRoute(record) {
+    return {
+      routeId: record.id,
+      pattern: record.pattern,
+      regex: record.regex,
+      action: record.action,
+      options: record.options,
+      hits: record.hits,
+      createdAt: record.createdAt
+    };
+  }
+
+  async buildContextHar(contextId, options = {}) {
+    const collectors = this.dataCollectors.get(contextId);
+    if (!collectors) {
+      throw new Error(`Browser context not found: ${contextId}`);
     }
+
+    const pageTitles = {};
+    for (const page of await this.listPages(contextId)) {
+      pageTitles[page.pageId] = page.title;
+    }
+
+    return buildHar(collectors.network.requests, {
+      includeBodies: options.includeBodies,
+      pageEvents: collectors.network.pageEvents,
+      pageTitles
+    });
+  }
+
+  async exportHar(contextId, filePath = null, options = {}) {
+    const har = await this.buildContextHar(contextId, options);
+    const harPath = filePath || join(tmpdir(), `${contextId}-${Date.now()}.har`);
+    const json = JSON.stringify(har, null, 2);
+    await fs.writeFile(harPath, json);
+
+    return {
+      path: harPath,
+      entries: har.log.entries.length,
+      pages: har.log.pages.length,
+      size: Buffer.byteLength(json)
+    };
   }
 
   async closeContext(contextId) {
     const contextData = this.contexts.get(contextId);
+    let harPath = null;
     if (contextData) {
+      if (contextData.settings.recordHar) {
+        try {
+          harPath = (await this.exportHar(contextId)).path;
+          this.log(`Saved HAR for ${contextId}: ${harPath}`);
+        } catch (error) {
+          this.log(`Error saving HAR for ${contextId}: ${error.message}`);
+        }
+      }
+
       try {
         await contextData.context.close();
+        await this.removeTempFiles(contextData);
         this.contexts.delete(contextId);
         this.dataCollectors.delete(contextId); // Clean up collectors
         this.healthChecker.clearHealthData(contextId); // Clean up health data
         this.navigationGuard.resetAttempts(contextId); // Reset navigation attempts
+        this.emit('contextclosed', contextId);
         this.log(`Closed browser context: ${contextId}`);
       } catch (error) {
         this.log(`Error closing context ${contextId}: ${error.message}`);
       }
     }
+    return harPath;
+  }
+
+  trackTempFile(contextId, path) {
+    this.contexts.get(contextId)?.tempFiles.add(path);
+  }
+
+  async removeTempFiles(contextData) {
+    for (const path of contextData.tempFiles) {
+      try {
+        await fs.unlink(path);
+      } catch (error) {
+        // Already removed or moved by the user
+      }
+    }
+    contextData.tempFiles.clear();
   }
 
   async cleanup() {
@@ -243,6 +887,18 @@ class BrowserManager {
     return this.dataCollectors.get(contextId);
   }
 
+  // Pin or unpin a collected entry by ID so it survives eviction; the ID prefix names the collector
+  pinEntry(contextId, id, pinned = true) {
+    const collectors = this.dataCollectors.get(contextId);
+    if (!collectors) {
+      throw new Error(`Browser context not found: ${contextId}`);
+    }
+
+    const owners = { log: 'console', req: 'network', perf: 'performance', ws: 'realtime', frame: 'realtime' };
+    const owner = owners[id.split('-')[0]];
+    return owner ? collectors[owner].pin(id, pinned) : false;
+  }
+
   getStats() {
     return {
       browserRunning: !!this.browser,
@@ -0,0 +1,233 @@
+import { gzipSync } from 'zlib';
+import { getContentType, classifyContentType } from './response-body.js';
+
+const DAY = 24 * 60 * 60;
+const HASHED_ASSET_MIN_LIFETIME = 30 * DAY;
+// Typical gzip ratio for HTML/CSS/JS/JSON, used when the body was not captured
+const ESTIMATED_COMPRESSION_RATIO = 0.7;
+const TEXT_TYPES = ['image/svg+xml', 'application/wasm'];
+
+function lowerCaseHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+}
+
+export function parseCacheControl(value) {
+  const directives = {};
+  for (const part of (value || '').split(',')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (!name) continue;
+    const directiveValue = rest.join('=').replace(/^"|"$/g, '');
+    directives[name.toLowerCase()] = directiveValue === '' ? true : directiveValue;
+  }
+  return directives;
+}
+
+// Seconds the browser may reuse the response without revalidating, or null when no
+// explicit policy was sent (heuristic caching)
+export function getFreshnessLifetime(headers) {
+  const cacheControl = parseCacheControl(headers['cache-control']);
+
+  if (cacheControl['no-store'] || cacheControl['no-cache']) {
+    return 0;
+  }
+  if (cacheControl['max-age'] !== undefined) {
+    const maxAge = parseInt(cacheControl['max-age'], 10);
+    return Number.isNaN(maxAge) ? 0 : maxAge;
+  }
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = headers.date ? Date.parse(headers.date) : Date.now();
+    return Number.isNaN(expires) ? 0 : Math.max(0, Math.round((expires - date) / 1000));
+  }
+  return null;
+}
+
+// Build tools put a content hash in the file name (app.3f9a2c1b.js, chunk-B7X2Q9AZ.css)
+// or a version in the query string
+export function isFingerprinted(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (/[?&](v|ver|version|hash|rev)=[^&]+/i.test(parsed.search)) {
+    return true;
+  }
+
+  const fileName = parsed.pathname.split('/').pop() || '';
+  const match = fileName.match(/[.\-_~]([A-Za-z0-9_-]{8,})\.[A-Za-z0-9]+$/);
+  if (!match) {
+    return false;
+  }
+  const token = match[1];
+  return /^[a-f0-9]+$/i.test(token) || (/\d/.test(token) && /[A-Za-z]/.test(token));
+}
+
+function isCompressible(contentType) {
+  return classifyContentType(contentType) === 'json' || classifyContentType(contentType) === 'text' ||
+    TEXT_TYPES.includes(contentType);
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+// Measure what gzip would save on a captured body; fall back to a typical ratio otherwise
+function estimateCompressionSavings(req, decodedSize) {
+  const body = req.responseBody;
+  if (body && !body.truncated && (body.kind === 'text' || body.kind === 'json')) {
+    const text = body.kind === 'json' ? JSON.stringify(body.json) : body.text;
+    const compressed = gzipSync(Buffer.from(text)).length;
+    return { bytes: Math.max(0, decodedSize - compressed), estimated: false };
+  }
+  return { bytes: Math.round(decodedSize * ESTIMATED_COMPRESSION_RATIO), estimated: true };
+}
+
+export function auditResource(req, options = {}) {
+  const minCompressSize = options.minCompressSize ?? 1024;
+  const headers = lowerCaseHeaders(req.response.headers);
+  const contentType = getContentType(headers);
+  const contentEncoding = (headers['content-encoding'] || '').toLowerCase();
+  const lifetime = getFreshnessLifetime(headers);
+  const cacheControl = parseCacheControl(headers['cache-control']);
+  const servedFrom = req.transfer?.servedFrom || (req.response.fromServiceWorker ? 'service-worker' : 'unknown');
+  const fromNetwork = ['network', 'unknown'].includes(servedFrom);
+
+  const decodedSize = req.transfer?.decodedSize || req.responseBody?.size ||
+    (contentEncoding ? null : parseInt(headers['content-length'], 10) || null);
+  const transferSize = req.transfer ? req.transfer.transferSize : null;
+
+  const findings = [];
+
+  if (fromNetwork && req.response.status === 200 && isCompressible(contentType) &&
+      (!contentEncoding || contentEncoding === 'identity') && decodedSize >= minCompressSize) {
+    const savings = estimateCompressionSavings(req, decodedSize);
+    findings.push({
+      type: 'uncompressed',
+      detail: `${contentType} served without Content-Encoding (${decodedSize} bytes); enable gzip or brotli`,
+      savings: savings.bytes,
+      estimated: savings.estimated
+    });
+  }
+
+  const cacheable = !cacheControl['no-store'] && req.response.status === 200;
+  if (fromNetwork && cacheable && !headers.etag && !headers['last-modified']) {
+    findings.push({
+      type: 'missing_validators',
+      detail: 'No ETag or Last-Modified, so an expired copy cannot be revalidated with a 304 and is downloaded again',
+      savings: lifetime === null || lifetime < DAY ? decodedSize || 0 : 0,
+      estimated: true
+    });
+  }
+
+  if (isFingerprinted(req.url) && !cacheControl['no-store'] && (lifetime === null || lifetime < HASHED_ASSET_MIN_LIFETIME)) {
+    findings.push({
+      type: 'short_lived_hashed_asset',
+      detail: lifetime === null
+        ? 'Fingerprinted asset has no Cache-Control max-age; use "max-age=31536000, immutable"'
+        : `Fingerprinted asset is only fresh for ${lifetime}s; use "max-age=31536000, immutable"`,
+      savings: transferSize ?? decodedSize ?? 0,
+      estimated: true
+    });
+  } else if (lifetime === null && cacheable && fromNetwork) {
+    findings.push({
+      type: 'missing_cache_policy',
+      detail: 'No Cache-Control or Expires header; freshness is left to browser heuristics',
+      savings: 0,
+      estimated: true
+    });
+  }
+
+  return {
+    requestId: req.id,
+    url: req.url,
+    domain: getDomain(req.url),
+    resourceType: req.resourceType,
+    status: req.response.status,
+    contentType: contentType || null,
+    servedFrom,
+    transferSize,
+    decodedSize,
+    contentEncoding: contentEncoding || null,
+    cacheControl: headers['cache-control'] || null,
+    freshnessLifetime: lifetime,
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    findings
+  };
+}
+
+export function auditCaching(requests, options = {}) {
+  const audited = requests
+    .filter(req => req.response && !req.failed && req.method === 'GET' && !req.url.startsWith('data:'))
+    .map(req => auditResource(req, options));
+
+  const domains = new Map();
+  const issueCounts = {};
+  const byServedFrom = {};
+
+  for (const resource of audited) {
+    byServedFrom[resource.servedFrom] = (byServedFrom[resource.servedFrom] || 0) + 1;
+
+    if (!domains.has(resource.domain)) {
+      domains.set(resource.domain, {
+        domain: resource.domain,
+        requests: 0,
+        fromNetwork: 0,
+        fromCache: 0,
+        transferBytes: 0,
+        decodedBytes: 0,
+        issues: {},
+        potentialSavings: { compression: 0, caching: 0, total: 0 }
+      });
+    }
+    const domain = domains.get(resource.domain);
+    domain.requests++;
+    if (['network', 'unknown', 'revalidated'].includes(resource.servedFrom)) {
+      domain.fromNetwork++;
+    } else {
+      domain.fromCache++;
+    }
+    domain.transferBytes += resource.transferSize || 0;
+    domain.decodedBytes += resource.decodedSize || 0;
+
+    for (const finding of resource.findings) {
+      issueCounts[finding.type] = (issueCounts[finding.type] || 0) + 1;
+      domain.issues[finding.type] = (domain.issues[finding.type] || 0) + 1;
+      const bucket = finding.type === 'uncompressed' ? 'compression' : 'caching';
+      domain.potentialSavings[bucket] += finding.savings;
+      domain.potentialSavings.total += finding.savings;
+    }
+  }
+
+  const withFindings = audited
+    .filter(resource => resource.findings.length > 0)
+    .sort((a, b) =>
+      b.findings.reduce((sum, finding) => sum + finding.savings, 0) -
+      a.findings.reduce((sum, finding) => sum + finding.savings, 0)
+    );
+
+  const domainList = Array.from(domains.values())
+    .sort((a, b) => b.potentialSavings.total - a.potentialSavings.total);
+
+  return {
+    summary: {
+      audited: audited.length,
+      withIssues: withFindings.length,
+      byServedFrom,
+      issues: issueCounts,
+      potentialSavings: {
+        compression: domainList.reduce((sum, domain) => sum + domain.potentialSavings.compression, 0),
+        caching: domainList.reduce((sum, domain) => sum + domain.potentialSavings.caching, 0)
+      }
+    },
+    domains: domainList,
+    resources: withFindings.slice(0, options.limit || 50)
+  };
+}
@@ -0,0 +1,272 @@
+import { isForbiddenHeader } from './request-replay.js';
+
+const SIMPLE_METHODS = ['GET', 'HEAD', 'POST'];
+const SAFELISTED_HEADERS = ['accept', 'accept-language', 'content-language', 'content-type', 'range'];
+const SIMPLE_CONTENT_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data', 'text/plain'];
+
+// Chromium's CorsError values (CDP Network.CorsErrorStatus) in plain words
+const BROWSER_REASONS = {
+  DisallowedByMode: 'The request was made with mode "same-origin" but targets another origin',
+  CorsDisabledScheme: 'CORS requests are only supported for http(s) URLs',
+  PreflightInvalidStatus: 'The preflight OPTIONS response did not have a 2xx status',
+  PreflightDisallowedRedirect: 'The preflight OPTIONS request was redirected, which is not allowed',
+  MissingAllowOriginHeader: 'The response has no Access-Control-Allow-Origin header',
+  PreflightMissingAllowOriginHeader: 'The preflight response has no Access-Control-Allow-Origin header',
+  MultipleAllowOriginValues: 'Access-Control-Allow-Origin contains more than one origin',
+  PreflightMultipleAllowOriginValues: 'The preflight Access-Control-Allow-Origin contains more than one origin',
+  InvalidAllowOriginValue: 'Access-Control-Allow-Origin is not a valid origin',
+  PreflightInvalidAllowOriginValue: 'The preflight Access-Control-Allow-Origin is not a valid origin',
+  AllowOriginMismatch: 'Access-Control-Allow-Origin does not match the requesting origin',
+  PreflightAllowOriginMismatch: 'The preflight Access-Control-Allow-Origin does not match the requesting origin',
+  WildcardOriginNotAllowed: 'Access-Control-Allow-Origin is "*" but the request includes credentials',
+  PreflightWildcardOriginNotAllowed: 'The preflight Access-Control-Allow-Origin is "*" but the request includes credentials',
+  InvalidAllowCredentials: 'The request includes credentials but Access-Control-Allow-Credentials is not "true"',
+  PreflightInvalidAllowCredentials: 'The request includes credentials but the preflight Access-Control-Allow-Credentials is not "true"',
+  InvalidAllowMethodsPreflightResponse: 'The preflight Access-Control-Allow-Methods header could not be parsed',
+  InvalidAllowHeadersPreflightResponse: 'The preflight Access-Control-Allow-Headers header could not be parsed',
+  MethodDisallowedByPreflightResponse: 'The request method is not listed in the preflight Access-Control-Allow-Methods',
+  HeaderDisallowedByPreflightResponse: 'A request header is not listed in the preflight Access-Control-Allow-Headers',
+  RedirectContainsCredentials: 'A cross-origin redirect URL contains credentials',
+  InsecurePrivateNetwork: 'A private network request was made from an insecure context',
+  PreflightMissingAllowPrivateNetwork: 'The preflight response is missing Access-Control-Allow-Private-Network: true'
+};
+
+function lowerCaseHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)]));
+}
+
+function getOrigin(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Chromium: "Access to fetch at 'https://api/x' from origin 'https://site' has been blocked by CORS policy: ..."
+export function parseCorsConsoleMessage(text) {
+  if (!text || !text.includes('CORS policy')) {
+    return null;
+  }
+
+  const target = text.match(/Access to (\w+) at '([^']+)' from origin '([^']+)'/);
+  const credentials = text.match(/credentials mode is '([\w-]+)'/);
+
+  return {
+    initiator: target ? target[1] : null,
+    url: target ? target[2] : null,
+    origin: target ? target[3] : null,
+    credentialsMode: credentials ? credentials[1] : null,
+    preflight: text.includes('preflight'),
+    reason: text.slice(text.indexOf('CORS policy:') + 'CORS policy:'.length).trim()
+  };
+}
+
+export function isCrossOrigin(entry) {
+  const requestOrigin = getOrigin(entry.url);
+  const pageOrigin = entry.headers?.origin || getOrigin(entry.frameUrl);
+  return Boolean(requestOrigin && pageOrigin && requestOrigin !== pageOrigin);
+}
+
+// Request headers that are not CORS-safelisted and therefore must appear in Access-Control-Allow-Headers
+export function getNonSafelistedHeaders(headers = {}) {
+  return Object.entries(lowerCaseHeaders(headers))
+    .filter(([name, value]) => {
+      if (isForbiddenHeader(name)) return false;
+      if (!SAFELISTED_HEADERS.includes(name)) return true;
+      if (name === 'content-type') {
+        return !SIMPLE_CONTENT_TYPES.includes(value.split(';')[0].trim().toLowerCase());
+      }
+      return false;
+    })
+    .map(([name]) => name);
+}
+
+function inferCredentialsMode(entry, consoleInfo) {
+  if (consoleInfo?.credentialsMode) {
+    return consoleInfo.credentialsMode;
+  }
+  const browserError = entry.corsError?.error || entry.preflight?.corsError?.error || '';
+  if (/WildcardOriginNotAllowed|InvalidAllowCredentials/.test(browserError)) {
+    return 'include';
+  }
+  return 'unknown';
+}
+
+function problem(source, header, issue, expected, actual, explanation) {
+  return { source, header, issue, expected, actual, explanation };
+}
+
+function describeSource(source) {
+  return source === 'preflight' ? 'preflight response' : 'response';
+}
+
+function checkAllowOrigin(headers, origin, credentialsMode, source) {
+  const header = 'Access-Control-Allow-Origin';
+  const allowOrigin = headers['access-control-allow-origin'];
+
+  if (allowOrigin === undefined) {
+    return problem(source, header, 'missing', origin, null,
+      `The ${describeSource(source)} has no ${header} header; the server must return ${origin || 'the requesting origin'}`);
+  }
+  if (allowOrigin.includes(',')) {
+    return problem(source, header, 'invalid', origin, allowOrigin,
+      `${header} must contain a single origin, got "${allowOrigin}"`);
+  }
+  if (allowOrigin === '*' && credentialsMode === 'include') {
+    return problem(source, header, 'mismatch', origin, allowOrigin,
+      `${header} cannot be "*" when credentials are included; echo the requesting origin${origin ? ` ${origin}` : ''} instead`);
+  }
+  if (allowOrigin !== '*' && origin && allowOrigin !== origin) {
+    return problem(source, header, 'mismatch', origin, allowOrigin,
+      `${header} is "${allowOrigin}" but the request comes from ${origin}`);
+  }
+  return null;
+}
+
+function checkAllowCredentials(headers, credentialsMode, source) {
+  const header = 'Access-Control-Allow-Credentials';
+  const allowCredentials = headers['access-control-allow-credentials'];
+
+  if (credentialsMode !== 'include' || allowCredentials === 'true') {
+    return null;
+  }
+  return problem(source, header, allowCredentials === undefined ? 'missing' : 'mismatch', 'true', allowCredentials ?? null,
+    `The request includes credentials, so the ${describeSource(source)} must return ${header}: true`);
+}
+
+function checkPreflight(preflight, entry, origin, credentialsMode) {
+  const problems = [];
+  const headers = lowerCaseHeaders(preflight.headers);
+
+  if (preflight.failed && !preflight.status) {
+    problems.push(problem('preflight', null, 'failed', '2xx', preflight.failure || null,
+      `The preflight OPTIONS request failed: ${preflight.failure || 'no response'}`));
+    return problems;
+  }
+  if (preflight.status && (preflight.status < 200 || preflight.status >= 300)) {
+    problems.push(problem('preflight', null, 'status', '2xx', preflight.status,
+      `The preflight OPTIONS request returned ${preflight.status}; it must succeed with a 2xx status (often the OPTIONS route is missing or requires auth)`));
+  }
+
+  // "*" only counts as a wildcard without credentials, and never covers Authorization
+  const wildcardAllowed = credentialsMode !== 'include';
+
+  const method = entry.method.toUpperCase();
+  const allowMethods = splitList(headers['access-control-allow-methods']);
+  if (!SIMPLE_METHODS.includes(method) && !allowMethods.includes(method.toLowerCase()) &&
+      !(wildcardAllowed && allowMethods.includes('*'))) {
+    const actual = headers['access-control-allow-methods'] ?? null;
+    problems.push(problem('preflight', 'Access-Control-Allow-Methods', actual === null ? 'missing' : 'mismatch', method, actual,
+      `The preflight response must list ${method} in Access-Control-Allow-Methods`));
+  }
+
+  const allowHeaders = splitList(headers['access-control-allow-headers']);
+  const requested = preflight.requestedHeaders || getNonSafelistedHeaders(entry.headers);
+  const disallowed = requested.filter(name => !allowHeaders.includes(name) &&
+    !(wildcardAllowed && allowHeaders.includes('*') && name !== 'authorization'));
+  if (disallowed.length > 0) {
+    const actual = headers['access-control-allow-headers'] ?? null;
+    problems.push(problem('preflight', 'Access-Control-Allow-Headers', actual === null ? 'missing' : 'mismatch', disallowed.join(', '), actual,
+      `The preflight response must allow request header(s) ${disallowed.join(', ')} in Access-Control-Allow-Headers`));
+  }
+
+  return [
+    ...problems,
+    checkAllowOrigin(headers, origin, credentialsMode, 'preflight'),
+    checkAllowCredentials(headers, credentialsMode, 'preflight')
+  ].filter(Boolean);
+}
+
+function accessControlHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(lowerCaseHeaders(headers)).filter(([name]) => name.startsWith('access-control-'))
+  );
+}
+
+// Explain why a cross-origin request was (or would be) blocked, preferring the reason the
+// browser reported and backing it up with the headers actually exchanged
+export function diagnoseCorsRequest(entry, consoleMessage = null) {
+  const consoleInfo = consoleMessage ? parseCorsConsoleMessage(consoleMessage.text) : null;
+  const origin = consoleInfo?.origin || entry.headers?.origin || getOrigin(entry.frameUrl);
+  const credentialsMode = inferCredentialsMode(entry, consoleInfo);
+  const preflight = entry.preflight || null;
+
+  const problems = preflight ? checkPreflight(preflight, entry, origin, credentialsMode) : [];
+
+  // The actual response only matters once the preflight (if any) passed
+  if (problems.length === 0 && entry.response) {
+    const headers = lowerCaseHeaders(entry.response.headers);
+    problems.push(...[
+      checkAllowOrigin(headers, origin, credentialsMode, 'response'),
+      checkAllowCredentials(headers, credentialsMode, 'response')
+    ].filter(Boolean));
+  }
+
+  const browserError = entry.corsError || preflight?.corsError || null;
+  const browserReason = browserError
+    ? BROWSER_REASONS[browserError.error] || browserError.error
+    : null;
+
+  let summary;
+  if (browserReason) {
+    summary = browserError.failedParameter
+      ? `${browserReason} (value: ${browserError.failedParameter})`
+      : browserReason;
+  } else if (problems.length > 0) {
+    summary = problems[0].explanation;
+  } else if (consoleInfo) {
+    summary = consoleInfo.reason;
+  } else {
+    summary = 'No CORS problem found in the captured headers';
+  }
+
+  return {
+    requestId: entry.id,
+    url: entry.url,
+    method: entry.method,
+    origin,
+    credentialsMode,
+    blocked: Boolean(browserError || consoleInfo || (problems.length > 0 && entry.failed)),
+    summary,
+    problems,
+    browserError,
+    preflight: preflight
+      ? {
+        url: preflight.url,
+        status: preflight.status ?? null,
+        failed: preflight.failed === true,
+        requestedMethod: preflight.requestedMethod || null,
+        requestedHeaders: preflight.requestedHeaders || [],
+        accessControlHeaders: accessControlHeaders(preflight.headers)
+      }
+      : null,
+    accessControlHeaders: entry.response ? accessControlHeaders(entry.response.headers) : null,
+    consoleMessage: consoleMessage ? consoleMessage.text : null
+  };
+}
+
+// Pair each CORS console error with the request it names (latest matching request before it)
+export function matchCorsConsoleMessages(requests, logs) {
+  const matches = new Map(); // requestId -> console entry
+
+  for (const log of logs) {
+    const info = parseCorsConsoleMessage(log.text);
+    if (!info || !info.url) continue;
+
+    const request = requests
+      .filter(req => req.url === info.url && req.timestamp <= log.timestamp && !matches.has(req.id) &&
+        (!log.pageId || req.pageId === log.pageId))
+      .sort((a, b) => b.timestamp - a.timestamp)[0];
+    if (request) {
+      matches.set(request.id, log);
+    }
+  }
+
+  return matches;
+}
@@ -1,19 +1,70 @@
+import { parseGraphqlRequest, summarizeGraphqlResponse, matchesOperationName } from './graphql.js';
+
+// Drop the oldest entries beyond the limit. Pinned entries are only evicted once nothing
+// else is left to evict, so the total never exceeds the limit.
+function evictOldest(entries, limit, isPinned) {
+  const excess = entries.length - limit;
+  if (excess <= 0) {
+    return { kept: entries, dropped: 0 };
+  }
+
+  const unpinned = entries.filter(entry => !isPinned(entry)).length;
+  let dropUnpinned = Math.min(excess, unpinned);
+  let dropPinned = excess - dropUnpinned;
+
+  const kept = entries.filter(entry => {
+    if (isPinned(entry)) {
+      if (dropPinned > 0) {
+        dropPinned--;
+        return false;
+      }
+    } else if (dropUnpinned > 0) {
+      dropUnpinned--;
+      return false;
+    }
+    return true;
+  });
+
+  return { kept, dropped: excess };
+}
+
+function setPinned(entry, pinned) {
+  if (!entry) {
+    return false;
+  }
+  entry.pinned = pinned;
+  return true;
+}
+
 export class ConsoleCollector {
-  constructor() {
+  constructor(options = {}) {
     this.logs = [];
-    this.maxLogs = 1000; // Prevent memory bloat
+    this.maxLogs = options.maxLogs ?? 1000; // Prevent memory bloat
+    this.pinErrors = options.pinErrors ?? true;
+    this.dropped = 0;
+  }
+
+  isPinned(log) {
+    return log.pinned === true || (this.pinErrors && (log.type === 'error' || log.type === 'pageerror'));
+  }
+
+  pin(id, pinned = true) {
+    return setPinned(this.logs.find(log => log.id === id), pinned);
   }
 
   addLog(logEntry) {
-    this.logs.push({
+    const log = {
       ...logEntry,
       id: `log-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-    });
+    };
+    this.logs.push(log);
 
-    // Keep only recent logs
-    if (this.logs.length > this.maxLogs) {
-      this.logs = this.logs.slice(-this.maxLogs);
-    }
+    // Keep only recent logs, plus pinned ones
+    const { kept, dropped } = evictOldest(this.logs, this.maxLogs, entry => this.isPinned(entry));
+    this.logs = kept;
+    this.dropped += dropped;
+
+    return log;
   }
 
   getLogs(options = {}) {
@@ -33,6 +84,13 @@ export class ConsoleCollector {
       );
     }
 
+    // Filter by originating page
+    if (options.pageId) {
+      filteredLogs = filteredLogs.filter(log => 
+        log.pageId === options.pageId
+      );
+    }
+
     // Filter by text content
     if (options.contains) {
       const searchTerm = options.contains.toLowerCase();
@@ -51,11 +109,15 @@ export class ConsoleCollector {
 
   clearLogs() {
     this.logs = [];
+    this.dropped = 0;
   }
 
   getStats() {
     const stats = {
       total: this.logs.length,
+      limit: this.maxLogs,
+      dropped: this.dropped,
+      pinned: this.logs.filter(log => this.isPinned(log)).length,
       byType: {}
     };
 
@@ -68,20 +130,97 @@ export class ConsoleCollector {
 }
 
 export class NetworkCollector {
-  constructor() {
+  constructor(options = {}) {
     this.requests = [];
-    this.maxRequests = 500;
+    this.maxRequests = options.maxRequests ?? 500;
+    this.pinErrors = options.pinErrors ?? true;
+    this.dropped = 0;
+    this.entriesByRequest = new WeakMap(); // Playwright Request -> entry
+    this.requestsByEntry = new WeakMap(); // entry -> Playwright Request
+    this.pageEvents = []; // domcontentloaded/load per page, used for HAR page timings
+  }
+
+  recordPageEvent(pageId, type) {
+    this.pageEvents.push({ pageId, type, timestamp: Date.now() });
+
+    if (this.pageEvents.length > this.maxRequests) {
+      this.pageEvents = this.pageEvents.slice(-this.maxRequests);
+    }
   }
 
-  addRequest(requestData) {
-    this.requests.push({
+  addRequest(requestData, request = null) {
+    const entry = {
       ...requestData,
       id: `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-    });
+    };
 
-    if (this.requests.length > this.maxRequests) {
-      this.requests = this.requests.slice(-this.maxRequests);
+    const graphql = parseGraphqlRequest(requestData);
+    if (graphql) {
+      entry.graphql = graphql;
     }
+
+    // Link redirect hops so the chain can be followed in either direction
+    const previous = request ? this.getEntry(request.redirectedFrom()) : null;
+    if (previous) {
+      entry.redirectedFrom = previous.id;
+      entry.redirectChain = [...(previous.redirectChain || []), previous.id];
+      previous.redirectedTo = entry.id;
+    }
+
+    this.requests.push(entry);
+    if (request) {
+      this.entriesByRequest.set(request, entry);
+      this.requestsByEntry.set(entry, request);
+    }
+
+    // Keep only recent requests, plus pinned ones
+    const { kept, dropped } = evictOldest(this.requests, this.maxRequests, req => this.isPinned(req));
+    this.requests = kept;
+    this.dropped += dropped;
+
+    return entry;
+  }
+
+  isPinned(req) {
+    return req.pinned === true || (this.pinErrors && this.isFailed(req));
+  }
+
+  pin(id, pinned = true) {
+    return setPinned(this.getRequest(id), pinned);
+  }
+
+  getEntry(request) {
+    if (!request) {
+      return null;
+    }
+    return this.entriesByRequest.get(request) || null;
+  }
+
+  getRequest(id) {
+    return this.requests.find(req => req.id === id) || null;
+  }
+
+  getSourceRequest(id) {
+    const entry = this.getRequest(id);
+    return entry ? this.requestsByEntry.get(entry) || null : null;
+  }
+
+  recordGraphqlResponse(entry, json) {
+    if (entry.graphql) {
+      Object.assign(entry.graphql, summarizeGraphqlResponse(json));
+    }
+    return entry;
+  }
+
+  // Mark an entry as a replay of an earlier request; the original keeps a list of its replays
+  linkReplay(entry, originalId, overrides = null) {
+    const original = this.getRequest(originalId);
+    entry.replayOf = originalId;
+    entry.replayOverrides = overrides;
+    if (original) {
+      original.replays = [...(original.replays || []), entry.id];
+    }
+    return entry;
   }
 
   getRequests(options = {}) {
@@ -90,9 +229,7 @@ export class NetworkCollector {
     // Filter by status
     if (options.status) {
       if (options.status === 'failed') {
-        filteredRequests = filteredRequests.filter(req => 
-          req.failed || (req.response && req.response.status >= 400)
-        );
+        filteredRequests = filteredRequests.filter(req => this.isFailed(req));
       } else if (typeof options.status === 'number') {
         filteredRequests = filteredRequests.filter(req => 
           req.response && req.response.status === options.status
@@ -115,6 +252,26 @@ export class NetworkCollector {
       );
     }
 
+    // Filter by originating page
+    if (options.pageId) {
+      filteredRequests = filteredRequests.filter(req => 
+        req.pageId === options.pageId
+      );
+    }
+
+    // Filter by GraphQL operation (all operations of a batch are considered)
+    if (options.operationName) {
+      filteredRequests = filteredRequests.filter(req => 
+        matchesOperationName(req.graphql, options.operationName)
+      );
+    }
+
+    if (options.hasGraphqlErrors !== undefined) {
+      filteredRequests = filteredRequests.filter(req => 
+        req.graphql && req.graphql.hasErrors === options.hasGraphqlErrors
+      );
+    }
+
     // Filter by time range
     if (options.since) {
       filteredRequests = filteredRequests.filter(req => 
@@ -122,8 +279,8 @@ export class NetworkCollector {
       );
     }
 
-    // Sort by timestamp (newest first)
-    filteredRequests.sort((a, b) => b.timestamp - a.timestamp);
+    // Sort by timestamp (newest first), on a copy so eviction order is left alone
+    filteredRequests = [...filteredRequests].sort((a, b) => b.timestamp - a.timestamp);
 
     // Limit results
     if (options.limit) {
@@ -133,23 +290,48 @@ export class NetworkCollector {
     return filteredRequests;
   }
 
+  // GraphQL errors count as failures even though they usually arrive with HTTP 200
+  isFailed(req) {
+    return req.failed || (req.response && req.response.status >= 400) || req.graphql?.hasErrors === true;
+  }
+
   clearRequests() {
     this.requests = [];
+    this.entriesByRequest = new WeakMap();
+    this.requestsByEntry = new WeakMap();
+    this.pageEvents = [];
+    this.dropped = 0;
   }
 
   getStats() {
     const stats = {
       total: this.requests.length,
+      limit: this.maxRequests,
+      dropped: this.dropped,
+      pinned: 0,
       failed: 0,
+      graphql: 0,
+      graphqlErrors: 0,
       byStatus: {},
       byType: {}
     };
 
     this.requests.forEach(req => {
-      if (req.failed || (req.response && req.response.status >= 400)) {
+      if (this.isFailed(req)) {
         stats.failed++;
       }
 
+      if (this.isPinned(req)) {
+        stats.pinned++;
+      }
+
+      if (req.graphql) {
+        stats.graphql++;
+        if (req.graphql.hasErrors) {
+          stats.graphqlErrors++;
+        }
+      }
+
       if (req.response && req.response.status) {
         const statusRange = `${Math.floor(req.response.status / 100)}xx`;
         stats.byStatus[statusRange] = (stats.byStatus[statusRange] || 0) + 1;
@@ -164,10 +346,203 @@ export class NetworkCollector {
   }
 }
 
+// WebSocket and EventSource traffic. Each connection is a socket entry; frames and SSE
+// messages reference it by socketId.
+export class RealtimeCollector {
+  constructor(options = {}) {
+    this.sockets = [];
+    this.frames = [];
+    this.maxSockets = options.maxSockets ?? 100;
+    this.maxFrames = options.maxFrames ?? 1000;
+    this.maxPreviewLength = 2048;
+    this.pinErrors = options.pinErrors ?? true;
+    this.droppedSockets = 0;
+    this.droppedFrames = 0;
+  }
+
+  isPinned(entry) {
+    return entry.pinned === true || (this.pinErrors && entry.status === 'error');
+  }
+
+  pin(id, pinned = true) {
+    const entry = this.getSocket(id) || this.frames.find(frame => frame.id === id);
+    return setPinned(entry, pinned);
+  }
+
+  addSocket(socketData) {
+    const socket = {
+      ...socketData,
+      id: `ws-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      status: 'connecting',
+      closeCode: null,
+      closeReason: null,
+      error: null,
+      framesSent: 0,
+      framesReceived: 0,
+      openedAt: Date.now(),
+      closedAt: null
+    };
+
+    this.sockets.push(socket);
+    const { kept, dropped } = evictOldest(this.sockets, this.maxSockets, entry => this.isPinned(entry));
+    this.sockets = kept;
+    this.droppedSockets += dropped;
+
+    return socket;
+  }
+
+  getSocket(id) {
+    return this.sockets.find(socket => socket.id === id) || null;
+  }
+
+  // payload is text, or base64 when encoding is 'base64' (binary and control frames)
+  addFrame(socket, frameData) {
+    const { payload, ...details } = frameData;
+    const size = details.encoding === 'base64' ? Buffer.from(payload, 'base64').length : Buffer.byteLength(payload);
+    const truncated = payload.length > this.maxPreviewLength;
+
+    const frame = {
+      ...details,
+      id: `frame-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      socketId: socket.id,
+      url: socket.url,
+      kind: socket.kind,
+      pageId: socket.pageId,
+      size,
+      preview: truncated ? payload.slice(0, this.maxPreviewLength) : payload,
+      truncated,
+      timestamp: details.timestamp || Date.now()
+    };
+
+    if (frame.direction === 'sent') {
+      socket.framesSent++;
+    } else {
+      socket.framesReceived++;
+    }
+
+    this.frames.push(frame);
+    const { kept, dropped } = evictOldest(this.frames, this.maxFrames, entry => this.isPinned(entry));
+    this.frames = kept;
+    this.droppedFrames += dropped;
+
+    return frame;
+  }
+
+  closeSocket(socket, details = {}) {
+    socket.status = details.error ? 'error' : 'closed';
+    socket.closedAt = Date.now();
+    if (details.code !== undefined) socket.closeCode = details.code;
+    if (details.reason !== undefined) socket.closeReason = details.reason;
+    if (details.error) socket.error = details.error;
+  }
+
+  getSockets(options = {}) {
+    let filteredSockets = this.sockets;
+
+    if (options.pageId) {
+      filteredSockets = filteredSockets.filter(socket => socket.pageId === options.pageId);
+    }
+
+    if (options.kind) {
+      filteredSockets = filteredSockets.filter(socket => socket.kind === options.kind);
+    }
+
+    if (options.urlContains) {
+      const pattern = options.urlContains.toLowerCase();
+      filteredSockets = filteredSockets.filter(socket => socket.url.toLowerCase().includes(pattern));
+    }
+
+    return filteredSockets;
+  }
+
+  getFrames(options = {}) {
+    let filteredFrames = this.frames;
+
+    // Filter by connection
+    if (options.socketId) {
+      filteredFrames = filteredFrames.filter(frame => frame.socketId === options.socketId);
+    }
+
+    if (options.urlContains) {
+      const pattern = options.urlContains.toLowerCase();
+      filteredFrames = filteredFrames.filter(frame => frame.url.toLowerCase().includes(pattern));
+    }
+
+    if (options.kind) {
+      filteredFrames = filteredFrames.filter(frame => frame.kind === options.kind);
+    }
+
+    if (options.pageId) {
+      filteredFrames = filteredFrames.filter(frame => frame.pageId === options.pageId);
+    }
+
+    // Filter by direction (sent/received)
+    if (options.direction) {
+      filteredFrames = filteredFrames.filter(frame => frame.direction === options.direction);
+    }
+
+    // Filter by payload text; binary frames only carry a base64 preview and never match
+    if (options.contains) {
+      const searchTerm = options.contains.toLowerCase();
+      filteredFrames = filteredFrames.filter(frame =>
+        frame.encoding !== 'base64' && frame.preview.toLowerCase().includes(searchTerm)
+      );
+    }
+
+    if (options.since) {
+      filteredFrames = filteredFrames.filter(frame => frame.timestamp >= options.since);
+    }
+
+    // Limit results
+    if (options.limit) {
+      filteredFrames = filteredFrames.slice(-options.limit);
+    }
+
+    return filteredFrames;
+  }
+
+  clearFrames() {
+    this.frames = [];
+    this.sockets = this.sockets.filter(socket => socket.status === 'connecting' || socket.status === 'open');
+    this.droppedFrames = 0;
+  }
+
+  getStats() {
+    const stats = {
+      sockets: this.sockets.length,
+      openSockets: this.sockets.filter(socket => socket.status === 'open').length,
+      frames: this.frames.length,
+      limits: { sockets: this.maxSockets, frames: this.maxFrames },
+      dropped: { sockets: this.droppedSockets, frames: this.droppedFrames },
+      pinned: this.sockets.filter(socket => this.isPinned(socket)).length +
+        this.frames.filter(frame => this.isPinned(frame)).length,
+      byDirection: {},
+      byKind: {}
+    };
+
+    this.frames.forEach(frame => {
+      stats.byDirection[frame.direction] = (stats.byDirection[frame.direction] || 0) + 1;
+      stats.byKind[frame.kind] = (stats.byKind[frame.kind] || 0) + 1;
+    });
+
+    return stats;
+  }
+}
+
 export class PerformanceCollector {
-  constructor() {
+  constructor(options = {}) {
     this.metrics = {};
     this.entries = [];
+    this.maxEntries = options.maxEntries ?? 100;
+    this.dropped = 0;
+  }
+
+  isPinned(entry) {
+    return entry.pinned === true;
+  }
+
+  pin(id, pinned = true) {
+    return setPinned(this.entries.find(entry => entry.id === id), pinned);
   }
 
   addMetrics(metricsData) {
@@ -184,10 +559,10 @@ export class PerformanceCollector {
       id: `perf-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
     });
 
-    // Keep only recent entries
-    if (this.entries.length > 100) {
-      this.entries = this.entries.slice(-100);
-    }
+    // Keep only recent entries, plus pinned ones
+    const { kept, dropped } = evictOldest(this.entries, this.maxEntries, item => this.isPinned(item));
+    this.entries = kept;
+    this.dropped += dropped;
   }
 
   getMetrics() {
@@ -204,5 +579,15 @@ export class PerformanceCollector {
   clearMetrics() {
     this.metrics = {};
     this.entries = [];
+    this.dropped = 0;
+  }
+
+  getStats() {
+    return {
+      total: this.entries.length,
+      limit: this.maxEntries,
+      dropped: this.dropped,
+      pinned: this.entries.filter(entry => this.isPinned(entry)).length
+    };
   }
 }
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Structured DOM tree, shared by debug_get_dom_tree and the page DOM resource
+export function getDomTree(page, options = {}) {
+  return page.evaluate((options) => {
+    function traverseDOM(element, depth = 0, maxDepth = 10) {
+      if (depth > maxDepth) {
+        return { truncated: true, reason: 'Max depth reached' };
+      }
+
+      const node = {
+        tagName: element.tagName?.toLowerCase(),
+        nodeType: element.nodeType,
+        depth: depth
+      };
+
+      // Add attributes if requested
+      if (options.includeAttributes && element.attributes) {
+        node.attributes = {};
+        for (const attr of element.attributes) {
+          node.attributes[attr.name] = attr.value;
+        }
+      }
+
+      // Add text content if requested and it's a text node or has direct text
+      if (options.includeText) {
+        if (element.nodeType === Node.TEXT_NODE) {
+          node.textContent = element.textContent?.trim();
+        } else if (element.childNodes.length === 1 && element.childNodes[0].nodeType === Node.TEXT_NODE) {
+          node.textContent = element.textContent?.trim();
+        }
+      }
+
+      // Add children
+      if (element.children && element.children.length > 0) {
+        node.children = [];
+        for (const child of element.children) {
+          const childNode = traverseDOM(child, depth + 1, maxDepth);
+          if (childNode) {
+            node.children.push(childNode);
+          }
+        }
+      }
+
+      return node;
+    }
+
+    const startElement = options.selector 
+      ? document.querySelector(options.selector)
+      : document.documentElement;
+
+    if (!startElement) {
+      throw new Error(`Element not found for selector: ${options.selector}`);
+    }
+
+    return traverseDOM(startElement, 0, options.maxDepth);
+  }, {
+    maxDepth: options.maxDepth || 10,
+    includeText: options.includeText !== false,
+    includeAttributes: options.includeAttributes !== false,
+    selector: options.selector
+  });
+}
@@ -0,0 +1,228 @@
+import { browserManager } from './browser-manager.js';
+
+// MCP logging levels, least to most severe
+const LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const RATE_WINDOW = 1000;
+
+export const EVENT_TYPES = ['console_error', 'console_warning', 'page_error', 'request_failed'];
+export const DEFAULT_EVENT_TYPES = ['console_error', 'page_error', 'request_failed'];
+
+const EVENT_LEVELS = {
+  console_error: 'error',
+  console_warning: 'warning',
+  page_error: 'error',
+  request_failed: 'warning'
+};
+
+export function describeConsoleEvent(contextId, log) {
+  const event = { error: 'console_error', warning: 'console_warning', pageerror: 'page_error' }[log.type];
+  if (!event) {
+    return null;
+  }
+
+  return {
+    event,
+    contextId,
+    pageId: log.pageId,
+    logId: log.id,
+    text: log.text,
+    url: log.location?.url || null,
+    location: log.location || null,
+    stackTrace: log.stackTrace,
+    timestamp: log.timestamp
+  };
+}
+
+export function describeRequestEvent(contextId, entry) {
+  return {
+    event: 'request_failed',
+    contextId,
+    pageId: entry.pageId,
+    requestId: entry.id,
+    method: entry.method,
+    url: entry.url,
+    resourceType: entry.resourceType,
+    status: entry.response?.status ?? null,
+    failure: entry.failure || null,
+    graphqlErrors: entry.graphql?.hasErrors ? entry.graphql.errors.map(error => error.message) : undefined,
+    timestamp: Date.now()
+  };
+}
+
+// Pushes collector events to the MCP client as logging notifications. Each context has at
+// most one subscription; events beyond maxPerSecond are counted and reported in a single
+// "events_suppressed" notification once the window closes.
+export class EventStream {
+  constructor(source, options = {}) {
+    this.subscriptions = new Map(); // contextId -> subscription
+    this.send = null;
+    this.minLevel = null;
+    this.now = options.now || Date.now;
+
+    source.on('console', (contextId, log) => {
+      const event = describeConsoleEvent(contextId, log);
+      if (event) {
+        this.handle(event);
+      }
+    });
+    source.on('requestfailed', (contextId, entry) => {
+      this.handle(describeRequestEvent(contextId, entry));
+    });
+    source.on('contextclosed', (contextId) => {
+      this.unsubscribe(contextId);
+    });
+  }
+
+  // send receives logging notification params ({ level, logger, data })
+  setSender(send) {
+    this.send = send;
+  }
+
+  // Set by the client through logging/setLevel
+  setLevel(level) {
+    this.minLevel = level;
+  }
+
+  subscribe(contextId, options = {}) {
+    this.unsubscribe(contextId);
+
+    const subscription = {
+      contextId,
+      events: options.events?.length ? options.events : DEFAULT_EVENT_TYPES,
+      pageId: options.pageId || null,
+      urlContains: options.urlContains || null,
+      textContains: options.textContains || null,
+      maxPerSecond: options.maxPerSecond || 5,
+      createdAt: this.now(),
+      windowStart: 0,
+      sentInWindow: 0,
+      suppressed: 0,
+      totalSent: 0,
+      totalSuppressed: 0,
+      flushTimer: null
+    };
+    this.subscriptions.set(contextId, subscription);
+
+    return this.describe(subscription);
+  }
+
+  unsubscribe(contextId) {
+    const subscription = this.subscriptions.get(contextId);
+    if (!subscription) {
+      return null;
+    }
+
+    this.flush(subscription);
+    this.subscriptions.delete(contextId);
+    return this.describe(subscription);
+  }
+
+  getSubscription(contextId) {
+    const subscription = this.subscriptions.get(contextId);
+    return subscription ? this.describe(subscription) : null;
+  }
+
+  describe(subscription) {
+    return {
+      contextId: subscription.contextId,
+      events: subscription.events,
+      filters: {
+        pageId: subscription.pageId,
+        urlContains: subscription.urlContains,
+        textContains: subscription.textContains
+      },
+      maxPerSecond: subscription.maxPerSecond,
+      createdAt: subscription.createdAt,
+      sent: subscription.totalSent,
+      suppressed: subscription.totalSuppressed
+    };
+  }
+
+  matches(subscription, event) {
+    if (!subscription.events.includes(event.event)) {
+      return false;
+    }
+    if (subscription.pageId && event.pageId !== subscription.pageId) {
+      return false;
+    }
+    if (subscription.urlContains && !(event.url || '').includes(subscription.urlContains)) {
+      return false;
+    }
+    if (subscription.textContains) {
+      const haystack = [event.text, event.failure, event.url, ...(event.graphqlErrors || [])]
+        .filter(Boolean).join('\n').toLowerCase();
+      if (!haystack.includes(subscription.textContains.toLowerCase())) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  handle(event) {
+    const subscription = this.subscriptions.get(event.contextId);
+    if (!subscription || !this.matches(subscription, event)) {
+      return;
+    }
+
+    const level = EVENT_LEVELS[event.event];
+    if (this.minLevel && LEVELS.indexOf(level) < LEVELS.indexOf(this.minLevel)) {
+      return;
+    }
+
+    const now = this.now();
+    if (now - subscription.windowStart >= RATE_WINDOW) {
+      this.flush(subscription);
+      subscription.windowStart = now;
+      subscription.sentInWindow = 0;
+    }
+
+    if (subscription.sentInWindow >= subscription.maxPerSecond) {
+      subscription.suppressed++;
+      subscription.totalSuppressed++;
+      if (!subscription.flushTimer) {
+        const delay = Math.max(0, subscription.windowStart + RATE_WINDOW - now);
+        subscription.flushTimer = setTimeout(() => this.flush(subscription), delay);
+        subscription.flushTimer.unref?.();
+      }
+      return;
+    }
+
+    subscription.sentInWindow++;
+    subscription.totalSent++;
+    this.deliver(level, event);
+  }
+
+  // Report events dropped by the rate limit since the last flush
+  flush(subscription) {
+    if (subscription.flushTimer) {
+      clearTimeout(subscription.flushTimer);
+      subscription.flushTimer = null;
+    }
+    if (subscription.suppressed === 0) {
+      return;
+    }
+
+    this.deliver('warning', {
+      event: 'events_suppressed',
+      contextId: subscription.contextId,
+      count: subscription.suppressed,
+      reason: `More than ${subscription.maxPerSecond} events per second; use console_get_logs or network_get_failed_requests for the full list`,
+      timestamp: this.now()
+    });
+    subscription.suppressed = 0;
+  }
+
+  deliver(level, data) {
+    if (!this.send) {
+      return;
+    }
+
+    // Notifications are best effort; a disconnected client must not break the page listeners
+    Promise.resolve()
+      .then(() => this.send({ level, logger: 'playwright-devtools', data }))
+      .catch(() => {});
+  }
+}
+
+// Singleton instance
+export const eventStream = new EventStream(browserManager);
@@ -0,0 +1,166 @@
+const MAX_ERRORS = 10;
+
+// Blank out strings and comments so keywords inside them are not mistaken for operations
+function stripStringsAndComments(query) {
+  return query
+    .replace(/"""[\s\S]*?"""|"(?:\\.|[^"\\])*"/g, '""')
+    .replace(/#[^\n]*/g, '');
+}
+
+// Operation definitions only appear at the top level of a document, outside any selection set
+export function findOperations(query) {
+  const source = stripStringsAndComments(query);
+  let depth = 0;
+  let parens = 0;
+  let topLevel = '';
+
+  // Keep only top-level text, skipping selection sets and variable definitions
+  for (const char of source) {
+    if (char === '{') {
+      if (depth === 0) topLevel += ' { ';
+      depth++;
+    } else if (char === '}') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === '(') {
+      parens++;
+    } else if (char === ')') {
+      parens = Math.max(0, parens - 1);
+    } else if (depth === 0 && parens === 0) {
+      topLevel += char;
+    }
+  }
+
+  const operations = [];
+  const definition = /\b(query|mutation|subscription|fragment)\b\s*([_A-Za-z][_0-9A-Za-z]*)?|^\s*\{/g;
+  let match;
+  while ((match = definition.exec(topLevel)) !== null) {
+    if (match[1] === 'fragment') continue;
+    operations.push({
+      operationType: match[1] || 'query', // "{ ... }" shorthand is an anonymous query
+      operationName: match[2] || null
+    });
+  }
+
+  return operations;
+}
+
+function describeOperation(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  const persistedQuery = payload.extensions?.persistedQuery;
+  if (typeof payload.query !== 'string' && !persistedQuery) {
+    return null;
+  }
+
+  const operations = typeof payload.query === 'string' ? findOperations(payload.query) : [];
+  if (operations.length === 0 && !persistedQuery) {
+    // e.g. a REST search endpoint taking { "query": "shoes" }
+    return null;
+  }
+
+  const selected = payload.operationName
+    ? operations.find(operation => operation.operationName === payload.operationName)
+    : operations[0];
+
+  return {
+    operationName: payload.operationName || selected?.operationName || null,
+    operationType: selected?.operationType || null,
+    variables: payload.variables ?? null,
+    persistedQueryHash: persistedQuery?.sha256Hash || null
+  };
+}
+
+function parseVariables(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Recognize GraphQL over HTTP: JSON POST bodies (single or batched), application/graphql
+// bodies, and GET requests carrying query/operationName/variables in the URL
+export function parseGraphqlRequest(request) {
+  const headers = request.headers || {};
+  const contentType = (headers['content-type'] || '').toLowerCase();
+  let payloads = null;
+
+  if (request.method === 'GET') {
+    try {
+      const params = new URL(request.url).searchParams;
+      if (params.has('query') || params.has('extensions')) {
+        payloads = [{
+          query: params.get('query') ?? undefined,
+          operationName: params.get('operationName') || undefined,
+          variables: parseVariables(params.get('variables')),
+          extensions: parseVariables(params.get('extensions'))
+        }];
+      }
+    } catch (error) {
+      return null;
+    }
+  } else if (request.postData && contentType.includes('application/graphql')) {
+    payloads = [{ query: request.postData }];
+  } else if (request.postData) {
+    try {
+      const body = JSON.parse(request.postData);
+      payloads = Array.isArray(body) ? body : [body];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const operations = (payloads || []).map(describeOperation);
+  if (operations.length === 0 || operations.some(operation => operation === null)) {
+    return null;
+  }
+
+  return {
+    operationName: operations.map(operation => operation.operationName).filter(Boolean).join(', ') || null,
+    operationType: operations[0].operationType,
+    variables: operations[0].variables,
+    persistedQueryHash: operations[0].persistedQueryHash,
+    batched: operations.length > 1,
+    operations: operations.length > 1 ? operations : undefined,
+    errors: [],
+    errorCount: 0,
+    hasErrors: false
+  };
+}
+
+// GraphQL reports failures in an `errors` array, usually with HTTP 200
+export function summarizeGraphqlResponse(json) {
+  const results = Array.isArray(json) ? json : [json];
+  const errors = [];
+
+  results.forEach((result, operationIndex) => {
+    if (!result || !Array.isArray(result.errors)) return;
+    for (const error of result.errors) {
+      errors.push({
+        message: error?.message ?? String(error),
+        path: error?.path || null,
+        code: error?.extensions?.code || null,
+        operationIndex: results.length > 1 ? operationIndex : undefined
+      });
+    }
+  });
+
+  return {
+    errors: errors.slice(0, MAX_ERRORS),
+    errorCount: errors.length,
+    hasErrors: errors.length > 0,
+    hasData: results.some(result => result && result.data !== undefined && result.data !== null)
+  };
+}
+
+export function matchesOperationName(graphql, operationName) {
+  if (!graphql) return false;
+  const wanted = operationName.toLowerCase();
+  const names = graphql.operations
+    ? graphql.operations.map(operation => operation.operationName)
+    : [graphql.operationName];
+  return names.some(name => name && name.toLowerCase() === wanted);
+}
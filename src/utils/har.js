@@ -0,0 +1,175 @@
+import { getContentType } from './response-body.js';
+
+const CREATOR = { name: 'playwright-devtools-mcp', version: '0.3.0' };
+
+function toHeaderList(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function toQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+function span(start, end) {
+  return start >= 0 && end >= 0 && end >= start ? end - start : -1;
+}
+
+// Convert Playwright's request.timing() (milliseconds relative to startTime, -1 when unknown)
+// into HAR timing phases
+export function toHarTimings(timing) {
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: -1, receive: -1 };
+  }
+
+  const firstActivity = [timing.domainLookupStart, timing.connectStart, timing.requestStart]
+    .find(value => value >= 0);
+
+  return {
+    blocked: firstActivity !== undefined ? firstActivity : -1,
+    dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.secureConnectionStart, timing.connectEnd),
+    send: 0,
+    wait: span(timing.requestStart, timing.responseStart),
+    receive: span(timing.responseStart, timing.responseEnd)
+  };
+}
+
+function totalTime(timings) {
+  // HAR `connect` already includes `ssl`, so ssl is not added again
+  return ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((sum, phase) => sum + Math.max(0, timings[phase]), 0);
+}
+
+function toHarContent(req, includeBodies) {
+  const headers = req.response?.headers || {};
+  const body = includeBodies ? req.responseBody : null;
+  const content = {
+    size: body?.size ?? -1,
+    mimeType: headers['content-type'] || getContentType(headers) || 'x-unknown'
+  };
+
+  if (body?.kind === 'json') {
+    content.text = JSON.stringify(body.json);
+  } else if (body?.kind === 'text') {
+    content.text = body.text;
+    if (body.truncated) {
+      content.comment = `Truncated to ${body.text.length} of ${body.size} bytes`;
+    }
+  } else if (body?.kind === 'binary') {
+    content.comment = `Binary body not stored (sha256 ${body.sha256})`;
+  }
+
+  return content;
+}
+
+function toHarEntry(req, pageref, includeBodies) {
+  const timings = toHarTimings(req.timing);
+  const response = req.response;
+  const requestHeaders = req.headers || {};
+
+  const entry = {
+    pageref,
+    startedDateTime: new Date(req.timestamp).toISOString(),
+    time: totalTime(timings),
+    request: {
+      method: req.method,
+      url: req.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHeaderList(requestHeaders),
+      queryString: toQueryString(req.url),
+      headersSize: -1,
+      bodySize: req.postData ? Buffer.byteLength(req.postData) : 0
+    },
+    response: {
+      status: response?.status ?? 0,
+      statusText: response?.statusText ?? '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHeaderList(response?.headers),
+      content: toHarContent(req, includeBodies),
+      redirectURL: response?.headers?.location || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings,
+    _resourceType: req.resourceType,
+    _requestId: req.id
+  };
+
+  if (req.postData) {
+    entry.request.postData = {
+      mimeType: requestHeaders['content-type'] || 'application/octet-stream',
+      text: req.postData
+    };
+  }
+
+  if (req.failed) {
+    entry.response._error = req.failure;
+  }
+
+  return entry;
+}
+
+// Every main-frame navigation starts a new HAR page; load events are matched to the
+// navigation they follow on the same tab
+function buildPages(requests, pageEvents, pageTitles) {
+  const navigations = requests
+    .filter(req => req.isNavigationRequest && req.isMainFrame && !req.redirectedFrom)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  return navigations.map((nav, index) => {
+    const next = navigations.slice(index + 1).find(other => other.pageId === nav.pageId);
+    const firstEvent = (type) => pageEvents.find(event =>
+      event.pageId === nav.pageId && event.type === type &&
+      event.timestamp >= nav.timestamp && (!next || event.timestamp < next.timestamp)
+    );
+    const contentLoad = firstEvent('domcontentloaded');
+    const load = firstEvent('load');
+
+    return {
+      id: `${nav.pageId}_${index}`,
+      pageId: nav.pageId,
+      timestamp: nav.timestamp,
+      har: {
+        startedDateTime: new Date(nav.timestamp).toISOString(),
+        id: `${nav.pageId}_${index}`,
+        title: (!next && pageTitles[nav.pageId]) || nav.url,
+        pageTimings: {
+          onContentLoad: contentLoad ? contentLoad.timestamp - nav.timestamp : -1,
+          onLoad: load ? load.timestamp - nav.timestamp : -1
+        }
+      }
+    };
+  });
+}
+
+export function buildHar(requests, options = {}) {
+  const includeBodies = options.includeBodies !== false;
+  const pages = buildPages(requests, options.pageEvents || [], options.pageTitles || {});
+
+  const entries = requests
+    .slice()
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(req => {
+      const page = pages
+        .filter(candidate => candidate.pageId === req.pageId && candidate.timestamp <= req.timestamp)
+        .pop();
+      return toHarEntry(req, page ? page.id : undefined, includeBodies);
+    });
+
+  return {
+    log: {
+      version: '1.2',
+      creator: CREATOR,
+      pages: pages.map(page => page.har),
+      entries
+    }
+  };
+}
@@ -123,8 +123,8 @@ export class BrowserHealthChecker {
 
   async forceRecreateContext(contextId) {
     try {
-      // Get the original context settings if possible
-      // const collectors = this.browserManager.getCollectors(contextId);
+      // Carry DevTools settings (e.g. body capture) over to the new context
+      const settings = this.browserManager.contexts.get(contextId)?.settings || {};
       
       // Close the problematic context
       await this.browserManager.closeContext(contextId);
@@ -132,7 +132,7 @@ export class BrowserHealthChecker {
       // Create a fresh context with same ID (or new ID)
       const newContextId = await this.browserManager.createContext({
         viewport: { width: 1280, height: 720 }
-      });
+      }, settings);
 
       return {
         success: true,
@@ -211,7 +211,9 @@ export class NavigationGuard {
 
     try {
       // Attempt navigation with extra safety
-      const page = await this.browserManager.createPage(contextId);
+      const page = options.newTab
+        ? await this.browserManager.createPage(contextId)
+        : await this.browserManager.getOrCreatePage(contextId);
       
       // Add extra navigation safety
       const navigationPromise = page.goto(url, {
@@ -234,6 +236,7 @@ export class NavigationGuard {
         url: page.url(),
         title: await page.title(),
         contextId,
+        pageId: this.browserManager.getPageId(page),
         attempts: attempts + 1
       };
 
@@ -0,0 +1,150 @@
+// Pixels count as changed when their color distance exceeds the threshold (0-1, where 1 is
+// black vs white). Changed pixels are grouped into regions on a coarse grid so a shifted
+// button reports one box instead of hundreds of pixels.
+
+const MAX_DISTANCE = Math.sqrt(3 * 255 * 255);
+const REGION_CELL = 16;
+const MAX_REGIONS = 20;
+
+// Blend onto white so fully transparent pixels compare equal regardless of their color
+function blended(data, offset, channel) {
+  return 255 + (data[offset + channel] - 255) * (data[offset + 3] / 255);
+}
+
+function pixelDistance(a, aOffset, b, bOffset) {
+  const dr = blended(a, aOffset, 0) - blended(b, bOffset, 0);
+  const dg = blended(a, aOffset, 1) - blended(b, bOffset, 1);
+  const db = blended(a, aOffset, 2) - blended(b, bOffset, 2);
+  return Math.sqrt(dr * dr + dg * dg + db * db) / MAX_DISTANCE;
+}
+
+// Connected groups of changed grid cells, as pixel bounding boxes
+function findRegions(cells, columns, rows, width, height) {
+  const seen = new Uint8Array(cells.length);
+  const regions = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) continue;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -1;
+    let maxY = -1;
+    let pixels = 0;
+    const stack = [start];
+    seen[start] = 1;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      minX = Math.min(minX, cx);
+      minY = Math.min(minY, cy);
+      maxX = Math.max(maxX, cx);
+      maxY = Math.max(maxY, cy);
+      pixels += cells[cell];
+
+      // Diagonal neighbours join too, so thin slanted edits stay in one region
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          const next = ny * columns + nx;
+          if (nx >= 0 && ny >= 0 && nx < columns && ny < rows && cells[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    const x = minX * REGION_CELL;
+    const y = minY * REGION_CELL;
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxX + 1) * REGION_CELL) - x,
+      height: Math.min(height, (maxY + 1) * REGION_CELL) - y,
+      changedPixels: pixels
+    });
+  }
+
+  return regions.sort((a, b) => b.changedPixels - a.changedPixels);
+}
+
+// Compare two decoded RGBA images. Images of different sizes are compared over their shared
+// area; the rest of the larger image counts as changed.
+export function diffImages(before, after, options = {}) {
+  const threshold = options.threshold ?? 0.1;
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const columns = Math.ceil(width / REGION_CELL);
+  const rows = Math.ceil(height / REGION_CELL);
+  const cells = new Uint32Array(columns * rows);
+  const diff = new Uint8Array(width * height * 4);
+  let changed = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * 4;
+      const inBefore = x < before.width && y < before.height;
+      const inAfter = x < after.width && y < after.height;
+
+      let isChanged = true;
+      let gray = 255;
+      if (inBefore && inAfter) {
+        const beforeOffset = (y * before.width + x) * 4;
+        const afterOffset = (y * after.width + x) * 4;
+        isChanged = pixelDistance(before.data, beforeOffset, after.data, afterOffset) > threshold;
+        gray = blended(after.data, afterOffset, 0) * 0.299 + blended(after.data, afterOffset, 1) * 0.587 +
+          blended(after.data, afterOffset, 2) * 0.114;
+      }
+
+      diff[target + 3] = 255;
+      if (isChanged) {
+        changed++;
+        cells[Math.floor(y / REGION_CELL) * columns + Math.floor(x / REGION_CELL)]++;
+        diff[target] = 255;
+      } else {
+        // Unchanged pixels are faded so the red changes stand out
+        const faded = 255 - (255 - gray) * 0.25;
+        diff[target] = diff[target + 1] = diff[target + 2] = faded;
+      }
+    }
+  }
+
+  const regions = findRegions(cells, columns, rows, width, height);
+  const total = width * height;
+
+  return {
+    width,
+    height,
+    sizeMismatch: before.width !== after.width || before.height !== after.height,
+    changedPixels: changed,
+    totalPixels: total,
+    mismatchPercentage: total > 0 ? Math.round((changed / total) * 10000) / 100 : 0,
+    regions: regions.slice(0, MAX_REGIONS),
+    regionCount: regions.length,
+    diffImage: { width, height, data: diff }
+  };
+}
+
+// Nearest-neighbour shrink by an integer factor, for diff images over the inline size cap
+export function downscaleImage(image, factor) {
+  const width = Math.max(1, Math.floor(image.width / factor));
+  const height = Math.max(1, Math.floor(image.height / factor));
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = ((y * factor) * image.width + x * factor) * 4;
+      const target = (y * width + x) * 4;
+      data[target] = image.data[source];
+      data[target + 1] = image.data[source + 1];
+      data[target + 2] = image.data[source + 2];
+      data[target + 3] = image.data[source + 3];
+    }
+  }
+
+  return { width, height, data };
+}
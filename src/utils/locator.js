@@ -0,0 +1,35 @@
+// Locator for an interaction tool's target: a CSS selector, or Playwright's user-facing
+// role/text locators. Returns null when no target is given; giving more than one is an error
+// so the action never silently lands on a different element than the caller meant.
+export function resolveLocator(page, params) {
+  const given = ['selector', 'role', 'text'].filter(key => params[key]);
+  if (given.length > 1) {
+    throw new Error(`Use only one of selector, role or text to target an element (got ${given.join(', ')})`);
+  }
+
+  let locator;
+  let description;
+
+  if (params.selector) {
+    locator = page.locator(params.selector);
+    description = params.selector;
+  } else if (params.role) {
+    locator = page.getByRole(params.role, {
+      name: params.name,
+      exact: params.exact === true
+    });
+    description = params.name ? `role=${params.role}[name="${params.name}"]` : `role=${params.role}`;
+  } else if (params.text) {
+    locator = page.getByText(params.text, { exact: params.exact === true });
+    description = `text="${params.text}"`;
+  } else {
+    return null;
+  }
+
+  if (typeof params.nth === 'number') {
+    locator = locator.nth(params.nth);
+    description = `${description} >> nth=${params.nth}`;
+  }
+
+  return { locator, description };
+}
@@ -0,0 +1,185 @@
+import { inflateSync, deflateSync } from 'zlib';
+
+// Minimal PNG codec for screenshot comparison: decodes 8-bit (and 16-bit, reduced to 8-bit)
+// non-interlaced images of any color type to RGBA, and encodes RGBA back to PNG.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // by color type
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buffer) {
+  let crc = -1;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+export function isPng(buffer) {
+  return buffer.length > 8 && buffer.subarray(0, 8).equals(SIGNATURE);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverse the per-scanline filters in place
+function unfilter(data, width, height, bytesPerPixel, stride) {
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    const previous = row - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const raw = data[source + x];
+      const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[previous + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[previous + x - bytesPerPixel] : 0;
+
+      let value;
+      switch (filter) {
+        case 0: value = raw; break;
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: value = raw + paeth(left, up, upLeft); break;
+        default: throw new Error(`Unsupported PNG filter type: ${filter}`);
+      }
+      pixels[row + x] = value & 0xff;
+    }
+  }
+  return pixels;
+}
+
+export function decodePng(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const chunks = [];
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('PNG has no IHDR chunk');
+  }
+  const { width, height, bitDepth, colorType } = header;
+  if (header.interlace !== 0) {
+    throw new Error('Interlaced PNGs are not supported');
+  }
+  if (!CHANNELS[colorType] || (bitDepth !== 8 && bitDepth !== 16)) {
+    throw new Error(`Unsupported PNG format: color type ${colorType}, bit depth ${bitDepth}`);
+  }
+
+  const sampleBytes = bitDepth / 8;
+  const bytesPerPixel = CHANNELS[colorType] * sampleBytes;
+  const stride = width * bytesPerPixel;
+  const pixels = unfilter(inflateSync(Buffer.concat(chunks)), width, height, bytesPerPixel, stride);
+
+  // 16-bit samples keep their high byte
+  const sample = (index, channel) => pixels[index * bytesPerPixel + channel * sampleBytes];
+  const rgba = new Uint8Array(width * height * 4);
+
+  for (let i = 0; i < width * height; i++) {
+    let r;
+    let g;
+    let b;
+    let a = 255;
+
+    if (colorType === 0 || colorType === 4) {
+      r = g = b = sample(i, 0);
+      if (colorType === 4) a = sample(i, 1);
+    } else if (colorType === 2 || colorType === 6) {
+      r = sample(i, 0);
+      g = sample(i, 1);
+      b = sample(i, 2);
+      if (colorType === 6) a = sample(i, 3);
+    } else {
+      const index = pixels[i];
+      r = palette[index * 3];
+      g = palette[index * 3 + 1];
+      b = palette[index * 3 + 2];
+      if (transparency && index < transparency.length) a = transparency[index];
+    }
+
+    const offset = i * 4;
+    rgba[offset] = r;
+    rgba[offset + 1] = g;
+    rgba[offset + 2] = b;
+    rgba[offset + 3] = a;
+  }
+
+  return { width, height, data: rgba };
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+export function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+
+  // Filter type 0 (none) on every scanline; deflate does the rest
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
@@ -0,0 +1,91 @@
+// Pairs CDP Network requestIds with network collector entries. Playwright does not expose the
+// requestId, but a page's CDP session and Playwright see that page's requests in the order the
+// browser sends them, so the Nth CDP request for a method and URL is the Nth Playwright entry
+// for it. Requests only one side reports are dropped when they finish instead of shifting
+// later pairs.
+export class RequestCorrelator {
+  constructor() {
+    this.entries = new Map(); // requestId -> paired entry
+    this.pending = new Map(); // requestId -> { key, fields } not yet paired, oldest first
+    this.waiting = new Map(); // method + URL -> entries not yet paired, oldest first
+  }
+
+  key(method, url) {
+    return `${method} ${url}`;
+  }
+
+  // Network.requestWillBeSent. Redirects reuse the requestId, so each hop pairs again.
+  addRequestId(requestId, method, url) {
+    this.entries.delete(requestId);
+    this.pending.delete(requestId);
+
+    // Playwright never reports data: URLs
+    if (url.startsWith('data:')) {
+      return null;
+    }
+
+    const key = this.key(method, url);
+    const queue = this.waiting.get(key);
+    const entry = queue?.shift();
+    if (queue?.length === 0) {
+      this.waiting.delete(key);
+    }
+
+    if (entry) {
+      this.entries.set(requestId, entry);
+      return entry;
+    }
+    this.pending.set(requestId, { key, fields: {} });
+    return null;
+  }
+
+  // Playwright 'request' event; returns the requestId when the CDP side was seen first
+  addEntry(entry) {
+    const key = this.key(entry.method, entry.url);
+    for (const [requestId, item] of this.pending) {
+      if (item.key === key) {
+        this.pending.delete(requestId);
+        this.entries.set(requestId, entry);
+        Object.assign(entry, item.fields);
+        return requestId;
+      }
+    }
+
+    if (!this.waiting.has(key)) {
+      this.waiting.set(key, []);
+    }
+    this.waiting.get(key).push(entry);
+    return null;
+  }
+
+  getEntry(requestId) {
+    return this.entries.get(requestId) || null;
+  }
+
+  // Set fields on the request's entry, or hold them until it is paired
+  attach(requestId, fields) {
+    const entry = this.entries.get(requestId);
+    if (entry) {
+      Object.assign(entry, fields);
+    } else if (this.pending.has(requestId)) {
+      Object.assign(this.pending.get(requestId).fields, fields);
+    }
+  }
+
+  // loadingFinished / loadingFailed: no more CDP events arrive for the requestId
+  finish(requestId) {
+    this.entries.delete(requestId);
+    this.pending.delete(requestId);
+  }
+
+  // Playwright finished an entry CDP never reported (e.g. a request from a worker)
+  removeEntry(entry) {
+    const key = this.key(entry.method, entry.url);
+    const queue = this.waiting.get(key);
+    if (!queue) return;
+
+    const index = queue.indexOf(entry);
+    if (index !== -1) queue.splice(index, 1);
+    if (queue.length === 0) this.waiting.delete(key);
+  }
+}
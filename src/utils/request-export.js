@@ -0,0 +1,117 @@
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+const REDACTED = '<redacted>';
+
+// Set by the client itself (or meaningless outside the original connection)
+const CONNECTION_HEADERS = ['host', 'connection', 'content-length', 'keep-alive', 'transfer-encoding'];
+
+// Lower-case header names, drop HTTP/2 pseudo-headers (:authority, :path, ...) and replace
+// sensitive values
+export function prepareHeaders(headers = {}, options = {}) {
+  const redact = options.redact !== false;
+  const sensitive = [...SENSITIVE_HEADERS, ...(options.redactHeaders || []).map(name => name.toLowerCase())];
+  const prepared = {};
+  const redacted = [];
+
+  for (const [rawName, value] of Object.entries(headers)) {
+    const name = rawName.toLowerCase();
+    if (name.startsWith(':')) continue;
+
+    if (redact && sensitive.includes(name)) {
+      prepared[name] = REDACTED;
+      redacted.push(name);
+    } else {
+      prepared[name] = String(value);
+    }
+  }
+
+  return { headers: prepared, redacted };
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+export function toCurl(request, headers) {
+  const lines = [`curl ${shellQuote(request.url)}`];
+  const method = request.method.toUpperCase();
+
+  if (method !== 'GET' && !(method === 'POST' && request.postData)) {
+    lines.push(`-X ${method}`);
+  }
+
+  for (const [name, value] of Object.entries(headers)) {
+    if (CONNECTION_HEADERS.includes(name) || name === 'accept-encoding') continue;
+    lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+
+  if (request.postData) {
+    lines.push(`--data-raw ${shellQuote(request.postData)}`);
+  }
+
+  // Let curl negotiate and decode compression instead of printing the raw encoded body
+  if (headers['accept-encoding']) {
+    lines.push('--compressed');
+  }
+
+  return lines.join(' \\\n  ');
+}
+
+export function toFetch(request, headers) {
+  const init = { method: request.method.toUpperCase() };
+
+  const fetchHeaders = Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !CONNECTION_HEADERS.includes(name))
+  );
+  if (Object.keys(fetchHeaders).length > 0) {
+    init.headers = fetchHeaders;
+  }
+  if (request.postData) {
+    init.body = request.postData;
+  }
+
+  const initSource = JSON.stringify(init, null, 2);
+  return [
+    `const response = await fetch(${JSON.stringify(request.url)}, ${initSource});`,
+    '',
+    'console.log(response.status, response.statusText);',
+    'console.log(await response.text());'
+  ].join('\n');
+}
+
+export function toRawHttp(request, headers) {
+  const url = new URL(request.url);
+  const lines = [`${request.method.toUpperCase()} ${url.pathname}${url.search} HTTP/1.1`];
+
+  lines.push(`host: ${headers.host || url.host}`);
+  for (const [name, value] of Object.entries(headers)) {
+    if (name === 'host' || name === 'content-length') continue;
+    lines.push(`${name}: ${value}`);
+  }
+  if (request.postData) {
+    lines.push(`content-length: ${Buffer.byteLength(request.postData)}`);
+  }
+
+  return `${lines.join('\r\n')}\r\n\r\n${request.postData || ''}`;
+}
+
+const FORMATTERS = {
+  curl: toCurl,
+  fetch: toFetch,
+  http: toRawHttp
+};
+
+export const EXPORT_FORMATS = Object.keys(FORMATTERS);
+
+export function exportRequest(request, format = 'curl', options = {}) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown export format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const { headers, redacted } = prepareHeaders(options.headers || request.headers, options);
+  return {
+    format,
+    snippet: formatter(request, headers),
+    redactedHeaders: redacted
+  };
+}
@@ -0,0 +1,95 @@
+// Headers a page script cannot set; fetch() silently drops them, so they are reported instead
+const FORBIDDEN_HEADERS = [
+  'accept-charset', 'accept-encoding', 'access-control-request-headers', 'access-control-request-method',
+  'connection', 'content-length', 'cookie', 'cookie2', 'date', 'dnt', 'expect', 'host', 'keep-alive',
+  'origin', 'referer', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'user-agent', 'via'
+];
+
+export function isForbiddenHeader(name) {
+  return name.startsWith(':') || name.startsWith('proxy-') || name.startsWith('sec-') ||
+    FORBIDDEN_HEADERS.includes(name);
+}
+
+// Merge overrides into a captured request and split out what fetch() cannot send.
+// A header override of null removes that header.
+export function buildReplayRequest(entry, overrides = {}) {
+  const method = (overrides.method || entry.method).toUpperCase();
+  const merged = {};
+
+  for (const [name, value] of Object.entries(entry.headers || {})) {
+    merged[name.toLowerCase()] = value;
+  }
+  for (const [name, value] of Object.entries(overrides.headers || {})) {
+    if (value === null) {
+      delete merged[name.toLowerCase()];
+    } else {
+      merged[name.toLowerCase()] = String(value);
+    }
+  }
+
+  let body = entry.postData || null;
+  if (overrides.json !== undefined) {
+    body = JSON.stringify(overrides.json);
+    if (!merged['content-type']) {
+      merged['content-type'] = 'application/json';
+    }
+  } else if (overrides.body !== undefined) {
+    body = overrides.body;
+  }
+
+  const headers = {};
+  const droppedHeaders = [];
+  for (const [name, value] of Object.entries(merged)) {
+    if (isForbiddenHeader(name)) {
+      // Only worth reporting when the caller explicitly asked for it
+      if (overrides.headers && Object.keys(overrides.headers).some(key => key.toLowerCase() === name)) {
+        droppedHeaders.push(name);
+      }
+    } else {
+      headers[name] = value;
+    }
+  }
+
+  return {
+    url: entry.url,
+    method,
+    headers,
+    // GET and HEAD requests cannot carry a body in fetch()
+    body: method === 'GET' || method === 'HEAD' ? null : body,
+    droppedHeaders
+  };
+}
+
+// Runs in the page. Defined here so it can be serialized into a CDP expression.
+async function replayFetch({ url, method, headers, body, timeout }) {
+  try {
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body === null ? undefined : body,
+      credentials: 'include',
+      signal: AbortSignal.timeout(timeout)
+    });
+    await response.arrayBuffer();
+    return { ok: true, status: response.status, redirected: response.redirected, type: response.type };
+  } catch (error) {
+    return { ok: false, error: `${error.name}: ${error.message}` };
+  }
+}
+
+// Expression that sends the replay. The sourceURL names the script, so the request's CDP
+// initiator stack identifies it without adding anything to the request itself.
+export function buildReplayScript(replay, timeout, tag) {
+  const args = { url: replay.url, method: replay.method, headers: replay.headers, body: replay.body, timeout };
+  return `(${replayFetch.toString()})(${JSON.stringify(args)})\n//# sourceURL=${tag}`;
+}
+
+// Whether a CDP Network.requestWillBeSent initiator was called from the script named tag
+export function isInitiatedBy(initiator, tag) {
+  for (let stack = initiator?.stack; stack; stack = stack.parent) {
+    if (stack.callFrames.some(frame => frame.url === tag)) {
+      return true;
+    }
+  }
+  return false;
+}
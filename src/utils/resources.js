@@ -0,0 +1,291 @@
+import { promises as fs } from 'fs';
+import { basename, extname } from 'path';
+import { browserManager } from './browser-manager.js';
+import { getDomTree } from './dom-tree.js';
+
+const SCHEME = 'devtools://';
+// Collectors can change many times a second; subscribers hear about a URI at most this often
+const UPDATE_INTERVAL = 1000;
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.har': 'application/json',
+  '.json': 'application/json',
+  '.html': 'text/html'
+};
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'devtools://context/{contextId}/console',
+    name: 'Console logs',
+    description: 'Collected console messages and page errors with collector stats',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'devtools://context/{contextId}/network',
+    name: 'Network requests',
+    description: 'Captured requests and responses with collector stats',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'devtools://context/{contextId}/har',
+    name: 'HAR archive',
+    description: 'HAR 1.2 archive of the captured traffic, built when read',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'devtools://context/{contextId}/page/{pageId}/source',
+    name: 'Page source',
+    description: 'Current HTML of the page',
+    mimeType: 'text/html'
+  },
+  {
+    uriTemplate: 'devtools://context/{contextId}/page/{pageId}/dom',
+    name: 'DOM tree',
+    description: 'Structured DOM tree of the page (10 levels deep)',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'devtools://context/{contextId}/page/{pageId}/screenshot',
+    name: 'Live screenshot',
+    description: 'Viewport screenshot taken when read',
+    mimeType: 'image/png'
+  },
+  {
+    uriTemplate: 'devtools://context/{contextId}/files/{name}',
+    name: 'Saved file',
+    description: 'Screenshots and HAR files written by tools in this context',
+    mimeType: 'application/octet-stream'
+  }
+];
+
+// devtools://context/<contextId>/<kind>[/<pageId>/<pageKind> | /<name>]
+export function parseResourceUri(uri) {
+  if (!uri.startsWith(SCHEME)) {
+    throw new Error(`Unsupported resource URI: ${uri}`);
+  }
+
+  const parts = uri.slice(SCHEME.length).split('/').map(decodeURIComponent);
+  const [root, contextId, kind, ...rest] = parts;
+  if (root !== 'context' || !contextId) {
+    throw new Error(`Unsupported resource URI: ${uri}`);
+  }
+
+  if (['console', 'network', 'har'].includes(kind) && rest.length === 0) {
+    return { contextId, kind };
+  }
+  if (kind === 'page' && rest.length === 2 && ['source', 'dom', 'screenshot'].includes(rest[1])) {
+    return { contextId, kind: rest[1], pageId: rest[0] };
+  }
+  if (kind === 'files' && rest.length === 1) {
+    return { contextId, kind: 'file', name: rest[0] };
+  }
+  throw new Error(`Unknown resource: ${uri}`);
+}
+
+export function contextResourceUri(contextId, kind) {
+  return `${SCHEME}context/${encodeURIComponent(contextId)}/${kind}`;
+}
+
+export function pageResourceUri(contextId, pageId, kind) {
+  return `${SCHEME}context/${encodeURIComponent(contextId)}/page/${encodeURIComponent(pageId)}/${kind}`;
+}
+
+export function fileResourceUri(contextId, name) {
+  return `${SCHEME}context/${encodeURIComponent(contextId)}/files/${encodeURIComponent(name)}`;
+}
+
+function jsonContents(uri, value) {
+  return [{ uri, mimeType: 'application/json', text: JSON.stringify(value, null, 2) }];
+}
+
+// Lists and reads collected data as MCP resources, and tells subscribed clients when
+// the console or network collectors behind a URI change
+export class ResourceManager {
+  constructor(manager, options = {}) {
+    this.browserManager = manager;
+    this.files = new Map(); // contextId -> Map(name -> { path, mimeType, description, createdAt })
+    this.subscriptions = new Set(); // subscribed URIs
+    this.pending = new Map(); // URI -> timer for a throttled update
+    this.notifyUpdated = null;
+    this.notifyListChanged = null;
+    this.updateInterval = options.updateInterval ?? UPDATE_INTERVAL;
+
+    manager.on('console', (contextId) => {
+      this.changed(contextResourceUri(contextId, 'console'));
+    });
+    for (const event of ['request', 'requestfinished', 'requestfailed']) {
+      manager.on(event, (contextId) => {
+        this.changed(contextResourceUri(contextId, 'network'));
+        this.changed(contextResourceUri(contextId, 'har'));
+      });
+    }
+    manager.on('contextclosed', (contextId) => {
+      this.files.delete(contextId);
+      this.listChanged();
+    });
+    // Contexts and pages are listed too
+    for (const event of ['contextcreated', 'pageopened', 'pageclosed']) {
+      manager.on(event, () => this.listChanged());
+    }
+  }
+
+  // notifyUpdated receives a URI; notifyListChanged takes no arguments
+  setNotifiers(notifyUpdated, notifyListChanged) {
+    this.notifyUpdated = notifyUpdated;
+    this.notifyListChanged = notifyListChanged;
+  }
+
+  subscribe(uri) {
+    parseResourceUri(uri);
+    this.subscriptions.add(uri);
+  }
+
+  unsubscribe(uri) {
+    this.subscriptions.delete(uri);
+    clearTimeout(this.pending.get(uri));
+    this.pending.delete(uri);
+  }
+
+  // Make a file written by a tool readable as a resource; returns its URI
+  registerFile(contextId, path, description = null) {
+    if (!this.files.has(contextId)) {
+      this.files.set(contextId, new Map());
+    }
+
+    const name = basename(path);
+    this.files.get(contextId).set(name, {
+      path,
+      mimeType: MIME_TYPES[extname(name).toLowerCase()] || 'application/octet-stream',
+      description,
+      createdAt: Date.now()
+    });
+    this.listChanged();
+
+    return fileResourceUri(contextId, name);
+  }
+
+  changed(uri) {
+    if (!this.subscriptions.has(uri) || this.pending.has(uri)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.pending.delete(uri);
+      this.send(this.notifyUpdated, uri);
+    }, this.updateInterval);
+    timer.unref?.();
+    this.pending.set(uri, timer);
+  }
+
+  listChanged() {
+    this.send(this.notifyListChanged);
+  }
+
+  send(notify, ...args) {
+    if (!notify) {
+      return;
+    }
+
+    // Notifications are best effort; the client may not be connected
+    Promise.resolve()
+      .then(() => notify(...args))
+      .catch(() => {});
+  }
+
+  async list() {
+    const resources = [];
+
+    for (const contextId of this.browserManager.contexts.keys()) {
+      resources.push(
+        { uri: contextResourceUri(contextId, 'console'), name: `Console logs (${contextId})`, mimeType: 'application/json' },
+        { uri: contextResourceUri(contextId, 'network'), name: `Network requests (${contextId})`, mimeType: 'application/json' },
+        { uri: contextResourceUri(contextId, 'har'), name: `HAR archive (${contextId})`, mimeType: 'application/json' }
+      );
+
+      for (const page of await this.browserManager.listPages(contextId)) {
+        const label = page.title || page.url;
+        resources.push(
+          { uri: pageResourceUri(contextId, page.pageId, 'source'), name: `Page source: ${label}`, mimeType: 'text/html' },
+          { uri: pageResourceUri(contextId, page.pageId, 'dom'), name: `DOM tree: ${label}`, mimeType: 'application/json' },
+          { uri: pageResourceUri(contextId, page.pageId, 'screenshot'), name: `Screenshot: ${label}`, mimeType: 'image/png' }
+        );
+      }
+
+      for (const [name, file] of this.files.get(contextId) || []) {
+        resources.push({
+          uri: fileResourceUri(contextId, name),
+          name,
+          description: file.description || undefined,
+          mimeType: file.mimeType
+        });
+      }
+    }
+
+    return resources;
+  }
+
+  async read(uri) {
+    const target = parseResourceUri(uri);
+    const collectors = this.browserManager.getCollectors(target.contextId);
+    if (!collectors) {
+      throw new Error(`Browser context not found: ${target.contextId}`);
+    }
+
+    switch (target.kind) {
+      case 'console':
+        return jsonContents(uri, {
+          contextId: target.contextId,
+          stats: collectors.console.getStats(),
+          logs: collectors.console.getLogs()
+        });
+
+      case 'network':
+        return jsonContents(uri, {
+          contextId: target.contextId,
+          stats: collectors.network.getStats(),
+          requests: collectors.network.requests
+        });
+
+      case 'har':
+        return jsonContents(uri, await this.browserManager.buildContextHar(target.contextId));
+
+      case 'source': {
+        const page = await this.browserManager.getPage(target.contextId, target.pageId);
+        return [{ uri, mimeType: 'text/html', text: await page.content() }];
+      }
+
+      case 'dom': {
+        const page = await this.browserManager.getPage(target.contextId, target.pageId);
+        return jsonContents(uri, {
+          url: page.url(),
+          domTree: await getDomTree(page)
+        });
+      }
+
+      case 'screenshot': {
+        const page = await this.browserManager.getPage(target.contextId, target.pageId);
+        const buffer = await page.screenshot({ type: 'png' });
+        return [{ uri, mimeType: 'image/png', blob: buffer.toString('base64') }];
+      }
+
+      case 'file': {
+        const file = this.files.get(target.contextId)?.get(target.name);
+        if (!file) {
+          throw new Error(`File not found: ${target.name}`);
+        }
+
+        const content = await fs.readFile(file.path);
+        if (file.mimeType === 'application/json' || file.mimeType.startsWith('text/')) {
+          return [{ uri, mimeType: file.mimeType, text: content.toString('utf8') }];
+        }
+        return [{ uri, mimeType: file.mimeType, blob: content.toString('base64') }];
+      }
+    }
+  }
+}
+
+// Singleton instance
+export const resourceManager = new ResourceManager(browserManager);
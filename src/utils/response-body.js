@@ -0,0 +1,110 @@
+import { createHash } from 'crypto';
+
+const TEXT_CONTENT_TYPES = [
+  'text/',
+  'javascript',
+  'ecmascript',
+  'xml',
+  'html',
+  'css',
+  'x-www-form-urlencoded',
+  'graphql'
+];
+
+export function getContentType(headers = {}) {
+  const contentType = headers['content-type'] || '';
+  return contentType.split(';')[0].trim().toLowerCase();
+}
+
+export function classifyContentType(contentType) {
+  if (!contentType) {
+    return 'unknown';
+  }
+  if (contentType.includes('json')) {
+    return 'json';
+  }
+  if (TEXT_CONTENT_TYPES.some(type => contentType.includes(type))) {
+    return 'text';
+  }
+  return 'binary';
+}
+
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 512);
+  return !sample.includes(0) && !sample.toString('utf8').includes('�');
+}
+
+function truncateText(text, maxTextLength) {
+  if (text.length <= maxTextLength) {
+    return { text, truncated: false };
+  }
+  return { text: text.slice(0, maxTextLength), truncated: true };
+}
+
+// Turn a raw response body into something safe to hand to a model: parsed JSON, truncated
+// text, or a size/hash summary for binary content
+export function summarizeBody(buffer, contentType, options = {}) {
+  const maxTextLength = options.maxTextLength || 64 * 1024;
+  const size = buffer.length;
+  let kind = classifyContentType(contentType);
+
+  if (kind === 'unknown') {
+    kind = looksLikeText(buffer) ? 'text' : 'binary';
+  }
+
+  if (kind === 'binary') {
+    return {
+      kind,
+      contentType: contentType || null,
+      size,
+      sha256: createHash('sha256').update(buffer).digest('hex')
+    };
+  }
+
+  const text = buffer.toString('utf8');
+
+  if (kind === 'json' && text.length <= maxTextLength) {
+    try {
+      return { kind, contentType, size, json: JSON.parse(text) };
+    } catch (error) {
+      // Fall through and return the malformed payload as text
+      kind = 'text';
+    }
+  }
+
+  return {
+    kind,
+    contentType: contentType || null,
+    size,
+    ...truncateText(text, maxTextLength)
+  };
+}
+
+export async function captureResponseBody(response, options = {}) {
+  const maxSize = options.maxSize || 10 * 1024 * 1024;
+  const headers = response.headers();
+  const contentType = getContentType(headers);
+  const declaredLength = parseInt(headers['content-length'], 10);
+
+  if (declaredLength > maxSize) {
+    return { kind: 'skipped', reason: 'too_large', contentType: contentType || null, size: declaredLength };
+  }
+
+  const status = response.status();
+  if (status >= 300 && status < 400) {
+    return { kind: 'skipped', reason: 'redirect', contentType: contentType || null, size: 0 };
+  }
+
+  const buffer = await response.body();
+  if (buffer.length > maxSize) {
+    return {
+      kind: 'skipped',
+      reason: 'too_large',
+      contentType: contentType || null,
+      size: buffer.length,
+      sha256: createHash('sha256').update(buffer).digest('hex')
+    };
+  }
+
+  return summarizeBody(buffer, contentType, options);
+}
@@ -0,0 +1,197 @@
+// Tried in order when a screenshot is over the inline size cap: re-encode as JPEG first,
+// then trade resolution for size
+export const INLINE_FALLBACK_STEPS = [
+  { quality: 80, scale: 1 },
+  { quality: 70, scale: 0.75 },
+  { quality: 60, scale: 0.5 },
+  { quality: 50, scale: 0.35 },
+  { quality: 50, scale: 0.25 }
+];
+
+// Pick the first encoding that fits in maxBytes. capture(step) returns a JPEG buffer for a
+// fallback step; null means nothing fits.
+export async function fitImage(buffer, format, maxBytes, capture) {
+  if (buffer.length <= maxBytes) {
+    return { buffer, format, quality: null, scale: 1, downscaled: false };
+  }
+
+  for (const step of INLINE_FALLBACK_STEPS) {
+    const candidate = await capture(step);
+    if (candidate.length <= maxBytes) {
+      return { buffer: candidate, format: 'jpeg', ...step, downscaled: step.scale < 1 };
+    }
+  }
+
+  return null;
+}
+
+// Playwright cannot scale screenshots, so the fallbacks go through CDP. Clip coordinates are
+// document-relative there, while the tool's clip is viewport-relative unless fullPage is set.
+export async function captureScaled(page, session, options, step) {
+  const viewport = await page.evaluate(() => ({
+    x: window.visualViewport.pageLeft,
+    y: window.visualViewport.pageTop,
+    width: window.visualViewport.width,
+    height: window.visualViewport.height,
+    scrollWidth: document.documentElement.scrollWidth,
+    scrollHeight: document.documentElement.scrollHeight
+  }));
+
+  let region;
+  if (options.clip) {
+    region = options.fullPage
+      ? options.clip
+      : { ...options.clip, x: options.clip.x + viewport.x, y: options.clip.y + viewport.y };
+  } else if (options.fullPage) {
+    region = { x: 0, y: 0, width: viewport.scrollWidth, height: viewport.scrollHeight };
+  } else {
+    region = { x: viewport.x, y: viewport.y, width: viewport.width, height: viewport.height };
+  }
+
+  const { data } = await session.send('Page.captureScreenshot', {
+    format: 'jpeg',
+    quality: step.quality,
+    clip: { ...region, scale: step.scale },
+    captureBeyondViewport: Boolean(options.fullPage)
+  });
+  return Buffer.from(data, 'base64');
+}
+
+// Pad an element's document-relative box, keeping it inside the document
+export function padClip(rect, padding, documentSize) {
+  const x = Math.max(0, rect.x - padding);
+  const y = Math.max(0, rect.y - padding);
+  const right = Math.min(documentSize.width, rect.x + rect.width + padding);
+  const bottom = Math.min(documentSize.height, rect.y + rect.height + padding);
+
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    width: Math.max(0, Math.round(right - x)),
+    height: Math.max(0, Math.round(bottom - y))
+  };
+}
+
+// Document-relative clips for the first match of a selector, or for every match up to maxElements
+export async function getElementClips(page, selector, options = {}) {
+  const locators = await page.locator(selector).all();
+  if (locators.length === 0) {
+    throw new Error(`No elements match selector: ${selector}`);
+  }
+
+  const targets = options.all ? locators.slice(0, options.maxElements || 12) : locators.slice(0, 1);
+  const elements = [];
+  for (const [index, locator] of targets.entries()) {
+    const info = await locator.evaluate((element) => {
+      const rect = element.getBoundingClientRect();
+      return {
+        rect: { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height },
+        documentSize: { width: document.documentElement.scrollWidth, height: document.documentElement.scrollHeight },
+        tagName: element.tagName.toLowerCase(),
+        text: (element.innerText || element.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 80)
+      };
+    });
+
+    const visible = info.rect.width > 0 && info.rect.height > 0;
+    elements.push({
+      index,
+      tagName: info.tagName,
+      text: info.text,
+      visible,
+      box: {
+        x: Math.round(info.rect.x),
+        y: Math.round(info.rect.y),
+        width: Math.round(info.rect.width),
+        height: Math.round(info.rect.height)
+      },
+      clip: visible ? padClip(info.rect, options.padding ?? 8, info.documentSize) : null
+    });
+  }
+
+  return { matched: locators.length, elements };
+}
+
+// Width and height from a PNG's IHDR chunk
+export function getPngSize(buffer) {
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Grid positions for a contact sheet: up to four columns, each cell captioned above its image
+export function layoutContactSheet(sizes, options = {}) {
+  const gap = options.gap ?? 16;
+  const labelHeight = options.labelHeight ?? 24;
+  const maxCellWidth = options.maxCellWidth ?? 480;
+  const columns = Math.min(4, Math.ceil(Math.sqrt(sizes.length)));
+
+  const scaled = sizes.map(size => {
+    const ratio = Math.min(1, maxCellWidth / size.width);
+    return { width: Math.round(size.width * ratio), height: Math.round(size.height * ratio) };
+  });
+
+  const columnWidths = Array(columns).fill(0);
+  scaled.forEach((size, index) => {
+    columnWidths[index % columns] = Math.max(columnWidths[index % columns], size.width);
+  });
+
+  const cells = [];
+  let y = gap;
+  for (let row = 0; row * columns < scaled.length; row++) {
+    const rowCells = scaled.slice(row * columns, row * columns + columns);
+    const rowHeight = Math.max(...rowCells.map(size => size.height));
+    let x = gap;
+    rowCells.forEach((size, column) => {
+      cells.push({ x, y: y + labelHeight, width: size.width, height: size.height, labelX: x, labelY: y });
+      x += columnWidths[column] + gap;
+    });
+    y += labelHeight + rowHeight + gap;
+  }
+
+  return {
+    width: columnWidths.reduce((sum, width) => sum + width + gap, gap),
+    height: y,
+    cells
+  };
+}
+
+// Compose element captures into one labelled image. Drawing happens on an OffscreenCanvas in
+// the page, so no extra window or context is needed and the page's DOM is left untouched.
+export async function renderContactSheet(page, shots, options = {}) {
+  const layout = layoutContactSheet(shots.map(shot => getPngSize(shot.buffer)));
+  const scale = options.scale || 1;
+
+  const data = await page.evaluate(async ({ layout, images, scale, type, quality }) => {
+    const canvas = new OffscreenCanvas(Math.round(layout.width * scale), Math.round(layout.height * scale));
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.fillStyle = '#f3f4f6';
+    context.fillRect(0, 0, layout.width, layout.height);
+    context.font = 'bold 14px Arial, sans-serif';
+    context.textBaseline = 'top';
+
+    for (const [index, cell] of layout.cells.entries()) {
+      const bytes = Uint8Array.from(atob(images[index].data), char => char.charCodeAt(0));
+      const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+      context.fillStyle = '#111827';
+      context.fillText(images[index].label, cell.labelX, cell.labelY + 4, cell.width);
+      context.drawImage(bitmap, cell.x, cell.y, cell.width, cell.height);
+      context.strokeStyle = '#d1d5db';
+      context.strokeRect(cell.x - 0.5, cell.y - 0.5, cell.width + 1, cell.height + 1);
+    }
+
+    const blob = await canvas.convertToBlob({ type, quality });
+    const buffer = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < buffer.length; i += 0x8000) {
+      binary += String.fromCharCode(...buffer.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }, {
+    layout,
+    images: shots.map(shot => ({ label: shot.label, data: shot.buffer.toString('base64') })),
+    scale,
+    type: `image/${options.format || 'png'}`,
+    quality: options.quality !== undefined ? options.quality / 100 : undefined
+  });
+
+  return Buffer.from(data, 'base64');
+}
@@ -0,0 +1,150 @@
+import { THIRD_PARTY_DOMAINS, MULTI_PART_SUFFIXES } from '../config/third-party-domains.js';
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// eTLD+1 approximation: the last two labels, or three under a known multi-part suffix
+export function getRegistrableDomain(hostname) {
+  if (!hostname) return null;
+  if (/^[\d.]+$/.test(hostname) || hostname.includes(':') || !hostname.includes('.')) {
+    return hostname; // IP addresses and single-label hosts such as localhost
+  }
+
+  const labels = hostname.split('.');
+  const lastTwo = labels.slice(-2).join('.');
+  const size = MULTI_PART_SUFFIXES.includes(lastTwo) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+// Most specific suffix of hostname listed in THIRD_PARTY_DOMAINS
+function matchKnownSuffix(hostname) {
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const suffix = labels.slice(i).join('.');
+    if (THIRD_PARTY_DOMAINS[suffix]) {
+      return suffix;
+    }
+  }
+  return null;
+}
+
+export function classifyHost(hostname) {
+  const suffix = matchKnownSuffix(hostname);
+  return suffix ? THIRD_PARTY_DOMAINS[suffix] : null;
+}
+
+// Known services are grouped by their listed suffix, so hosts sharing a registrable domain
+// but classified differently (fonts.googleapis.com, ajax.googleapis.com) stay apart
+function getPartyDomain(hostname) {
+  return matchKnownSuffix(hostname) || getRegistrableDomain(hostname);
+}
+
+function requestBytes(req) {
+  if (req.transfer) {
+    return req.transfer.transferSize;
+  }
+  return parseInt(req.response?.headers?.['content-length'], 10) || 0;
+}
+
+// Group requests by known service (else registrable domain) and keep those not belonging to
+// the page's own site.
+// scripts are long-animation-frame script attributions ({ sourceURL, duration }) and
+// renderBlockingUrls the resources the browser reported as render-blocking.
+export function summarizeThirdParties(requests, pageUrl, options = {}) {
+  const firstParty = getRegistrableDomain(getHostname(pageUrl));
+  const scripts = options.scripts || [];
+  const renderBlockingUrls = new Set(options.renderBlockingUrls || []);
+  const parties = new Map();
+  let firstPartyRequests = 0;
+  let firstPartyBytes = 0;
+
+  for (const req of requests) {
+    const hostname = getHostname(req.url);
+    if (!hostname || req.url.startsWith('data:') || req.url.startsWith('blob:')) continue;
+
+    if (getRegistrableDomain(hostname) === firstParty) {
+      firstPartyRequests++;
+      firstPartyBytes += requestBytes(req);
+      continue;
+    }
+
+    const domain = getPartyDomain(hostname);
+    if (!parties.has(domain)) {
+      const known = classifyHost(hostname);
+      parties.set(domain, {
+        domain,
+        entity: known?.entity || null,
+        category: known?.category || 'other',
+        hosts: [],
+        requests: 0,
+        failed: 0,
+        bytes: 0,
+        byResourceType: {},
+        renderBlocking: 0,
+        mainThreadTime: options.scripts ? 0 : null,
+        longFrameScripts: options.scripts ? 0 : null
+      });
+    }
+
+    const party = parties.get(domain);
+    if (!party.hosts.includes(hostname)) party.hosts.push(hostname);
+    party.requests++;
+    party.bytes += requestBytes(req);
+    if (req.failed) party.failed++;
+    if (req.resourceType) {
+      party.byResourceType[req.resourceType] = (party.byResourceType[req.resourceType] || 0) + 1;
+    }
+    if (renderBlockingUrls.has(req.url)) party.renderBlocking++;
+  }
+
+  for (const script of scripts) {
+    const scriptHost = getHostname(script.sourceURL);
+    const party = scriptHost ? parties.get(getPartyDomain(scriptHost)) : null;
+    if (party) {
+      party.mainThreadTime += script.duration;
+      party.longFrameScripts++;
+    }
+  }
+
+  const thirdParties = Array.from(parties.values())
+    .map(party => ({
+      ...party,
+      mainThreadTime: party.mainThreadTime === null ? null : Math.round(party.mainThreadTime)
+    }))
+    .sort((a, b) => (b.mainThreadTime || 0) - (a.mainThreadTime || 0) || b.bytes - a.bytes);
+
+  const byCategory = {};
+  for (const party of thirdParties) {
+    const category = byCategory[party.category] || { domains: 0, requests: 0, bytes: 0, mainThreadTime: party.mainThreadTime === null ? null : 0 };
+    category.domains++;
+    category.requests += party.requests;
+    category.bytes += party.bytes;
+    if (category.mainThreadTime !== null) category.mainThreadTime += party.mainThreadTime;
+    byCategory[party.category] = category;
+  }
+
+  const thirdPartyBytes = thirdParties.reduce((sum, party) => sum + party.bytes, 0);
+  const thirdPartyRequests = thirdParties.reduce((sum, party) => sum + party.requests, 0);
+
+  return {
+    firstParty,
+    summary: {
+      thirdPartyDomains: thirdParties.length,
+      thirdPartyRequests,
+      thirdPartyBytes,
+      firstPartyRequests,
+      firstPartyBytes,
+      thirdPartyByteShare: thirdPartyBytes + firstPartyBytes > 0
+        ? Math.round((thirdPartyBytes / (thirdPartyBytes + firstPartyBytes)) * 100) / 100
+        : 0,
+      unclassified: thirdParties.filter(party => party.category === 'other').length
+    },
+    byCategory,
+    thirdParties
+  };
+}
@@ -0,0 +1,245 @@
+function span(start, end) {
+  return start >= 0 && end >= 0 && end >= start ? end - start : 0;
+}
+
+// Wall-clock start/end and phase breakdown for a collected request. Playwright's timing()
+// values are relative to timing.startTime and are -1 when a phase did not happen
+// (e.g. reused connections skip DNS and connect).
+export function getRequestPhases(req) {
+  const timing = req.timing;
+  const start = timing?.startTime > 0 ? timing.startTime : req.timestamp;
+
+  let end = null;
+  if (timing && timing.responseEnd >= 0) {
+    end = start + timing.responseEnd;
+  } else if (req.finishedTimestamp) {
+    end = req.finishedTimestamp;
+  } else if (req.response?.timestamp) {
+    end = req.response.timestamp;
+  }
+
+  const phases = timing
+    ? {
+      queued: [timing.domainLookupStart, timing.connectStart, timing.requestStart].find(value => value >= 0) ?? 0,
+      dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+      connect: span(timing.connectStart, timing.secureConnectionStart >= 0 ? timing.secureConnectionStart : timing.connectEnd),
+      tls: span(timing.secureConnectionStart, timing.connectEnd),
+      ttfb: span(timing.requestStart, timing.responseStart),
+      download: span(timing.responseStart, timing.responseEnd)
+    }
+    : null;
+
+  return {
+    start,
+    end,
+    duration: end !== null ? end - start : null,
+    phases
+  };
+}
+
+function summarizeRequest(item, origin) {
+  return {
+    id: item.req.id,
+    url: item.req.url,
+    method: item.req.method,
+    resourceType: item.req.resourceType,
+    status: item.req.response?.status ?? null,
+    failed: item.req.failed,
+    start: Math.round(item.start - origin),
+    duration: item.duration !== null ? Math.round(item.duration) : null,
+    phases: item.phases
+  };
+}
+
+// Walk back from the request that finished last: each step picks the request that finished
+// latest before the current one started, which approximates the chain of dependencies
+// (document -> stylesheet -> font, etc.) that determined when the page finished loading.
+function findCriticalPath(items, cutoff) {
+  const finished = items.filter(item => item.end !== null && item.end <= cutoff);
+  if (finished.length === 0) {
+    return [];
+  }
+
+  const latestFinishing = (candidates) => candidates.reduce((latest, item) => (item.end > latest.end ? item : latest));
+  const finishedBefore = (current) => finished.filter(item => item.start < current.start && item.end <= current.start);
+
+  const path = [latestFinishing(finished)];
+  let predecessors = finishedBefore(path[0]);
+
+  while (predecessors.length > 0) {
+    path.unshift(latestFinishing(predecessors));
+    predecessors = finishedBefore(path[0]);
+  }
+
+  return path;
+}
+
+function findIdleGaps(items, minGap) {
+  const intervals = items
+    .filter(item => item.end !== null)
+    .map(item => [item.start, item.end])
+    .sort((a, b) => a[0] - b[0]);
+
+  const gaps = [];
+  let busyUntil = intervals.length > 0 ? intervals[0][1] : 0;
+
+  for (const [start, end] of intervals.slice(1)) {
+    if (start - busyUntil >= minGap) {
+      gaps.push({ start: busyUntil, end: start, duration: start - busyUntil });
+    }
+    busyUntil = Math.max(busyUntil, end);
+  }
+
+  return gaps;
+}
+
+function findMaxConcurrency(items) {
+  const events = [];
+  for (const item of items) {
+    if (item.end === null) continue;
+    events.push([item.start, 1], [item.end, -1]);
+  }
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let max = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    max = Math.max(max, current);
+  }
+  return max;
+}
+
+function shortenUrl(url, maxLength) {
+  let display = url;
+  try {
+    const parsed = new URL(url);
+    display = parsed.pathname + parsed.search;
+    if (display === '/') display = parsed.host + '/';
+  } catch (error) {
+    // data: and other opaque URLs are shown as-is
+  }
+  return display.length > maxLength ? display.slice(0, maxLength - 1) + '…' : display;
+}
+
+// One row per request: '-' connection setup, '=' waiting for first byte, '#' download.
+// Requests without phase timing are drawn with '#' across their whole duration.
+function renderText(items, origin, totalSpan, options) {
+  const width = options.width;
+  const scale = totalSpan > 0 ? width / totalSpan : 0;
+  const column = (time) => Math.min(width, Math.max(0, Math.round((time - origin) * scale)));
+
+  const rows = items.slice(0, options.maxRows).map((item, index) => {
+    const bar = Array(width).fill(' ');
+    const from = column(item.start);
+    const to = item.end !== null ? Math.max(from + 1, column(item.end)) : width;
+
+    if (item.phases && item.end !== null) {
+      const setupEnd = column(item.start + item.phases.queued + item.phases.dns + item.phases.connect + item.phases.tls);
+      const ttfbEnd = column(item.start + item.phases.queued + item.phases.dns + item.phases.connect + item.phases.tls + item.phases.ttfb);
+      for (let i = from; i < to; i++) {
+        bar[i] = i < setupEnd ? '-' : i < ttfbEnd ? '=' : '#';
+      }
+    } else {
+      for (let i = from; i < to; i++) {
+        bar[i] = item.end !== null ? '#' : '?';
+      }
+    }
+
+    const status = item.req.failed ? 'ERR' : String(item.req.response?.status ?? '...');
+    const duration = item.duration !== null ? `${Math.round(item.duration)}ms` : 'pending';
+    return `${String(index + 1).padStart(3)} |${bar.join('')}| ${status.padEnd(3)} ${duration.padStart(7)} ${item.req.resourceType || ''} ${shortenUrl(item.req.url, 60)}`;
+  });
+
+  const header = `    0ms${' '.repeat(Math.max(1, width - 6))}${Math.round(totalSpan)}ms`;
+  const legend = "    legend: '-' connect/DNS/TLS, '=' waiting (TTFB), '#' download, '?' pending";
+  const more = items.length > options.maxRows ? [`    … ${items.length - options.maxRows} more requests`] : [];
+
+  return [header, ...rows, ...more, legend].join('\n');
+}
+
+export function analyzeWaterfall(requests, options = {}) {
+  const settings = {
+    slowest: options.slowest || 10,
+    width: options.width || 60,
+    maxRows: options.maxRows || 50,
+    minGap: options.minGap ?? 50
+  };
+
+  const items = requests
+    .map(req => ({ req, ...getRequestPhases(req) }))
+    .sort((a, b) => a.start - b.start);
+
+  if (items.length === 0) {
+    return {
+      summary: { requests: 0 },
+      slowest: [],
+      criticalPath: [],
+      renderBlocking: [],
+      afterLoad: [],
+      parallelismGaps: [],
+      text: '(no requests captured)'
+    };
+  }
+
+  const origin = options.navigationStart || items[0].start;
+  const lastEnd = Math.max(...items.map(item => item.end ?? item.start));
+  const totalSpan = lastEnd - origin;
+  const loadTime = options.loadTimestamp || null;
+  const contentLoadTime = options.contentLoadTimestamp || null;
+
+  const slowest = items
+    .filter(item => item.duration !== null)
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, settings.slowest)
+    .map(item => summarizeRequest(item, origin));
+
+  const criticalPathItems = findCriticalPath(items, loadTime || lastEnd);
+
+  const renderBlockingUrls = options.renderBlockingUrls || null;
+  const renderBlocking = items
+    .filter(item => {
+      if (renderBlockingUrls) {
+        return renderBlockingUrls.has(item.req.url);
+      }
+      // Without browser-reported status, main-frame CSS and scripts requested before
+      // DOMContentLoaded are treated as potentially blocking
+      return item.req.isMainFrame !== false &&
+        ['stylesheet', 'script'].includes(item.req.resourceType) &&
+        (!contentLoadTime || item.start < contentLoadTime);
+    })
+    .map(item => summarizeRequest(item, origin));
+
+  const afterLoad = loadTime
+    ? items.filter(item => item.start > loadTime).map(item => summarizeRequest(item, origin))
+    : [];
+
+  const parallelismGaps = findIdleGaps(items, settings.minGap).map(gap => ({
+    start: Math.round(gap.start - origin),
+    end: Math.round(gap.end - origin),
+    duration: Math.round(gap.duration)
+  }));
+
+  return {
+    summary: {
+      requests: items.length,
+      pending: items.filter(item => item.end === null && !item.req.failed).length,
+      failed: items.filter(item => item.req.failed).length,
+      totalTime: Math.round(totalSpan),
+      onContentLoad: contentLoadTime ? Math.round(contentLoadTime - origin) : null,
+      onLoad: loadTime ? Math.round(loadTime - origin) : null,
+      maxConcurrency: findMaxConcurrency(items),
+      idleTime: parallelismGaps.reduce((sum, gap) => sum + gap.duration, 0)
+    },
+    slowest,
+    criticalPath: criticalPathItems.map(item => summarizeRequest(item, origin)),
+    criticalPathDuration: criticalPathItems.length > 0
+      ? Math.round(criticalPathItems[criticalPathItems.length - 1].end - criticalPathItems[0].start)
+      : 0,
+    renderBlocking,
+    renderBlockingSource: renderBlockingUrls ? 'performance-api' : 'heuristic',
+    afterLoad,
+    parallelismGaps,
+    text: renderText(items, origin, totalSpan, settings)
+  };
+}
@@ -0,0 +1,29 @@
+const OPCODES = {
+  0: 'continuation',
+  1: 'text',
+  2: 'binary',
+  8: 'close',
+  9: 'ping',
+  10: 'pong'
+};
+
+// Normalize a CDP WebSocketFrame ({ opcode, mask, payloadData }). Text frames carry the
+// payload as-is; every other opcode is base64 encoded by the protocol.
+export function parseWebSocketFrame(frame) {
+  const opcode = frame.opcode;
+  const parsed = {
+    opcode,
+    type: OPCODES[opcode] || 'unknown',
+    payload: frame.payloadData || '',
+    encoding: opcode === 1 ? 'text' : 'base64'
+  };
+
+  // Close frames start with a 2-byte status code followed by an optional UTF-8 reason
+  if (opcode === 8) {
+    const bytes = Buffer.from(parsed.payload, 'base64');
+    parsed.closeCode = bytes.length >= 2 ? bytes.readUInt16BE(0) : null;
+    parsed.closeReason = bytes.length > 2 ? bytes.subarray(2).toString('utf8') : '';
+  }
+
+  return parsed;
+}
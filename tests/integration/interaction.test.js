@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { browserManager } from '../../src/utils/browser-manager.js';
+import { browserLaunchTool, browserNavigateTool, browserCloseTool } from '../../src/tools/browser.js';
+import { interactClickTool, interactFillTool, interactCheckTool, interactSelectOptionTool } from '../../src/tools/interact.js';
+import { consoleEvaluateJavaScriptTool } from '../../src/tools/console.js';
+
+const TEST_PAGE = 'data:text/html,' + encodeURIComponent(`
+  <title>Form</title>
+  <input id="email">
+  <input id="agree" type="checkbox">
+  <select id="plan"><option value="free">Free</option><option value="pro">Pro</option></select>
+  <button onclick="throw new Error('Submit handler crashed')">Submit</button>
+`);
+
+test('Page interaction tools', async (t) => {
+  let contextId = null;
+
+  try {
+    const launchResult = await browserLaunchTool.handler({ headless: true });
+    contextId = launchResult.data.contextId;
+    await browserNavigateTool.handler({ contextId, url: TEST_PAGE });
+
+    await t.test('fill and check form fields', async () => {
+      const fill = await interactFillTool.handler({ contextId, selector: '#email', value: 'a@example.com' });
+      assert.strictEqual(fill.success, true);
+
+      const check = await interactCheckTool.handler({ contextId, selector: '#agree' });
+      assert.strictEqual(check.success, true);
+      assert.strictEqual(check.data.result.checked, true);
+
+      const select = await interactSelectOptionTool.handler({ contextId, selector: '#plan', values: ['Pro'] });
+      assert.deepStrictEqual(select.data.result.selected, ['pro']);
+
+      const value = await consoleEvaluateJavaScriptTool.handler({
+        contextId,
+        expression: 'document.querySelector("#email").value'
+      });
+      assert.strictEqual(value.data.result, 'a@example.com');
+    });
+
+    await t.test('click by role reports triggered errors', async () => {
+      const result = await interactClickTool.handler({ contextId, role: 'button', name: 'Submit' });
+
+      assert.strictEqual(result.success, true);
+      assert.ok(result.data.triggered.consoleErrors.some(log => log.text.includes('Submit handler crashed')));
+    });
+
+    await t.test('missing element fails with INTERACTION_FAILED', async () => {
+      const result = await interactClickTool.handler({ contextId, selector: '#missing', timeout: 500 });
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.error.code, 'INTERACTION_FAILED');
+    });
+
+  } finally {
+    if (contextId) {
+      await browserCloseTool.handler({ contextId });
+    }
+    await browserManager.cleanup();
+  }
+});
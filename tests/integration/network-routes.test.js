@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { browserManager } from '../../src/utils/browser-manager.js';
+import { browserLaunchTool, browserNavigateTool, browserCloseTool } from '../../src/tools/browser.js';
+import { consoleEvaluateJavaScriptTool } from '../../src/tools/console.js';
+import { pageWaitForTool } from '../../src/tools/page.js';
+import { networkMockRouteTool, networkBlockRouteTool, networkUnrouteTool, networkListRoutesTool } from '../../src/tools/network-routes.js';
+
+test('Request interception', async (t) => {
+  let contextId = null;
+
+  try {
+    const launchResult = await browserLaunchTool.handler({ headless: true });
+    contextId = launchResult.data.contextId;
+
+    await t.test('mocked responses', async () => {
+      await networkMockRouteTool.handler({ contextId, pattern: '**/app.test/**', body: '<title>App</title>', contentType: 'text/html' });
+      const mock = await networkMockRouteTool.handler({
+        contextId,
+        pattern: 'api/users',
+        regex: true,
+        status: 503,
+        json: { error: 'maintenance' }
+      });
+      assert.strictEqual(mock.success, true);
+
+      const navigation = await browserNavigateTool.handler({ contextId, url: 'https://app.test/' });
+      assert.strictEqual(navigation.data.title, 'App');
+
+      await consoleEvaluateJavaScriptTool.handler({ contextId, expression: 'fetch("/api/users")' });
+      const response = await pageWaitForTool.handler({
+        contextId,
+        mode: 'response',
+        pattern: '/api/users',
+        status: 503,
+        timeout: 5000
+      });
+      assert.strictEqual(response.success, true);
+
+      const routes = await networkListRoutesTool.handler({ contextId });
+      assert.strictEqual(routes.data.total, 2);
+    });
+
+    await t.test('blocked requests fail', async () => {
+      const block = await networkBlockRouteTool.handler({ contextId, pattern: '**/*.png' });
+      assert.strictEqual(block.success, true);
+      assert.strictEqual(block.data.route.action, 'block');
+    });
+
+    await t.test('unroute removes routes', async () => {
+      const result = await networkUnrouteTool.handler({ contextId });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.remaining, 0);
+      assert.strictEqual(result.data.removed.length, 3);
+    });
+
+  } finally {
+    if (contextId) {
+      await browserCloseTool.handler({ contextId });
+    }
+    await browserManager.cleanup();
+  }
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { browserManager } from '../../src/utils/browser-manager.js';
+import { browserLaunchTool, browserNavigateTool, browserGoBackTool, browserGoForwardTool, browserReloadTool, browserCloseTool } from '../../src/tools/browser.js';
+import { pageListTool, pageSwitchTool, pageCloseTool, pageWaitForTool } from '../../src/tools/page.js';
+import { consoleEvaluateJavaScriptTool } from '../../src/tools/console.js';
+
+test('Page registry and targeting', async (t) => {
+  let contextId = null;
+  let firstPageId = null;
+  let secondPageId = null;
+
+  try {
+    const launchResult = await browserLaunchTool.handler({ headless: true });
+    contextId = launchResult.data.contextId;
+
+    await t.test('navigation returns a page id', async () => {
+      const result = await browserNavigateTool.handler({
+        contextId,
+        url: 'data:text/html,<title>First</title><h1>First</h1>'
+      });
+
+      assert.strictEqual(result.success, true);
+      assert.ok(result.data.pageId);
+      firstPageId = result.data.pageId;
+    });
+
+    await t.test('tools default to the most recent page', async () => {
+      const result = await browserNavigateTool.handler({
+        contextId,
+        url: 'data:text/html,<title>Second</title><h1>Second</h1>',
+        newTab: true
+      });
+      assert.notStrictEqual(result.data.pageId, firstPageId);
+      secondPageId = result.data.pageId;
+
+      const evaluation = await consoleEvaluateJavaScriptTool.handler({
+        contextId,
+        expression: 'document.title'
+      });
+
+      assert.strictEqual(evaluation.success, true);
+      assert.strictEqual(evaluation.data.result, 'Second');
+      assert.strictEqual(evaluation.data.pageId, secondPageId);
+    });
+
+    await t.test('page_list reports open pages', async () => {
+      const result = await pageListTool.handler({ contextId });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.activePageId, secondPageId);
+      assert.ok(result.data.pages.some(page => page.pageId === firstPageId));
+    });
+
+    await t.test('page_switch changes the default target', async () => {
+      const result = await pageSwitchTool.handler({ contextId, pageId: firstPageId });
+      assert.strictEqual(result.success, true);
+
+      const evaluation = await consoleEvaluateJavaScriptTool.handler({
+        contextId,
+        expression: 'document.title'
+      });
+      assert.strictEqual(evaluation.data.result, 'First');
+    });
+
+    await t.test('page_close removes the page', async () => {
+      const result = await pageCloseTool.handler({ contextId, pageId: firstPageId });
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.activePageId, secondPageId);
+
+      const evaluation = await consoleEvaluateJavaScriptTool.handler({
+        contextId,
+        pageId: firstPageId,
+        expression: 'document.title'
+      });
+      assert.strictEqual(evaluation.success, false);
+    });
+
+    await t.test('navigation reuses the active page', async () => {
+      const result = await browserNavigateTool.handler({
+        contextId,
+        url: 'data:text/html,<title>Third</title><h1>Third</h1>'
+      });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.pageId, secondPageId);
+      assert.strictEqual(browserManager.getStats().activePages, 1);
+    });
+
+    await t.test('history navigation', async () => {
+      const back = await browserGoBackTool.handler({ contextId });
+      assert.strictEqual(back.success, true);
+      assert.strictEqual(back.data.title, 'Second');
+
+      const forward = await browserGoForwardTool.handler({ contextId });
+      assert.strictEqual(forward.success, true);
+      assert.strictEqual(forward.data.title, 'Third');
+
+      const reload = await browserReloadTool.handler({ contextId });
+      assert.strictEqual(reload.success, true);
+      assert.strictEqual(reload.data.navigated, true);
+    });
+
+    await t.test('page_wait_for selector and timeout details', async () => {
+      await consoleEvaluateJavaScriptTool.handler({
+        contextId,
+        expression: 'setTimeout(() => { document.body.innerHTML += "<p id=late>Late</p>"; console.log("rendered"); }, 200)'
+      });
+
+      const selector = await pageWaitForTool.handler({ contextId, mode: 'selector', selector: '#late', timeout: 5000 });
+      assert.strictEqual(selector.success, true);
+
+      const consoleMessage = await pageWaitForTool.handler({
+        contextId,
+        mode: 'console',
+        pattern: 'rendered',
+        since: selector.metadata.timestamp - 5000
+      });
+      assert.strictEqual(consoleMessage.success, true);
+
+      const timeout = await pageWaitForTool.handler({ contextId, mode: 'selector', selector: '#never', timeout: 300 });
+      assert.strictEqual(timeout.success, false);
+      assert.strictEqual(timeout.error.code, 'WAIT_TIMEOUT');
+      assert.strictEqual(timeout.error.details.lastObserved.matchingElements, 0);
+    });
+
+  } finally {
+    if (contextId) {
+      await browserCloseTool.handler({ contextId });
+    }
+    await browserManager.cleanup();
+  }
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { buildAccessibilityTree, formatAccessibilityTree, getAccessibilityTree } from '../../src/utils/accessibility.js';
+
+const prop = (name, type, value) => ({ name, value: { type, value } });
+
+// RootWebArea > generic > [heading > StaticText > InlineTextBox, button (disabled), textbox]
+const AX_NODES = [
+  { nodeId: '1', role: { value: 'RootWebArea' }, name: { value: 'Shop' }, childIds: ['2'], backendDOMNodeId: 10 },
+  { nodeId: '2', parentId: '1', role: { value: 'generic' }, name: { value: '' }, childIds: ['3', '6', '7', '8'], backendDOMNodeId: 11 },
+  {
+    nodeId: '3', parentId: '2', role: { value: 'heading' }, name: { value: 'Cart' },
+    properties: [prop('level', 'integer', 2), prop('focusable', 'boolean', true)], childIds: ['4'], backendDOMNodeId: 12
+  },
+  { nodeId: '4', parentId: '3', role: { value: 'StaticText' }, name: { value: 'Cart' }, childIds: ['5'] },
+  { nodeId: '5', parentId: '4', role: { value: 'InlineTextBox' }, name: { value: 'Cart' } },
+  {
+    nodeId: '6', parentId: '2', role: { value: 'button' }, name: { value: 'Checkout' },
+    properties: [prop('disabled', 'boolean', true), prop('pressed', 'tristate', 'false')], backendDOMNodeId: 13
+  },
+  {
+    nodeId: '7', parentId: '2', role: { value: 'textbox' }, name: { value: 'Coupon' }, value: { value: 'SAVE10' },
+    description: { value: 'Optional' }, properties: [prop('invalid', 'token', 'false'), prop('required', 'boolean', true)]
+  },
+  { nodeId: '8', parentId: '2', ignored: true, role: { value: 'none' }, childIds: [] }
+];
+
+test('Accessibility tree', async (t) => {
+  await t.test('collapses unnamed containers and redundant text', () => {
+    const { nodes, stats } = buildAccessibilityTree(AX_NODES);
+
+    assert.deepStrictEqual(nodes, [{
+      role: 'RootWebArea',
+      name: 'Shop',
+      children: [
+        { role: 'heading', name: 'Cart', states: { level: 2 } },
+        { role: 'button', name: 'Checkout', states: { disabled: true } },
+        { role: 'textbox', name: 'Coupon', value: 'SAVE10', description: 'Optional', states: { required: true } }
+      ]
+    }]);
+    assert.deepStrictEqual(stats, { totalNodes: 8, returnedNodes: 4, truncatedNodes: 0 });
+  });
+
+  await t.test('keeps every node when interestingOnly is off', () => {
+    const { nodes, stats } = buildAccessibilityTree(AX_NODES, { interestingOnly: false });
+
+    assert.strictEqual(stats.returnedNodes, 8);
+    assert.strictEqual(nodes[0].children[0].role, 'generic');
+    assert.strictEqual(nodes[0].children[0].children[3].ignored, true);
+  });
+
+  await t.test('marks nodes cut off by maxDepth', () => {
+    const { nodes, stats } = buildAccessibilityTree(AX_NODES, { maxDepth: 0 });
+
+    assert.deepStrictEqual(nodes, [{ role: 'RootWebArea', name: 'Shop', truncated: true }]);
+    assert.strictEqual(stats.truncatedNodes, 1);
+  });
+
+  await t.test('roots the tree at a given node', () => {
+    const { nodes } = buildAccessibilityTree(AX_NODES, { rootId: '3', interestingOnly: false });
+
+    assert.strictEqual(nodes[0].role, 'heading');
+    assert.strictEqual(nodes[0].children[0].role, 'StaticText');
+  });
+
+  await t.test('formats a compact outline', () => {
+    const { nodes } = buildAccessibilityTree(AX_NODES);
+
+    assert.strictEqual(formatAccessibilityTree(nodes), [
+      '- RootWebArea "Shop"',
+      '  - heading "Cart" [level=2]',
+      '  - button "Checkout" [disabled]',
+      '  - textbox "Coupon" [required]: SAVE10'
+    ].join('\n'));
+  });
+
+  await t.test('resolves a selector to its accessibility node through CDP', async () => {
+    const calls = [];
+    const session = {
+      async send(method, params) {
+        calls.push(method);
+        if (method === 'Accessibility.getFullAXTree') return { nodes: AX_NODES };
+        if (method === 'Runtime.evaluate') {
+          return params.expression.includes('#missing') ? { result: { subtype: 'null' } } : { result: { objectId: 'obj-1' } };
+        }
+        if (method === 'DOM.describeNode') return { node: { backendNodeId: 13 } };
+        return {};
+      }
+    };
+
+    const { nodes } = await getAccessibilityTree(session, { selector: '#checkout' });
+    assert.deepStrictEqual(nodes, [{ role: 'button', name: 'Checkout', states: { disabled: true } }]);
+    assert.ok(calls.includes('Runtime.releaseObject'));
+
+    await assert.rejects(getAccessibilityTree(session, { selector: '#missing' }), /No element matches selector: #missing/);
+  });
+});
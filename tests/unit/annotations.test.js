@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { validateAnnotations, normalizeHighlights } from '../../src/utils/annotations.js';
+
+test('Screenshot annotations', async (t) => {
+  await t.test('accepts complete annotations', () => {
+    assert.doesNotThrow(() => validateAnnotations([
+      { type: 'rectangle', x: 10, y: 10, width: 100, height: 40 },
+      { type: 'circle', x: 50, y: 50, radius: 20, color: 'blue' },
+      { type: 'arrow', x: 0, y: 0, toX: 40, toY: 40 },
+      { type: 'text', x: 5, y: 5, text: 'Broken button' }
+    ]));
+    assert.doesNotThrow(() => validateAnnotations(undefined));
+  });
+
+  await t.test('rejects annotations missing shape fields', () => {
+    assert.throws(() => validateAnnotations([{ type: 'rectangle', x: 0, y: 0, width: 10 }]), /requires "height"/);
+    assert.throws(() => validateAnnotations([{ type: 'arrow', x: 0, y: 0 }]), /requires "toX"/);
+    assert.throws(() => validateAnnotations([{ type: 'text', x: 0, y: 0 }]), /Annotation 0 \(text\) requires "text"/);
+    assert.throws(() => validateAnnotations([{ type: 'star', x: 0, y: 0 }]), /unknown type "star"/);
+  });
+
+  await t.test('normalizes highlight selectors', () => {
+    assert.deepStrictEqual(normalizeHighlights(['#submit', { selector: '.error', label: 'Error', color: 'orange' }]), [
+      { selector: '#submit' },
+      { selector: '.error', label: 'Error', color: 'orange' }
+    ]);
+    assert.deepStrictEqual(normalizeHighlights(undefined), []);
+  });
+});
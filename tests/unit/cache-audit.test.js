@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { auditCaching, getFreshnessLifetime, isFingerprinted, parseCacheControl } from '../../src/utils/cache-audit.js';
+
+function resource(url, headers, transfer, extra = {}) {
+  return {
+    id: `req-${url}`,
+    url,
+    method: 'GET',
+    resourceType: 'script',
+    failed: false,
+    response: { status: 200, headers },
+    transfer,
+    ...extra
+  };
+}
+
+test('Cache and compression audit', async (t) => {
+  await t.test('parses cache policy', () => {
+    assert.deepStrictEqual(parseCacheControl('public, max-age=600, immutable'), { public: true, 'max-age': '600', immutable: true });
+    assert.strictEqual(getFreshnessLifetime({ 'cache-control': 'max-age=600' }), 600);
+    assert.strictEqual(getFreshnessLifetime({ 'cache-control': 'no-cache, max-age=600' }), 0);
+    assert.strictEqual(getFreshnessLifetime({
+      expires: 'Wed, 21 Oct 2026 08:00:00 GMT',
+      date: 'Wed, 21 Oct 2026 07:00:00 GMT'
+    }), 3600);
+    assert.strictEqual(getFreshnessLifetime({}), null);
+  });
+
+  await t.test('recognizes fingerprinted URLs', () => {
+    assert.ok(isFingerprinted('https://cdn.test/app.3f9a2c1b.js'));
+    assert.ok(isFingerprinted('https://cdn.test/chunk-B7X2Q9AZ.css'));
+    assert.ok(isFingerprinted('https://cdn.test/app.js?v=42'));
+    assert.ok(!isFingerprinted('https://cdn.test/main-component.js'));
+    assert.ok(!isFingerprinted('https://cdn.test/index.html'));
+  });
+
+  const requests = [
+    // Uncompressed, no validators, no cache policy; body captured so gzip savings are measured
+    resource('https://site.test/app.js', { 'content-type': 'application/javascript' },
+      { servedFrom: 'network', transferSize: 5200, decodedSize: 5000 },
+      { responseBody: { kind: 'text', text: 'var a = 1;\n'.repeat(455).slice(0, 5000), size: 5000, truncated: false } }),
+    // Hashed asset that is only fresh for 10 minutes
+    resource('https://cdn.test/vendor.3f9a2c1b.js', {
+      'content-type': 'application/javascript',
+      'content-encoding': 'br',
+      'cache-control': 'max-age=600',
+      etag: '"abc"'
+    }, { servedFrom: 'network', transferSize: 30000, decodedSize: 90000 }),
+    // Well configured and served from cache
+    resource('https://cdn.test/runtime.9b8c7d6e.js', {
+      'content-type': 'application/javascript',
+      'content-encoding': 'gzip',
+      'cache-control': 'max-age=31536000, immutable',
+      etag: '"def"'
+    }, { servedFrom: 'disk-cache', transferSize: 0, decodedSize: 12000 }),
+    // Not audited: failed and non-GET
+    resource('https://site.test/broken.js', {}, null, { failed: true }),
+    resource('https://site.test/api', {}, null, { method: 'POST' })
+  ];
+
+  const audit = auditCaching(requests);
+
+  await t.test('flags each issue on the right resource', () => {
+    const findings = Object.fromEntries(audit.resources.map(item => [item.url, item.findings.map(finding => finding.type)]));
+
+    assert.strictEqual(audit.summary.audited, 3);
+    assert.deepStrictEqual(findings['https://site.test/app.js'], ['uncompressed', 'missing_validators', 'missing_cache_policy']);
+    assert.deepStrictEqual(findings['https://cdn.test/vendor.3f9a2c1b.js'], ['short_lived_hashed_asset']);
+    assert.ok(!('https://cdn.test/runtime.9b8c7d6e.js' in findings));
+    assert.deepStrictEqual(audit.summary.byServedFrom, { network: 2, 'disk-cache': 1 });
+  });
+
+  await t.test('measures compression savings from captured bodies', () => {
+    const appJs = audit.resources.find(item => item.url === 'https://site.test/app.js');
+    const compression = appJs.findings.find(finding => finding.type === 'uncompressed');
+
+    assert.strictEqual(compression.estimated, false);
+    assert.ok(compression.savings > 4000 && compression.savings < 5000);
+  });
+
+  await t.test('summarizes savings per domain', () => {
+    const cdn = audit.domains.find(domain => domain.domain === 'cdn.test');
+
+    assert.strictEqual(cdn.requests, 2);
+    assert.strictEqual(cdn.fromCache, 1);
+    assert.strictEqual(cdn.fromNetwork, 1);
+    assert.strictEqual(cdn.potentialSavings.caching, 30000);
+    assert.strictEqual(audit.domains[0].domain, 'cdn.test');
+  });
+});
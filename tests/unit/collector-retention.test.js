@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ConsoleCollector, NetworkCollector, PerformanceCollector, RealtimeCollector } from '../../src/utils/data-collector.js';
+import { getConfig } from '../../src/config/defaults.js';
+
+function log(type, text) {
+  return { type, text, timestamp: Date.now() };
+}
+
+function requestData(url, extra = {}) {
+  return { url, method: 'GET', timestamp: Date.now(), failed: false, response: null, ...extra };
+}
+
+test('Collector retention', async (t) => {
+  await t.test('limits are configurable and drops are counted', () => {
+    const collector = new ConsoleCollector({ maxLogs: 3 });
+    for (let i = 0; i < 5; i++) {
+      collector.addLog(log('log', `message ${i}`));
+    }
+
+    assert.deepStrictEqual(collector.getLogs().map(entry => entry.text), ['message 2', 'message 3', 'message 4']);
+    const stats = collector.getStats();
+    assert.strictEqual(stats.limit, 3);
+    assert.strictEqual(stats.dropped, 2);
+
+    collector.clearLogs();
+    assert.strictEqual(collector.getStats().dropped, 0);
+  });
+
+  await t.test('errors survive a noisy page', () => {
+    const collector = new ConsoleCollector({ maxLogs: 3 });
+    collector.addLog(log('error', 'the one that matters'));
+    for (let i = 0; i < 10; i++) {
+      collector.addLog(log('log', `noise ${i}`));
+    }
+
+    const texts = collector.getLogs().map(entry => entry.text);
+    assert.deepStrictEqual(texts, ['the one that matters', 'noise 8', 'noise 9']);
+    assert.strictEqual(collector.getStats().pinned, 1);
+    assert.strictEqual(collector.getStats().dropped, 8);
+  });
+
+  await t.test('pinned entries never push the total over the limit', () => {
+    const collector = new ConsoleCollector({ maxLogs: 2 });
+    for (let i = 0; i < 3; i++) {
+      collector.addLog(log('error', `error ${i}`));
+    }
+    assert.deepStrictEqual(collector.getLogs().map(entry => entry.text), ['error 1', 'error 2']);
+
+    const unpinned = new ConsoleCollector({ maxLogs: 2, pinErrors: false });
+    unpinned.addLog(log('error', 'error'));
+    unpinned.addLog(log('log', 'a'));
+    unpinned.addLog(log('log', 'b'));
+    assert.deepStrictEqual(unpinned.getLogs().map(entry => entry.text), ['a', 'b']);
+  });
+
+  await t.test('explicitly pinned requests are kept and failed ones pinned by default', () => {
+    const collector = new NetworkCollector({ maxRequests: 3 });
+    const kept = collector.addRequest(requestData('https://app.test/keep'));
+    collector.addRequest(requestData('https://app.test/broken', { response: { status: 500 } }));
+    assert.strictEqual(collector.pin(kept.id), true);
+    assert.strictEqual(collector.pin('req-missing'), false);
+
+    for (let i = 0; i < 5; i++) {
+      collector.addRequest(requestData(`https://app.test/poll/${i}`));
+    }
+
+    const urls = collector.requests.map(req => req.url);
+    assert.deepStrictEqual(urls, ['https://app.test/keep', 'https://app.test/broken', 'https://app.test/poll/4']);
+    const stats = collector.getStats();
+    assert.strictEqual(stats.dropped, 4);
+    assert.strictEqual(stats.pinned, 2);
+  });
+
+  await t.test('reading requests does not change which ones are evicted', () => {
+    const collector = new NetworkCollector({ maxRequests: 3 });
+    ['a', 'b', 'c'].forEach((name, index) => {
+      collector.addRequest(requestData(`https://app.test/${name}`, { timestamp: 1000 + index }));
+    });
+
+    assert.deepStrictEqual(collector.getRequests().map(req => req.url.slice(-1)), ['c', 'b', 'a']);
+    collector.addRequest(requestData('https://app.test/d', { timestamp: 1003 }));
+
+    assert.deepStrictEqual(collector.requests.map(req => req.url.slice(-1)), ['b', 'c', 'd']);
+  });
+
+  await t.test('performance and realtime collectors report drops', () => {
+    const performance = new PerformanceCollector({ maxEntries: 2 });
+    for (let i = 0; i < 4; i++) {
+      performance.addEntry({ entryType: 'mark', name: `mark-${i}` });
+    }
+    assert.deepStrictEqual(performance.getStats(), { total: 2, limit: 2, dropped: 2, pinned: 0 });
+
+    const realtime = new RealtimeCollector({ maxSockets: 1, maxFrames: 2 });
+    const socket = realtime.addSocket({ url: 'wss://app.test/live', kind: 'websocket', pageId: 'page-1' });
+    for (let i = 0; i < 3; i++) {
+      realtime.addFrame(socket, { direction: 'received', payload: `tick ${i}`, encoding: 'text' });
+    }
+    realtime.closeSocket(socket, { error: 'net::ERR_CONNECTION_RESET' });
+    realtime.addSocket({ url: 'wss://app.test/other', kind: 'websocket', pageId: 'page-1' });
+
+    const stats = realtime.getStats();
+    assert.deepStrictEqual(stats.dropped, { sockets: 1, frames: 1 });
+    assert.strictEqual(realtime.getSockets()[0].url, 'wss://app.test/live');
+  });
+
+  await t.test('limits can be set from the environment', () => {
+    process.env.MCP_MAX_NETWORK_REQUESTS = '2000';
+    process.env.MCP_PIN_ERRORS = 'false';
+    try {
+      const config = getConfig();
+      assert.strictEqual(config.retention.maxNetworkRequests, 2000);
+      assert.strictEqual(config.retention.maxConsoleLogs, 1000);
+      assert.strictEqual(config.retention.pinErrors, false);
+    } finally {
+      delete process.env.MCP_MAX_NETWORK_REQUESTS;
+      delete process.env.MCP_PIN_ERRORS;
+    }
+  });
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { diagnoseCorsRequest, getNonSafelistedHeaders, matchCorsConsoleMessages, parseCorsConsoleMessage } from '../../src/utils/cors.js';
+
+function corsRequest(overrides = {}) {
+  return {
+    id: 'req-1',
+    url: 'https://api.test/orders',
+    method: 'GET',
+    headers: { accept: 'application/json' },
+    frameUrl: 'https://app.test/checkout',
+    pageId: 'page-1',
+    timestamp: 1000,
+    failed: true,
+    failure: 'net::ERR_FAILED',
+    response: null,
+    ...overrides
+  };
+}
+
+const credentialsMessage = {
+  text: "Access to fetch at 'https://api.test/orders' from origin 'https://app.test' has been blocked by CORS policy: " +
+    "The value of the 'Access-Control-Allow-Origin' header in the response must not be the wildcard '*' when the request's credentials mode is 'include'.",
+  timestamp: 1010,
+  pageId: 'page-1'
+};
+
+test('CORS diagnosis', async (t) => {
+  await t.test('parses Chromium console messages', () => {
+    const info = parseCorsConsoleMessage(credentialsMessage.text);
+
+    assert.strictEqual(info.url, 'https://api.test/orders');
+    assert.strictEqual(info.origin, 'https://app.test');
+    assert.strictEqual(info.credentialsMode, 'include');
+    assert.strictEqual(parseCorsConsoleMessage('Uncaught TypeError: x is undefined'), null);
+  });
+
+  await t.test('only non-safelisted headers need to be allowed', () => {
+    assert.deepStrictEqual(getNonSafelistedHeaders({
+      Accept: '*/*',
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer x',
+      'User-Agent': 'test',
+      'X-Trace': '1'
+    }), ['content-type', 'authorization', 'x-trace']);
+  });
+
+  await t.test('missing Access-Control-Allow-Origin on the response', () => {
+    const diagnosis = diagnoseCorsRequest(corsRequest({
+      response: { status: 200, headers: { 'content-type': 'application/json' } },
+      corsError: { error: 'MissingAllowOriginHeader', failedParameter: null }
+    }));
+
+    assert.strictEqual(diagnosis.origin, 'https://app.test');
+    assert.strictEqual(diagnosis.blocked, true);
+    assert.strictEqual(diagnosis.summary, 'The response has no Access-Control-Allow-Origin header');
+    assert.deepStrictEqual(diagnosis.problems.map(item => [item.header, item.issue]), [['Access-Control-Allow-Origin', 'missing']]);
+  });
+
+  await t.test('wildcard origin with credentials', () => {
+    const entry = corsRequest({ response: { status: 200, headers: { 'access-control-allow-origin': '*' } } });
+    const diagnosis = diagnoseCorsRequest(entry, credentialsMessage);
+
+    assert.strictEqual(diagnosis.credentialsMode, 'include');
+    assert.deepStrictEqual(diagnosis.problems.map(item => [item.header, item.issue]), [
+      ['Access-Control-Allow-Origin', 'mismatch'],
+      ['Access-Control-Allow-Credentials', 'missing']
+    ]);
+    assert.strictEqual(diagnosis.consoleMessage, credentialsMessage.text);
+  });
+
+  await t.test('preflight that does not allow the method or a custom header', () => {
+    const diagnosis = diagnoseCorsRequest(corsRequest({
+      method: 'PUT',
+      headers: { 'content-type': 'application/json', 'x-trace': '1' },
+      preflight: {
+        url: 'https://api.test/orders',
+        status: 204,
+        requestedMethod: 'PUT',
+        requestedHeaders: ['content-type', 'x-trace'],
+        headers: {
+          'Access-Control-Allow-Origin': 'https://app.test',
+          'Access-Control-Allow-Methods': 'GET, POST',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }
+      }
+    }));
+
+    assert.deepStrictEqual(diagnosis.problems.map(item => [item.header, item.actual]), [
+      ['Access-Control-Allow-Methods', 'GET, POST'],
+      ['Access-Control-Allow-Headers', 'Content-Type']
+    ]);
+    assert.strictEqual(diagnosis.problems[1].expected, 'x-trace');
+    assert.strictEqual(diagnosis.preflight.accessControlHeaders['access-control-allow-methods'], 'GET, POST');
+  });
+
+  await t.test('failing preflight status and mismatched origin', () => {
+    const diagnosis = diagnoseCorsRequest(corsRequest({
+      method: 'DELETE',
+      preflight: {
+        status: 401,
+        requestedMethod: 'DELETE',
+        requestedHeaders: [],
+        headers: { 'access-control-allow-origin': 'https://admin.app.test', 'access-control-allow-methods': '*' }
+      }
+    }));
+
+    assert.deepStrictEqual(diagnosis.problems.map(item => item.issue), ['status', 'mismatch']);
+    assert.strictEqual(diagnosis.problems[1].actual, 'https://admin.app.test');
+  });
+
+  await t.test('console messages are matched to the request they name', () => {
+    const first = corsRequest({ id: 'req-1', timestamp: 900 });
+    const second = corsRequest({ id: 'req-2', timestamp: 1000 });
+    const unrelated = corsRequest({ id: 'req-3', url: 'https://api.test/other' });
+
+    const matches = matchCorsConsoleMessages([first, second, unrelated], [credentialsMessage]);
+
+    assert.deepStrictEqual(Array.from(matches.keys()), ['req-2']);
+  });
+});
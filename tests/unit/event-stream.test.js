@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { EventStream } from '../../src/utils/event-stream.js';
+
+function setup() {
+  const source = new EventEmitter();
+  let now = 10000;
+  const stream = new EventStream(source, { now: () => now });
+  const sent = [];
+  stream.setSender(async (params) => {
+    sent.push(params);
+  });
+  return { source, stream, sent, advance: (ms) => { now += ms; } };
+}
+
+function consoleLog(type, text, pageId = 'page-1') {
+  return { id: `log-${text}`, type, text, pageId, location: { url: 'https://app.test/app.js' }, timestamp: Date.now() };
+}
+
+// Notifications are delivered on a microtask
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('EventStream', async (t) => {
+  await t.test('only subscribed contexts and event types are sent', async () => {
+    const { source, stream, sent } = setup();
+    source.emit('console', 'context-1', consoleLog('error', 'before subscribing'));
+
+    stream.subscribe('context-1');
+    source.emit('console', 'context-1', consoleLog('error', 'Uncaught TypeError'));
+    source.emit('console', 'context-1', consoleLog('warning', 'deprecated API'));
+    source.emit('console', 'context-1', consoleLog('log', 'hello'));
+    source.emit('console', 'context-2', consoleLog('error', 'other context'));
+    source.emit('requestfailed', 'context-1', {
+      id: 'req-1', pageId: 'page-1', method: 'GET', url: 'https://api.test/users', resourceType: 'fetch',
+      response: { status: 502 }, failed: false
+    });
+    await settle();
+
+    assert.strictEqual(sent.length, 2);
+    assert.deepStrictEqual(sent.map(params => params.data.event), ['console_error', 'request_failed']);
+    assert.strictEqual(sent[0].level, 'error');
+    assert.strictEqual(sent[0].logger, 'playwright-devtools');
+    assert.strictEqual(sent[0].data.logId, 'log-Uncaught TypeError');
+    assert.strictEqual(sent[1].level, 'warning');
+    assert.strictEqual(sent[1].data.status, 502);
+  });
+
+  await t.test('filters by page, URL and text', async () => {
+    const { source, stream, sent } = setup();
+    stream.subscribe('context-1', { events: ['request_failed'], pageId: 'page-2', textContains: 'REFUSED' });
+
+    const failure = (pageId, failureText) => ({
+      id: `req-${pageId}-${failureText}`, pageId, method: 'GET', url: 'https://api.test/x', failed: true, failure: failureText
+    });
+    source.emit('requestfailed', 'context-1', failure('page-1', 'net::ERR_CONNECTION_REFUSED'));
+    source.emit('requestfailed', 'context-1', failure('page-2', 'net::ERR_ABORTED'));
+    source.emit('requestfailed', 'context-1', failure('page-2', 'net::ERR_CONNECTION_REFUSED'));
+    await settle();
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].data.requestId, 'req-page-2-net::ERR_CONNECTION_REFUSED');
+  });
+
+  await t.test('rate limits and reports suppressed events', async () => {
+    const { source, stream, sent, advance } = setup();
+    stream.subscribe('context-1', { maxPerSecond: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      source.emit('console', 'context-1', consoleLog('error', `error ${i}`));
+    }
+    advance(1000);
+    source.emit('console', 'context-1', consoleLog('error', 'next window'));
+    await settle();
+
+    assert.deepStrictEqual(sent.map(params => params.data.event), ['console_error', 'console_error', 'events_suppressed', 'console_error']);
+    assert.strictEqual(sent[2].data.count, 3);
+    assert.strictEqual(sent[3].data.text, 'next window');
+
+    const summary = stream.unsubscribe('context-1');
+    assert.strictEqual(summary.sent, 3);
+    assert.strictEqual(summary.suppressed, 3);
+  });
+
+  await t.test('honors the client logging level and context close', async () => {
+    const { source, stream, sent } = setup();
+    stream.subscribe('context-1', { events: ['console_error', 'console_warning'] });
+    stream.setLevel('error');
+
+    source.emit('console', 'context-1', consoleLog('warning', 'quiet'));
+    source.emit('console', 'context-1', consoleLog('error', 'loud'));
+    source.emit('contextclosed', 'context-1');
+    source.emit('console', 'context-1', consoleLog('error', 'after close'));
+    await settle();
+
+    assert.deepStrictEqual(sent.map(params => params.data.text), ['loud']);
+    assert.strictEqual(stream.getSubscription('context-1'), null);
+  });
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { findOperations, parseGraphqlRequest, summarizeGraphqlResponse } from '../../src/utils/graphql.js';
+import { NetworkCollector } from '../../src/utils/data-collector.js';
+
+function graphqlPost(body) {
+  return {
+    url: 'https://api.test/graphql',
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    postData: JSON.stringify(body),
+    timestamp: Date.now(),
+    failed: false,
+    response: null
+  };
+}
+
+test('GraphQL parsing', async (t) => {
+  await t.test('finds top-level operations only', () => {
+    const query = `
+      # query Commented { x }
+      query Search($query: String = "mutation Fake") { search(q: $query) { ...Result } }
+      fragment Result on Item { id }
+      mutation Save { save { id } }
+    `;
+
+    assert.deepStrictEqual(findOperations(query), [
+      { operationType: 'query', operationName: 'Search' },
+      { operationType: 'mutation', operationName: 'Save' }
+    ]);
+    assert.deepStrictEqual(findOperations('{ viewer { id } }'), [{ operationType: 'query', operationName: null }]);
+  });
+
+  await t.test('parses JSON bodies and picks the named operation', () => {
+    const graphql = parseGraphqlRequest(graphqlPost({
+      query: 'query A { a } mutation B($id: ID!) { b(id: $id) }',
+      operationName: 'B',
+      variables: { id: '1' }
+    }));
+
+    assert.strictEqual(graphql.operationName, 'B');
+    assert.strictEqual(graphql.operationType, 'mutation');
+    assert.deepStrictEqual(graphql.variables, { id: '1' });
+    assert.strictEqual(graphql.batched, false);
+  });
+
+  await t.test('supports batches, GET requests and persisted queries', () => {
+    const batch = parseGraphqlRequest(graphqlPost([{ query: 'query One { a }' }, { query: 'query Two { b }' }]));
+    assert.strictEqual(batch.batched, true);
+    assert.strictEqual(batch.operationName, 'One, Two');
+
+    const get = parseGraphqlRequest({
+      url: 'https://api.test/graphql?query=' + encodeURIComponent('query Feed { feed { id } }') + '&variables=%7B%22first%22%3A10%7D',
+      method: 'GET',
+      headers: {}
+    });
+    assert.strictEqual(get.operationName, 'Feed');
+    assert.deepStrictEqual(get.variables, { first: 10 });
+
+    const persisted = parseGraphqlRequest(graphqlPost({
+      operationName: 'Cart',
+      extensions: { persistedQuery: { version: 1, sha256Hash: 'abc' } }
+    }));
+    assert.strictEqual(persisted.operationName, 'Cart');
+    assert.strictEqual(persisted.operationType, null);
+    assert.strictEqual(persisted.persistedQueryHash, 'abc');
+  });
+
+  await t.test('ignores non-GraphQL bodies', () => {
+    assert.strictEqual(parseGraphqlRequest(graphqlPost({ query: 'red shoes' })), null);
+    assert.strictEqual(parseGraphqlRequest(graphqlPost({ name: 'x' })), null);
+    assert.strictEqual(parseGraphqlRequest({ ...graphqlPost({}), postData: 'not json' }), null);
+  });
+
+  await t.test('summarizes response errors', () => {
+    const summary = summarizeGraphqlResponse({
+      data: { viewer: null },
+      errors: [{ message: 'Not authorized', path: ['viewer'], extensions: { code: 'UNAUTHENTICATED' } }]
+    });
+
+    assert.strictEqual(summary.hasErrors, true);
+    assert.strictEqual(summary.hasData, true);
+    assert.deepStrictEqual(summary.errors[0], { message: 'Not authorized', path: ['viewer'], code: 'UNAUTHENTICATED', operationIndex: undefined });
+  });
+
+  await t.test('collector filters by operation and errors', () => {
+    const collector = new NetworkCollector();
+    const search = collector.addRequest(graphqlPost({ query: 'query Search { a }' }));
+    const save = collector.addRequest(graphqlPost({ query: 'mutation Save { b }' }));
+    collector.addRequest({ url: 'https://api.test/rest', method: 'GET', headers: {}, timestamp: Date.now(), failed: false, response: null });
+
+    search.response = { status: 200 };
+    save.response = { status: 200 };
+    collector.recordGraphqlResponse(save, { errors: [{ message: 'Invalid input' }] });
+
+    assert.deepStrictEqual(collector.getRequests({ operationName: 'search' }).map(req => req.id), [search.id]);
+    assert.deepStrictEqual(collector.getRequests({ hasGraphqlErrors: true }).map(req => req.id), [save.id]);
+    assert.deepStrictEqual(collector.getRequests({ status: 'failed' }).map(req => req.id), [save.id]);
+
+    const stats = collector.getStats();
+    assert.strictEqual(stats.graphql, 2);
+    assert.strictEqual(stats.graphqlErrors, 1);
+    assert.strictEqual(stats.failed, 1);
+  });
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { buildHar, toHarTimings } from '../../src/utils/har.js';
+
+const navigation = {
+  id: 'req-1',
+  url: 'https://shop.test/',
+  method: 'GET',
+  headers: { accept: 'text/html' },
+  resourceType: 'document',
+  timestamp: 1000,
+  pageId: 'page-a',
+  isNavigationRequest: true,
+  isMainFrame: true,
+  failed: false,
+  response: { status: 200, statusText: 'OK', headers: { 'content-type': 'text/html' } }
+};
+
+const apiCall = {
+  id: 'req-2',
+  url: 'https://shop.test/api/cart?id=7',
+  method: 'POST',
+  headers: { 'content-type': 'application/json' },
+  postData: '{"sku":1}',
+  resourceType: 'fetch',
+  timestamp: 1200,
+  pageId: 'page-a',
+  isNavigationRequest: false,
+  isMainFrame: true,
+  failed: false,
+  response: { status: 500, statusText: 'Internal Server Error', headers: { 'content-type': 'application/json' } },
+  responseBody: { kind: 'json', size: 15, json: { error: 'boom' } },
+  timing: {
+    startTime: 1200,
+    domainLookupStart: 1, domainLookupEnd: 3,
+    connectStart: 3, secureConnectionStart: 5, connectEnd: 10,
+    requestStart: 11, responseStart: 40, responseEnd: 45
+  }
+};
+
+test('HAR export', async (t) => {
+  await t.test('timings map to HAR phases', () => {
+    const timings = toHarTimings(apiCall.timing);
+
+    assert.deepStrictEqual(timings, { blocked: 1, dns: 2, connect: 7, ssl: 5, send: 0, wait: 29, receive: 5 });
+    assert.strictEqual(toHarTimings(null).wait, -1);
+  });
+
+  await t.test('builds pages and entries', () => {
+    const har = buildHar([apiCall, navigation], {
+      pageEvents: [
+        { pageId: 'page-a', type: 'domcontentloaded', timestamp: 1300 },
+        { pageId: 'page-a', type: 'load', timestamp: 1500 }
+      ],
+      pageTitles: { 'page-a': 'Shop' }
+    });
+
+    assert.strictEqual(har.log.version, '1.2');
+    assert.strictEqual(har.log.pages.length, 1);
+    assert.deepStrictEqual(har.log.pages[0].pageTimings, { onContentLoad: 300, onLoad: 500 });
+    assert.strictEqual(har.log.pages[0].title, 'Shop');
+
+    const [first, second] = har.log.entries;
+    assert.strictEqual(first.request.url, navigation.url);
+    assert.strictEqual(second.pageref, har.log.pages[0].id);
+    assert.deepStrictEqual(second.request.queryString, [{ name: 'id', value: '7' }]);
+    assert.strictEqual(second.request.postData.text, '{"sku":1}');
+    assert.strictEqual(second.response.content.text, '{"error":"boom"}');
+    assert.strictEqual(second.time, 44);
+  });
+
+  await t.test('bodies can be left out', () => {
+    const har = buildHar([apiCall], { includeBodies: false });
+
+    assert.strictEqual(har.log.entries[0].response.content.text, undefined);
+  });
+
+  await t.test('failed requests get status 0 and an error', () => {
+    const har = buildHar([{ ...apiCall, response: null, failed: true, failure: 'net::ERR_FAILED' }]);
+
+    assert.strictEqual(har.log.entries[0].response.status, 0);
+    assert.strictEqual(har.log.entries[0].response._error, 'net::ERR_FAILED');
+  });
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { deflateSync } from 'zlib';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { isPng, decodePng, encodePng } from '../../src/utils/png.js';
+import { diffImages, downscaleImage } from '../../src/utils/image-diff.js';
+import { validateBaselineName, saveBaseline, loadBaseline } from '../../src/utils/baselines.js';
+
+function solidImage(width, height, [r, g, b, a = 255]) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([r, g, b, a], i * 4);
+  }
+  return { width, height, data };
+}
+
+function paint(image, x, y, width, height, [r, g, b]) {
+  for (let row = y; row < y + height; row++) {
+    for (let column = x; column < x + width; column++) {
+      image.data.set([r, g, b, 255], (row * image.width + column) * 4);
+    }
+  }
+  return image;
+}
+
+// Hand-built PNG chunk; the decoder does not check CRCs, so a zero one is enough here
+function rawChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+test('PNG codec', async (t) => {
+  await t.test('round-trips RGBA pixels', () => {
+    const image = paint(solidImage(5, 3, [10, 20, 30, 128]), 1, 1, 2, 1, [200, 100, 50]);
+    const buffer = encodePng(image);
+
+    assert.strictEqual(isPng(buffer), true);
+    const decoded = decodePng(buffer);
+    assert.strictEqual(decoded.width, 5);
+    assert.strictEqual(decoded.height, 3);
+    assert.deepStrictEqual(Array.from(decoded.data), Array.from(image.data));
+  });
+
+  await t.test('decodes palette images with transparency and row filters', () => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(2, 0);
+    header.writeUInt32BE(2, 4);
+    header[8] = 8;
+    header[9] = 3; // palette
+    const palette = Buffer.from([255, 0, 0, 0, 0, 255]);
+    const transparency = Buffer.from([255, 0]);
+    // Row 0 unfiltered [0, 1]; row 1 "up" filtered deltas [1, -1] -> [1, 0]
+    const raw = Buffer.from([0, 0, 1, 2, 1, 255]);
+
+    const decoded = decodePng(Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      rawChunk('IHDR', header),
+      rawChunk('PLTE', palette),
+      rawChunk('tRNS', transparency),
+      rawChunk('IDAT', deflateSync(raw)),
+      rawChunk('IEND', Buffer.alloc(0))
+    ]));
+
+    assert.deepStrictEqual(Array.from(decoded.data), [
+      255, 0, 0, 255, 0, 0, 255, 0,
+      0, 0, 255, 0, 255, 0, 0, 255
+    ]);
+  });
+
+  await t.test('rejects non-PNG input', () => {
+    assert.strictEqual(isPng(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0])), false);
+    assert.throws(() => decodePng(Buffer.from('not an image at all')), /Not a PNG/);
+  });
+});
+
+test('Image diff', async (t) => {
+  await t.test('reports no change for identical images', () => {
+    const result = diffImages(solidImage(20, 20, [50, 50, 50]), solidImage(20, 20, [50, 50, 50]));
+
+    assert.strictEqual(result.changedPixels, 0);
+    assert.strictEqual(result.mismatchPercentage, 0);
+    assert.strictEqual(result.sizeMismatch, false);
+    assert.deepStrictEqual(result.regions, []);
+  });
+
+  await t.test('ignores differences within the threshold', () => {
+    const before = solidImage(10, 10, [100, 100, 100]);
+    const after = solidImage(10, 10, [110, 100, 100]);
+
+    assert.strictEqual(diffImages(before, after, { threshold: 0.1 }).changedPixels, 0);
+    assert.strictEqual(diffImages(before, after, { threshold: 0 }).changedPixels, 100);
+  });
+
+  await t.test('treats fully transparent pixels as white', () => {
+    const before = solidImage(4, 4, [0, 0, 0, 0]);
+    const after = solidImage(4, 4, [255, 255, 255]);
+
+    assert.strictEqual(diffImages(before, after, { threshold: 0 }).changedPixels, 0);
+  });
+
+  await t.test('groups changes into bounding boxes, largest first', () => {
+    const before = solidImage(100, 100, [255, 255, 255]);
+    const after = paint(paint(solidImage(100, 100, [255, 255, 255]), 4, 4, 20, 20, [0, 0, 0]), 70, 70, 5, 5, [255, 0, 0]);
+    const result = diffImages(before, after);
+
+    assert.strictEqual(result.changedPixels, 425);
+    assert.strictEqual(result.mismatchPercentage, 4.25);
+    assert.strictEqual(result.regionCount, 2);
+    assert.deepStrictEqual(result.regions[0], { x: 0, y: 0, width: 32, height: 32, changedPixels: 400 });
+    assert.deepStrictEqual(result.regions[1], { x: 64, y: 64, width: 16, height: 16, changedPixels: 25 });
+  });
+
+  await t.test('marks changed pixels red in the diff image', () => {
+    const result = diffImages(solidImage(2, 1, [0, 0, 0]), paint(solidImage(2, 1, [0, 0, 0]), 1, 0, 1, 1, [255, 255, 255]));
+
+    assert.deepStrictEqual(Array.from(result.diffImage.data.subarray(4, 8)), [255, 0, 0, 255]);
+    assert.notDeepStrictEqual(Array.from(result.diffImage.data.subarray(0, 4)), [255, 0, 0, 255]);
+  });
+
+  await t.test('counts the area outside a smaller image as changed', () => {
+    const result = diffImages(solidImage(10, 10, [0, 0, 0]), solidImage(10, 12, [0, 0, 0]));
+
+    assert.strictEqual(result.sizeMismatch, true);
+    assert.strictEqual(result.height, 12);
+    assert.strictEqual(result.changedPixels, 20);
+    assert.deepStrictEqual(result.regions[0], { x: 0, y: 0, width: 10, height: 12, changedPixels: 20 });
+  });
+
+  await t.test('downscales by sampling every nth pixel', () => {
+    const image = paint(solidImage(4, 4, [0, 0, 0]), 2, 2, 2, 2, [255, 255, 255]);
+    const small = downscaleImage(image, 2);
+
+    assert.strictEqual(small.width, 2);
+    assert.strictEqual(small.height, 2);
+    assert.deepStrictEqual(Array.from(small.data.subarray(12, 16)), [255, 255, 255, 255]);
+    assert.deepStrictEqual(Array.from(small.data.subarray(0, 4)), [0, 0, 0, 255]);
+  });
+});
+
+test('Screenshot baselines', async (t) => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'baselines-test-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  await t.test('rejects names that could escape the baseline directory', () => {
+    assert.strictEqual(validateBaselineName('home-page_v2.mobile'), 'home-page_v2.mobile');
+    assert.throws(() => validateBaselineName('../secrets'), /Invalid baseline name/);
+    assert.throws(() => validateBaselineName('a/b'), /Invalid baseline name/);
+    assert.throws(() => validateBaselineName(''), /Invalid baseline name/);
+  });
+
+  await t.test('saves and loads a baseline with its capture options', async () => {
+    const buffer = encodePng(solidImage(2, 2, [1, 2, 3]));
+    const saved = await saveBaseline(dir, 'header', buffer, { fullPage: false, selector: 'header' });
+    const loaded = await loadBaseline(dir, 'header');
+
+    assert.strictEqual(saved.path, join(dir, 'header.png'));
+    assert.ok(loaded.buffer.equals(buffer));
+    assert.strictEqual(loaded.meta.selector, 'header');
+    assert.strictEqual(loaded.meta.path, saved.path);
+  });
+
+  await t.test('explains how to create a missing baseline', async () => {
+    await assert.rejects(loadBaseline(dir, 'missing'), /Baseline not found: missing \(save one with saveBaseline\)/);
+  });
+});
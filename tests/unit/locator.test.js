@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { resolveLocator } from '../../src/utils/locator.js';
+
+// Records which Playwright locator method built the target
+function fakeLocator(kind, args) {
+  return { kind, args, nth: index => fakeLocator(kind, [...args, { nth: index }]) };
+}
+
+const page = {
+  locator: (...args) => fakeLocator('locator', args),
+  getByRole: (...args) => fakeLocator('role', args),
+  getByText: (...args) => fakeLocator('text', args)
+};
+
+test('Interaction targets', async (t) => {
+  await t.test('builds a locator from a single target', () => {
+    const byRole = resolveLocator(page, { role: 'button', name: 'Save', exact: true });
+    assert.strictEqual(byRole.locator.kind, 'role');
+    assert.deepStrictEqual(byRole.locator.args, ['button', { name: 'Save', exact: true }]);
+    assert.strictEqual(byRole.description, 'role=button[name="Save"]');
+
+    const byText = resolveLocator(page, { text: 'Checkout', nth: 1 });
+    assert.strictEqual(byText.locator.kind, 'text');
+    assert.strictEqual(byText.description, 'text="Checkout" >> nth=1');
+
+    assert.strictEqual(resolveLocator(page, { selector: '#save' }).description, '#save');
+    assert.strictEqual(resolveLocator(page, {}), null);
+  });
+
+  await t.test('rejects more than one target', () => {
+    assert.throws(
+      () => resolveLocator(page, { selector: '#save', text: 'Save' }),
+      /Use only one of selector, role or text to target an element \(got selector, text\)/
+    );
+    assert.throws(() => resolveLocator(page, { role: 'button', text: 'Save' }), /got role, text/);
+  });
+});
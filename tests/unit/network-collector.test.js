@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { NetworkCollector } from '../../src/utils/data-collector.js';
+
+// Minimal stand-in for a Playwright Request: only identity and redirectedFrom() matter here
+function fakeRequest(url, redirectedFrom = null) {
+  return { url, redirectedFrom: () => redirectedFrom };
+}
+
+function requestData(url) {
+  return { url, method: 'GET', timestamp: Date.now(), failed: false, response: null };
+}
+
+test('NetworkCollector request identity', async (t) => {
+  await t.test('repeated URLs map to their own entries', () => {
+    const collector = new NetworkCollector();
+    const first = fakeRequest('https://api.test/poll');
+    const second = fakeRequest('https://api.test/poll');
+
+    const firstEntry = collector.addRequest(requestData(first.url), first);
+    const secondEntry = collector.addRequest(requestData(second.url), second);
+
+    assert.notStrictEqual(firstEntry.id, secondEntry.id);
+    assert.strictEqual(collector.getEntry(first), firstEntry);
+    assert.strictEqual(collector.getEntry(second), secondEntry);
+    assert.strictEqual(collector.getRequest(secondEntry.id), secondEntry);
+  });
+
+  await t.test('URL prefixes do not collide', () => {
+    const collector = new NetworkCollector();
+    const longer = fakeRequest('https://api.test/users/123');
+    const shorter = fakeRequest('https://api.test/users/1');
+
+    const longerEntry = collector.addRequest(requestData(longer.url), longer);
+    collector.addRequest(requestData(shorter.url), shorter);
+
+    assert.strictEqual(collector.getEntry(longer), longerEntry);
+  });
+
+  await t.test('redirect chains are linked', () => {
+    const collector = new NetworkCollector();
+    const original = fakeRequest('http://site.test/');
+    const hop = fakeRequest('https://site.test/', original);
+    const final = fakeRequest('https://www.site.test/', hop);
+
+    const originalEntry = collector.addRequest(requestData(original.url), original);
+    const hopEntry = collector.addRequest(requestData(hop.url), hop);
+    const finalEntry = collector.addRequest(requestData(final.url), final);
+
+    assert.strictEqual(originalEntry.redirectedTo, hopEntry.id);
+    assert.strictEqual(finalEntry.redirectedFrom, hopEntry.id);
+    assert.deepStrictEqual(finalEntry.redirectChain, [originalEntry.id, hopEntry.id]);
+  });
+
+  await t.test('replays are linked to the original request', () => {
+    const collector = new NetworkCollector();
+    const original = collector.addRequest(requestData('https://api.test/orders'), fakeRequest('https://api.test/orders'));
+    const replay = collector.addRequest(requestData('https://api.test/orders'), fakeRequest('https://api.test/orders'));
+
+    collector.linkReplay(replay, original.id, { method: 'PUT' });
+
+    assert.strictEqual(replay.replayOf, original.id);
+    assert.deepStrictEqual(replay.replayOverrides, { method: 'PUT' });
+    assert.deepStrictEqual(original.replays, [replay.id]);
+  });
+
+  await t.test('clearRequests forgets request identities', () => {
+    const collector = new NetworkCollector();
+    const request = fakeRequest('https://api.test/');
+    collector.addRequest(requestData(request.url), request);
+
+    collector.clearRequests();
+
+    assert.strictEqual(collector.getEntry(request), null);
+  });
+});
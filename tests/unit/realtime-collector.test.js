@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RealtimeCollector } from '../../src/utils/data-collector.js';
+import { parseWebSocketFrame } from '../../src/utils/websocket-frames.js';
+
+test('RealtimeCollector', async (t) => {
+  await t.test('parses text, binary and close frames', () => {
+    assert.deepStrictEqual(parseWebSocketFrame({ opcode: 1, mask: true, payloadData: 'hello' }), {
+      opcode: 1,
+      type: 'text',
+      payload: 'hello',
+      encoding: 'text'
+    });
+
+    const binary = parseWebSocketFrame({ opcode: 2, mask: false, payloadData: Buffer.from([1, 2, 3]).toString('base64') });
+    assert.strictEqual(binary.type, 'binary');
+    assert.strictEqual(binary.encoding, 'base64');
+
+    const closePayload = Buffer.concat([Buffer.from([0x03, 0xe8]), Buffer.from('bye')]).toString('base64');
+    const close = parseWebSocketFrame({ opcode: 8, mask: false, payloadData: closePayload });
+    assert.strictEqual(close.type, 'close');
+    assert.strictEqual(close.closeCode, 1000);
+    assert.strictEqual(close.closeReason, 'bye');
+  });
+
+  await t.test('records frames per socket and filters them', () => {
+    const realtime = new RealtimeCollector();
+    const chat = realtime.addSocket({ url: 'wss://chat.test/socket', kind: 'websocket', pageId: 'page-1' });
+    const feed = realtime.addSocket({ url: 'https://site.test/events', kind: 'eventsource', pageId: 'page-1' });
+
+    realtime.addFrame(chat, { direction: 'sent', opcode: 1, type: 'text', payload: '{"join":"lobby"}', encoding: 'text' });
+    realtime.addFrame(chat, { direction: 'received', opcode: 1, type: 'text', payload: '{"joined":"Lobby"}', encoding: 'text' });
+    realtime.addFrame(chat, { direction: 'received', opcode: 2, type: 'binary', payload: Buffer.from('lobby').toString('base64'), encoding: 'base64' });
+    realtime.addFrame(feed, { direction: 'received', type: 'message', eventName: 'tick', payload: 'price=10', encoding: 'text' });
+
+    assert.strictEqual(chat.framesSent, 1);
+    assert.strictEqual(chat.framesReceived, 2);
+    assert.strictEqual(realtime.getFrames({ urlContains: 'chat.test' }).length, 3);
+    assert.strictEqual(realtime.getFrames({ direction: 'sent' }).length, 1);
+    assert.strictEqual(realtime.getFrames({ kind: 'eventsource' })[0].eventName, 'tick');
+
+    // Text search is case-insensitive and skips base64 payloads
+    const matches = realtime.getFrames({ contains: 'lobby' });
+    assert.deepStrictEqual(matches.map(frame => frame.direction), ['sent', 'received']);
+    assert.strictEqual(realtime.getFrames({ socketId: chat.id, limit: 1 })[0].type, 'binary');
+    assert.strictEqual(realtime.getFrames({ socketId: chat.id })[2].size, 5);
+  });
+
+  await t.test('truncates long payload previews', () => {
+    const realtime = new RealtimeCollector();
+    const socket = realtime.addSocket({ url: 'wss://big.test', kind: 'websocket', pageId: 'page-1' });
+    const frame = realtime.addFrame(socket, { direction: 'received', opcode: 1, type: 'text', payload: 'x'.repeat(5000), encoding: 'text' });
+
+    assert.strictEqual(frame.size, 5000);
+    assert.strictEqual(frame.preview.length, realtime.maxPreviewLength);
+    assert.strictEqual(frame.truncated, true);
+  });
+
+  await t.test('tracks close and clears frames but keeps open sockets', () => {
+    const realtime = new RealtimeCollector();
+    const open = realtime.addSocket({ url: 'wss://a.test', kind: 'websocket', pageId: 'page-1' });
+    const closed = realtime.addSocket({ url: 'wss://b.test', kind: 'websocket', pageId: 'page-1' });
+    open.status = 'open';
+    closed.closeCode = 1001;
+    realtime.closeSocket(closed);
+
+    assert.strictEqual(closed.status, 'closed');
+    assert.strictEqual(closed.closeCode, 1001);
+
+    realtime.clearFrames();
+    assert.deepStrictEqual(realtime.getSockets().map(socket => socket.id), [open.id]);
+  });
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { RequestCorrelator } from '../../src/utils/request-correlator.js';
+
+function entry(url, method = 'GET') {
+  return { id: `req-${Math.random().toString(36).substr(2, 9)}`, url, method };
+}
+
+test('Request correlation', async (t) => {
+  await t.test('pairs repeated requests for the same URL in order', () => {
+    const correlator = new RequestCorrelator();
+    const first = entry('https://api.test/poll');
+    const second = entry('https://api.test/poll');
+
+    correlator.addEntry(first);
+    correlator.addEntry(second);
+    correlator.addRequestId('1', 'GET', 'https://api.test/poll');
+    correlator.addRequestId('2', 'GET', 'https://api.test/poll');
+
+    // The second load finishes first and must not land on the first entry
+    correlator.attach('2', { transfer: { servedFrom: 'memory-cache' } });
+    correlator.attach('1', { transfer: { servedFrom: 'network' } });
+
+    assert.strictEqual(first.transfer.servedFrom, 'network');
+    assert.strictEqual(second.transfer.servedFrom, 'memory-cache');
+  });
+
+  await t.test('holds details until the entry is reported', () => {
+    const correlator = new RequestCorrelator();
+    correlator.addRequestId('7', 'POST', 'https://api.test/save');
+    correlator.attach('7', { preflight: { status: 204 } });
+
+    const saved = entry('https://api.test/save', 'POST');
+    assert.strictEqual(correlator.addEntry(saved), '7');
+    assert.deepStrictEqual(saved.preflight, { status: 204 });
+    assert.strictEqual(correlator.getEntry('7'), saved);
+  });
+
+  await t.test('matches method as well as URL', () => {
+    const correlator = new RequestCorrelator();
+    const get = entry('https://api.test/item');
+    const put = entry('https://api.test/item', 'PUT');
+    correlator.addEntry(get);
+    correlator.addEntry(put);
+
+    assert.strictEqual(correlator.addRequestId('3', 'PUT', 'https://api.test/item'), put);
+    assert.strictEqual(correlator.addRequestId('4', 'GET', 'https://api.test/item'), get);
+  });
+
+  await t.test('re-pairs a requestId for each redirect hop', () => {
+    const correlator = new RequestCorrelator();
+    const hop = entry('https://app.test/old');
+    const target = entry('https://app.test/new');
+
+    correlator.addEntry(hop);
+    correlator.addRequestId('5', 'GET', 'https://app.test/old');
+    correlator.addEntry(target);
+    correlator.addRequestId('5', 'GET', 'https://app.test/new');
+    correlator.attach('5', { transfer: { transferSize: 100 } });
+
+    assert.strictEqual(hop.transfer, undefined);
+    assert.strictEqual(target.transfer.transferSize, 100);
+  });
+
+  await t.test('drops one-sided requests instead of shifting later pairs', () => {
+    const correlator = new RequestCorrelator();
+    const fromWorker = entry('https://api.test/data');
+    correlator.addEntry(fromWorker);
+    correlator.removeEntry(fromWorker);
+
+    correlator.addRequestId('8', 'GET', 'https://api.test/data');
+    correlator.finish('8');
+
+    const fromPage = entry('https://api.test/data');
+    assert.strictEqual(correlator.addEntry(fromPage), null);
+    assert.strictEqual(correlator.addRequestId('9', 'GET', 'https://api.test/data'), fromPage);
+    assert.strictEqual(correlator.addRequestId('10', 'GET', 'data:text/plain,hi'), null);
+    assert.strictEqual(correlator.pending.size, 0);
+  });
+
+  await t.test('forgets finished requests', () => {
+    const correlator = new RequestCorrelator();
+    const done = entry('https://app.test/a.js');
+    correlator.addEntry(done);
+    correlator.addRequestId('11', 'GET', 'https://app.test/a.js');
+    correlator.finish('11');
+    correlator.attach('11', { corsError: { error: 'late' } });
+
+    assert.strictEqual(correlator.getEntry('11'), null);
+    assert.strictEqual(done.corsError, undefined);
+  });
+});
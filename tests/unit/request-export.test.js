@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { exportRequest, prepareHeaders } from '../../src/utils/request-export.js';
+
+const request = {
+  url: 'https://api.test/orders?page=2',
+  method: 'POST',
+  headers: {
+    ':authority': 'api.test',
+    'Content-Type': 'application/json',
+    Authorization: 'Bearer secret-token',
+    cookie: 'session=abc',
+    'accept-encoding': 'gzip, br',
+    'content-length': '21'
+  },
+  postData: '{"note":"it\'s late"}'
+};
+
+test('Request export', async (t) => {
+  await t.test('redacts credentials and drops pseudo-headers', () => {
+    const { headers, redacted } = prepareHeaders(request.headers, { redactHeaders: ['Content-Type'] });
+
+    assert.deepStrictEqual(redacted.sort(), ['authorization', 'content-type', 'cookie']);
+    assert.strictEqual(headers.authorization, '<redacted>');
+    assert.ok(!(':authority' in headers));
+  });
+
+  await t.test('redaction can be turned off', () => {
+    const { headers, redacted } = prepareHeaders(request.headers, { redact: false });
+
+    assert.deepStrictEqual(redacted, []);
+    assert.strictEqual(headers.authorization, 'Bearer secret-token');
+  });
+
+  await t.test('cURL quotes values for the shell', () => {
+    const { snippet } = exportRequest(request, 'curl');
+
+    assert.ok(snippet.startsWith("curl 'https://api.test/orders?page=2'"));
+    assert.ok(!snippet.includes('-X POST'));
+    assert.ok(snippet.includes("-H 'authorization: <redacted>'"));
+    assert.ok(snippet.includes("--data-raw '{\"note\":\"it'\\''s late\"}'"));
+    assert.ok(snippet.includes('--compressed'));
+    assert.ok(!snippet.includes('content-length'));
+    assert.ok(!snippet.includes('secret-token'));
+  });
+
+  await t.test('fetch snippet is valid JavaScript with the original body', () => {
+    const { snippet } = exportRequest(request, 'fetch', { redact: false });
+    const init = JSON.parse(snippet.slice(snippet.indexOf('{'), snippet.indexOf(');')));
+
+    assert.strictEqual(init.method, 'POST');
+    assert.strictEqual(init.body, request.postData);
+    assert.strictEqual(init.headers.cookie, 'session=abc');
+    assert.ok(!('content-length' in init.headers));
+  });
+
+  await t.test('raw HTTP message', () => {
+    const { snippet } = exportRequest({ ...request, method: 'put' }, 'http');
+    const [head, body] = snippet.split('\r\n\r\n');
+
+    assert.ok(head.startsWith('PUT /orders?page=2 HTTP/1.1\r\nhost: api.test'));
+    assert.ok(head.includes(`content-length: ${Buffer.byteLength(request.postData)}`));
+    assert.strictEqual(body, request.postData);
+  });
+
+  await t.test('rejects unknown formats', () => {
+    assert.throws(() => exportRequest(request, 'wget'), /Unknown export format/);
+  });
+});
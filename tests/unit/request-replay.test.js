@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import vm from 'node:vm';
+import { buildReplayRequest, buildReplayScript, isInitiatedBy } from '../../src/utils/request-replay.js';
+
+const captured = {
+  url: 'https://api.test/orders',
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'X-Request-Id': 'abc',
+    Referer: 'https://site.test/checkout',
+    'sec-ch-ua': '"Chromium"'
+  },
+  postData: '{"qty":-1}'
+};
+
+test('Replay request building', async (t) => {
+  await t.test('keeps the captured request when nothing is overridden', () => {
+    const replay = buildReplayRequest(captured);
+
+    assert.strictEqual(replay.method, 'POST');
+    assert.strictEqual(replay.body, captured.postData);
+    assert.deepStrictEqual(replay.headers, { 'content-type': 'application/json', 'x-request-id': 'abc' });
+    assert.deepStrictEqual(replay.droppedHeaders, []);
+  });
+
+  await t.test('applies header, body and method overrides', () => {
+    const replay = buildReplayRequest(captured, {
+      method: 'put',
+      headers: { 'X-Request-Id': null, Authorization: 'Bearer test', Cookie: 'a=b' },
+      json: { qty: 1 }
+    });
+
+    assert.strictEqual(replay.method, 'PUT');
+    assert.strictEqual(replay.body, '{"qty":1}');
+    assert.deepStrictEqual(replay.headers, { 'content-type': 'application/json', authorization: 'Bearer test' });
+    assert.deepStrictEqual(replay.droppedHeaders, ['cookie']);
+  });
+
+  await t.test('drops the body for GET', () => {
+    const replay = buildReplayRequest(captured, { method: 'GET', body: 'ignored' });
+
+    assert.strictEqual(replay.body, null);
+  });
+
+  await t.test('builds a script that sends the replay with fetch', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, init });
+      return { status: 201, redirected: false, type: 'cors', arrayBuffer: async () => new ArrayBuffer(0) };
+    };
+    const replay = { url: 'https://api.test/cart', method: 'POST', headers: { 'content-type': 'text/plain' }, body: 'x' };
+    const script = buildReplayScript(replay, 5000, 'devtools-replay-test');
+
+    assert.ok(script.endsWith('\n//# sourceURL=devtools-replay-test'));
+    const result = await vm.runInNewContext(script, { fetch, AbortSignal });
+    assert.deepStrictEqual({ ...result }, { ok: true, status: 201, redirected: false, type: 'cors' });
+    assert.strictEqual(calls[0].init.method, 'POST');
+    assert.strictEqual(calls[0].init.body, 'x');
+    assert.strictEqual(calls[0].init.credentials, 'include');
+  });
+
+  await t.test('recognizes requests started by the tagged script', () => {
+    const frame = url => ({ functionName: '', url, lineNumber: 0, columnNumber: 0 });
+    const fromReplay = { type: 'script', stack: { callFrames: [frame('devtools-replay-1')] } };
+    const fromAsyncParent = { type: 'script', stack: { callFrames: [frame('')], parent: { callFrames: [frame('devtools-replay-1')] } } };
+    const fromApp = { type: 'script', stack: { callFrames: [frame('https://app.test/poll.js')] } };
+
+    assert.strictEqual(isInitiatedBy(fromReplay, 'devtools-replay-1'), true);
+    assert.strictEqual(isInitiatedBy(fromAsyncParent, 'devtools-replay-1'), true);
+    assert.strictEqual(isInitiatedBy(fromApp, 'devtools-replay-1'), false);
+    assert.strictEqual(isInitiatedBy({ type: 'other' }, 'devtools-replay-1'), false);
+  });
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { ResourceManager, parseResourceUri, pageResourceUri } from '../../src/utils/resources.js';
+import { ConsoleCollector, NetworkCollector } from '../../src/utils/data-collector.js';
+
+// Stand-in for the browser manager: one context with one page, collectors and events
+function fakeManager() {
+  const manager = new EventEmitter();
+  const collectors = { console: new ConsoleCollector(), network: new NetworkCollector() };
+  const page = {
+    url: () => 'https://app.test/',
+    content: async () => '<html><body>hi</body></html>',
+    screenshot: async () => Buffer.from([0x89, 0x50, 0x4e, 0x47])
+  };
+
+  manager.contexts = new Map([['context-1', {}]]);
+  manager.getCollectors = (contextId) => (contextId === 'context-1' ? collectors : undefined);
+  manager.listPages = async () => [{ pageId: 'page-1', url: 'https://app.test/', title: 'App', active: true }];
+  manager.getPage = async () => page;
+  manager.buildContextHar = async () => ({ log: { version: '1.2', entries: [] } });
+  return { manager, collectors };
+}
+
+test('Resources', async (t) => {
+  await t.test('parses resource URIs', () => {
+    assert.deepStrictEqual(parseResourceUri('devtools://context/context-1/console'), { contextId: 'context-1', kind: 'console' });
+    assert.deepStrictEqual(parseResourceUri(pageResourceUri('context-1', 'page-1', 'dom')), {
+      contextId: 'context-1', kind: 'dom', pageId: 'page-1'
+    });
+    assert.deepStrictEqual(parseResourceUri('devtools://context/context-1/files/shot.png'), {
+      contextId: 'context-1', kind: 'file', name: 'shot.png'
+    });
+    assert.throws(() => parseResourceUri('file:///etc/passwd'), /Unsupported resource URI/);
+    assert.throws(() => parseResourceUri('devtools://context/context-1/cookies'), /Unknown resource/);
+  });
+
+  await t.test('lists context, page and file resources', async () => {
+    const { manager } = fakeManager();
+    const resources = new ResourceManager(manager);
+    const path = join(tmpdir(), `resources-test-${process.pid}.png`);
+    await fs.writeFile(path, Buffer.from([1, 2, 3]));
+
+    try {
+      const uri = resources.registerFile('context-1', path, 'Screenshot');
+      const list = await resources.list();
+      const uris = list.map(resource => resource.uri);
+
+      assert.ok(uris.includes('devtools://context/context-1/console'));
+      assert.ok(uris.includes('devtools://context/context-1/har'));
+      assert.ok(uris.includes('devtools://context/context-1/page/page-1/screenshot'));
+      assert.ok(uris.includes(uri));
+
+      const [file] = await resources.read(uri);
+      assert.strictEqual(file.mimeType, 'image/png');
+      assert.strictEqual(file.blob, Buffer.from([1, 2, 3]).toString('base64'));
+    } finally {
+      await fs.unlink(path);
+    }
+  });
+
+  await t.test('reads collector and page data', async () => {
+    const { manager, collectors } = fakeManager();
+    const resources = new ResourceManager(manager);
+    collectors.console.addLog({ type: 'error', text: 'boom', timestamp: Date.now(), pageId: 'page-1' });
+
+    const [consoleContents] = await resources.read('devtools://context/context-1/console');
+    const dump = JSON.parse(consoleContents.text);
+    assert.strictEqual(dump.logs[0].text, 'boom');
+    assert.strictEqual(dump.stats.total, 1);
+
+    const [source] = await resources.read('devtools://context/context-1/page/page-1/source');
+    assert.strictEqual(source.mimeType, 'text/html');
+    assert.match(source.text, /hi/);
+
+    await assert.rejects(resources.read('devtools://context/context-9/console'), /Browser context not found/);
+  });
+
+  await t.test('throttles updates to subscribed URIs', async () => {
+    const { manager } = fakeManager();
+    const resources = new ResourceManager(manager, { updateInterval: 10 });
+    const updated = [];
+    resources.setNotifiers(async uri => updated.push(uri), async () => {});
+
+    resources.subscribe('devtools://context/context-1/console');
+    manager.emit('console', 'context-1', {});
+    manager.emit('console', 'context-1', {});
+    manager.emit('request', 'context-1', {});
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.deepStrictEqual(updated, ['devtools://context/context-1/console']);
+  });
+
+  await t.test('announces list changes when contexts and pages come and go', async () => {
+    const { manager } = fakeManager();
+    const resources = new ResourceManager(manager);
+    let changes = 0;
+    resources.setNotifiers(async () => {}, async () => { changes++; });
+
+    manager.emit('contextcreated', 'context-2');
+    manager.emit('pageopened', 'context-2', 'page-2');
+    manager.emit('pageclosed', 'context-2', 'page-2');
+    manager.emit('contextclosed', 'context-2');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(changes, 4);
+  });
+});
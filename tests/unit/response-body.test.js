@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { summarizeBody, captureResponseBody } from '../../src/utils/response-body.js';
+
+test('Response body summaries', async (t) => {
+  await t.test('JSON bodies are parsed', () => {
+    const body = summarizeBody(Buffer.from('{"error":"boom"}'), 'application/problem+json');
+
+    assert.strictEqual(body.kind, 'json');
+    assert.deepStrictEqual(body.json, { error: 'boom' });
+  });
+
+  await t.test('malformed JSON falls back to text', () => {
+    const body = summarizeBody(Buffer.from('<html>Bad Gateway</html>'), 'application/json');
+
+    assert.strictEqual(body.kind, 'text');
+    assert.strictEqual(body.text, '<html>Bad Gateway</html>');
+  });
+
+  await t.test('text is truncated', () => {
+    const body = summarizeBody(Buffer.from('a'.repeat(100)), 'text/plain', { maxTextLength: 10 });
+
+    assert.strictEqual(body.text.length, 10);
+    assert.strictEqual(body.truncated, true);
+    assert.strictEqual(body.size, 100);
+  });
+
+  await t.test('binary is summarized by size and hash', () => {
+    const body = summarizeBody(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00]), 'image/png');
+
+    assert.strictEqual(body.kind, 'binary');
+    assert.strictEqual(body.size, 5);
+    assert.match(body.sha256, /^[0-9a-f]{64}$/);
+    assert.strictEqual(body.text, undefined);
+  });
+
+  await t.test('oversized responses are skipped before reading', async () => {
+    let bodyRead = false;
+    const response = {
+      headers: () => ({ 'content-type': 'text/plain', 'content-length': '2048' }),
+      status: () => 200,
+      body: async () => { bodyRead = true; return Buffer.alloc(0); }
+    };
+
+    const body = await captureResponseBody(response, { maxSize: 1024 });
+
+    assert.strictEqual(body.kind, 'skipped');
+    assert.strictEqual(body.reason, 'too_large');
+    assert.strictEqual(bodyRead, false);
+  });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fitImage, padClip, getPngSize, layoutContactSheet } from '../../src/utils/screenshot.js';
+
+// Fake capture whose output size follows scale and quality like a real JPEG encoder would
+function fakeCapture(baseSize, calls) {
+  return async (step) => {
+    calls.push(step);
+    return Buffer.alloc(Math.round(baseSize * step.scale * step.scale * (step.quality / 100)));
+  };
+}
+
+test('Inline screenshot sizing', async (t) => {
+  await t.test('keeps images under the cap untouched', async () => {
+    const calls = [];
+    const buffer = Buffer.alloc(500);
+    const result = await fitImage(buffer, 'png', 1000, fakeCapture(1000, calls));
+
+    assert.strictEqual(result.buffer, buffer);
+    assert.strictEqual(result.format, 'png');
+    assert.strictEqual(result.downscaled, false);
+    assert.strictEqual(calls.length, 0);
+  });
+
+  await t.test('tries JPEG before downscaling', async () => {
+    const calls = [];
+    const result = await fitImage(Buffer.alloc(2000), 'png', 1700, fakeCapture(2000, calls));
+
+    assert.strictEqual(result.format, 'jpeg');
+    assert.strictEqual(result.scale, 1);
+    assert.strictEqual(result.downscaled, false);
+    assert.strictEqual(calls.length, 1);
+  });
+
+  await t.test('downscales until the image fits', async () => {
+    const calls = [];
+    const result = await fitImage(Buffer.alloc(10000), 'png', 2000, fakeCapture(10000, calls));
+
+    assert.strictEqual(result.scale, 0.5);
+    assert.strictEqual(result.downscaled, true);
+    assert.ok(result.buffer.length <= 2000);
+    assert.deepStrictEqual(calls.map(step => step.scale), [1, 0.75, 0.5]);
+  });
+
+  await t.test('gives up when nothing fits', async () => {
+    const result = await fitImage(Buffer.alloc(10000), 'png', 10, fakeCapture(10000, []));
+    assert.strictEqual(result, null);
+  });
+
+  await t.test('pads element clips inside the document', () => {
+    const documentSize = { width: 1280, height: 3000 };
+    assert.deepStrictEqual(padClip({ x: 100, y: 2000, width: 200, height: 50 }, 8, documentSize), {
+      x: 92, y: 1992, width: 216, height: 66
+    });
+    assert.deepStrictEqual(padClip({ x: 2, y: 0, width: 1276, height: 40 }, 8, documentSize), {
+      x: 0, y: 0, width: 1280, height: 48
+    });
+  });
+
+  await t.test('reads PNG dimensions', () => {
+    const header = Buffer.alloc(24);
+    header.writeUInt32BE(640, 16);
+    header.writeUInt32BE(480, 20);
+    assert.deepStrictEqual(getPngSize(header), { width: 640, height: 480 });
+  });
+
+  await t.test('lays out contact sheets in a captioned grid', () => {
+    const layout = layoutContactSheet([
+      { width: 200, height: 100 },
+      { width: 960, height: 200 },
+      { width: 100, height: 50 }
+    ], { gap: 10, labelHeight: 20, maxCellWidth: 480 });
+
+    assert.strictEqual(layout.cells.length, 3);
+    assert.deepStrictEqual(layout.cells[0], { x: 10, y: 30, width: 200, height: 100, labelX: 10, labelY: 10 });
+    // Wide captures are scaled down to the maximum cell width
+    assert.deepStrictEqual(layout.cells[1], { x: 220, y: 30, width: 480, height: 100, labelX: 220, labelY: 10 });
+    // Third image wraps onto the second row
+    assert.deepStrictEqual(layout.cells[2], { x: 10, y: 160, width: 100, height: 50, labelX: 10, labelY: 140 });
+    assert.strictEqual(layout.width, 10 + 200 + 10 + 480 + 10);
+    assert.strictEqual(layout.height, 220);
+  });
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { classifyHost, getRegistrableDomain, summarizeThirdParties } from '../../src/utils/third-parties.js';
+
+function request(url, resourceType, transferSize, extra = {}) {
+  return {
+    id: `req-${url}`,
+    url,
+    method: 'GET',
+    resourceType,
+    failed: false,
+    transfer: { servedFrom: 'network', transferSize, decodedSize: transferSize },
+    ...extra
+  };
+}
+
+test('Third-party inventory', async (t) => {
+  await t.test('derives registrable domains', () => {
+    assert.strictEqual(getRegistrableDomain('www.shop.example.com'), 'example.com');
+    assert.strictEqual(getRegistrableDomain('static.example.co.uk'), 'example.co.uk');
+    assert.strictEqual(getRegistrableDomain('myapp.github.io'), 'myapp.github.io');
+    assert.strictEqual(getRegistrableDomain('localhost'), 'localhost');
+    assert.strictEqual(getRegistrableDomain('127.0.0.1'), '127.0.0.1');
+  });
+
+  await t.test('classifies by the most specific known suffix', () => {
+    assert.deepStrictEqual(classifyHost('fonts.googleapis.com'), { entity: 'Google Fonts', category: 'fonts' });
+    assert.deepStrictEqual(classifyHost('ajax.googleapis.com'), { entity: 'Google Hosted Libraries', category: 'cdn' });
+    assert.strictEqual(classifyHost('www.google-analytics.com').category, 'analytics');
+    assert.strictEqual(classifyHost('api.example.com'), null);
+  });
+
+  await t.test('groups requests by domain and separates the first party', () => {
+    const inventory = summarizeThirdParties([
+      request('https://www.example.com/', 'document', 20000),
+      request('https://cdn.example.com/app.js', 'script', 30000),
+      request('https://www.googletagmanager.com/gtm.js?id=GTM-1', 'script', 80000),
+      request('https://www.google-analytics.com/g/collect?v=2', 'fetch', 500),
+      request('https://region1.google-analytics.com/g/collect?v=2', 'fetch', 500, { failed: true }),
+      request('https://fonts.gstatic.com/s/inter.woff2', 'font', 40000),
+      request('https://api.unknown-widget.io/embed.js', 'script', 10000),
+      request('data:image/png;base64,AAAA', 'image', 0)
+    ], 'https://www.example.com/', {
+      renderBlockingUrls: ['https://www.googletagmanager.com/gtm.js?id=GTM-1']
+    });
+
+    assert.strictEqual(inventory.firstParty, 'example.com');
+    assert.strictEqual(inventory.summary.firstPartyRequests, 2);
+    assert.strictEqual(inventory.summary.firstPartyBytes, 50000);
+    assert.strictEqual(inventory.summary.thirdPartyDomains, 4);
+    assert.strictEqual(inventory.summary.thirdPartyRequests, 5);
+    assert.strictEqual(inventory.summary.unclassified, 1);
+
+    const analytics = inventory.thirdParties.find(party => party.domain === 'google-analytics.com');
+    assert.strictEqual(analytics.entity, 'Google Analytics');
+    assert.deepStrictEqual(analytics.hosts, ['www.google-analytics.com', 'region1.google-analytics.com']);
+    assert.strictEqual(analytics.requests, 2);
+    assert.strictEqual(analytics.failed, 1);
+    assert.strictEqual(analytics.mainThreadTime, null);
+
+    const gtm = inventory.thirdParties.find(party => party.domain === 'googletagmanager.com');
+    assert.strictEqual(gtm.renderBlocking, 1);
+    assert.strictEqual(inventory.byCategory['tag-manager'].bytes, 80000);
+    assert.strictEqual(inventory.byCategory.other.domains, 1);
+  });
+
+  await t.test('attributes long animation frame time to script domains', () => {
+    const inventory = summarizeThirdParties([
+      request('https://app.example.com/main.js', 'script', 1000),
+      request('https://connect.facebook.net/en_US/fbevents.js', 'script', 2000),
+      request('https://www.googletagmanager.com/gtm.js', 'script', 9000)
+    ], 'https://app.example.com/', {
+      scripts: [
+        { sourceURL: 'https://connect.facebook.net/en_US/fbevents.js', duration: 120.4 },
+        { sourceURL: 'https://connect.facebook.net/en_US/fbevents.js', duration: 60.2 },
+        { sourceURL: 'https://app.example.com/main.js', duration: 300 }
+      ]
+    });
+
+    const [first, second] = inventory.thirdParties;
+    assert.strictEqual(first.domain, 'connect.facebook.net');
+    assert.strictEqual(first.category, 'ads');
+    assert.strictEqual(first.mainThreadTime, 181);
+    assert.strictEqual(first.longFrameScripts, 2);
+    assert.strictEqual(second.mainThreadTime, 0);
+    assert.strictEqual(inventory.byCategory.ads.mainThreadTime, 181);
+  });
+
+  await t.test('keeps differently classified hosts of one registrable domain apart', () => {
+    const fonts = request('https://fonts.googleapis.com/css2?family=Inter', 'stylesheet', 2000);
+    const libraries = request('https://ajax.googleapis.com/ajax/libs/jquery/3.7.1/jquery.min.js', 'script', 30000);
+
+    for (const order of [[fonts, libraries], [libraries, fonts]]) {
+      const inventory = summarizeThirdParties(order, 'https://www.example.com/');
+
+      assert.deepStrictEqual(inventory.byCategory.fonts, { domains: 1, requests: 1, bytes: 2000, mainThreadTime: null });
+      assert.deepStrictEqual(inventory.byCategory.cdn, { domains: 1, requests: 1, bytes: 30000, mainThreadTime: null });
+      assert.deepStrictEqual(inventory.thirdParties.map(party => party.domain).sort(), ['ajax.googleapis.com', 'fonts.googleapis.com']);
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { analyzeWaterfall, getRequestPhases } from '../../src/utils/waterfall.js';
+
+function timedRequest(id, url, resourceType, startTime, responseStart, responseEnd, extra = {}) {
+  return {
+    id,
+    url,
+    method: 'GET',
+    resourceType,
+    timestamp: startTime,
+    failed: false,
+    isMainFrame: true,
+    response: { status: 200 },
+    timing: {
+      startTime,
+      domainLookupStart: -1, domainLookupEnd: -1,
+      connectStart: -1, secureConnectionStart: -1, connectEnd: -1,
+      requestStart: 0, responseStart, responseEnd
+    },
+    ...extra
+  };
+}
+
+const requests = [
+  timedRequest('doc', 'https://site.test/', 'document', 1000, 100, 150),
+  timedRequest('css', 'https://site.test/app.css', 'stylesheet', 1160, 50, 80),
+  timedRequest('img', 'https://site.test/hero.jpg', 'image', 1170, 20, 400),
+  timedRequest('font', 'https://site.test/font.woff2', 'font', 1250, 30, 60),
+  timedRequest('beacon', 'https://site.test/beacon', 'fetch', 2000, 10, 20)
+];
+
+test('Waterfall analysis', async (t) => {
+  await t.test('phases come from request timing', () => {
+    const phases = getRequestPhases(requests[0]);
+
+    assert.strictEqual(phases.start, 1000);
+    assert.strictEqual(phases.end, 1150);
+    assert.strictEqual(phases.phases.ttfb, 100);
+    assert.strictEqual(phases.phases.download, 50);
+  });
+
+  const analysis = analyzeWaterfall(requests, {
+    navigationStart: 1000,
+    contentLoadTimestamp: 1200,
+    loadTimestamp: 1600,
+    slowest: 2
+  });
+
+  await t.test('slowest requests', () => {
+    assert.deepStrictEqual(analysis.slowest.map(req => req.id), ['img', 'doc']);
+  });
+
+  await t.test('critical path follows dependencies up to load', () => {
+    assert.deepStrictEqual(analysis.criticalPath.map(req => req.id), ['doc', 'img']);
+  });
+
+  await t.test('render-blocking heuristic and post-load requests', () => {
+    assert.deepStrictEqual(analysis.renderBlocking.map(req => req.id), ['css']);
+    assert.deepStrictEqual(analysis.afterLoad.map(req => req.id), ['beacon']);
+  });
+
+  await t.test('idle gaps and text output', () => {
+    assert.deepStrictEqual(analysis.parallelismGaps, [{ start: 570, end: 1000, duration: 430 }]);
+    assert.ok(analysis.text.includes('hero.jpg'));
+    assert.strictEqual(analysis.summary.onLoad, 600);
+  });
+
+  await t.test('browser-reported render blocking wins over the heuristic', () => {
+    const reported = analyzeWaterfall(requests, { renderBlockingUrls: new Set(['https://site.test/font.woff2']) });
+
+    assert.deepStrictEqual(reported.renderBlocking.map(req => req.id), ['font']);
+    assert.strictEqual(reported.renderBlockingSource, 'performance-api');
+  });
+});